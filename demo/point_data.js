@@ -1,4 +1,6 @@
 import { Path1D } from "../src/curves1d.js"; 
+import { ExponentialDisk, SpiralArms, DeVaucouleursBulge } from "../src/astro.js";
+import { RotatedShape } from "../src/rotated_shape.js";
 
 const PASSIVE_STARS_COUNT = 10000;
 const POINTS_FOR_CUBE = 3000; 
@@ -36,12 +38,24 @@ const STAR_PALETTE = [
 
 const getRandomColor = () => STAR_PALETTE[Math.floor(Math.random() * STAR_PALETTE.length)];
 
-const getGalaxyRadius = () => (
-  Math.random() > 0.2 
-    ? 40 + Math.random() * 20 
-    : 30 + Math.random() * 10
-);
-
+// Background spiral galaxy behind the scene, tilted towards the camera
+const GALAXY_CENTER = { x: 0, y: 0, z: -60 };
+const GALAXY_TILT = -Math.PI / 3;
+const galaxyComponents = [
+  { weight: 0.15, shape: new DeVaucouleursBulge(GALAXY_CENTER, { effectiveRadius: 4, flattening: 0.7, maxRadius: 20 }) },
+  { weight: 0.35, shape: new ExponentialDisk(GALAXY_CENTER, { scaleLength: 12, scaleHeight: 0.8, maxRadius: 60 }) },
+  { weight: 0.50, shape: new SpiralArms(GALAXY_CENTER, {
+    arms: 2, pitch: Math.PI / 9, scatter: 0.25, innerRadius: 5, outerRadius: 60, scaleLength: 20, scaleHeight: 0.8
+  }) }
+].map(({ weight, shape }) => ({ weight, shape: new RotatedShape(shape, GALAXY_TILT, 0, 0) }));
+
+const sampleGalaxy = () => {
+  let r = Math.random();
+  for (const { weight, shape } of galaxyComponents) {
+    if ((r -= weight) <= 0) return shape.sample();
+  }
+  return galaxyComponents[0].shape.sample();
+};
 
 function fillPassivePoints(positions, colors) {
   const totalPoints = positions.length / 3;
@@ -50,13 +64,11 @@ function fillPassivePoints(positions, colors) {
   // 1. Stars (Galaxy)
   for (let i = 0; i < starCount; i++) {
     const idx = i * 3;
-    const theta = Math.random() * 2 * Math.PI;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const r = getGalaxyRadius();
+    const { x, y, z } = sampleGalaxy();
 
-    positions[idx]     = r * Math.sin(phi) * Math.cos(theta);
-    positions[idx + 1] = r * Math.sin(phi) * Math.sin(theta);
-    positions[idx + 2] = r * Math.cos(phi);
+    positions[idx]     = x;
+    positions[idx + 1] = y;
+    positions[idx + 2] = z;
 
     const [rc, gc, bc] = getRandomColor();
     const brightness = 0.4 + Math.random() * 0.6;
@@ -67,14 +79,10 @@ function fillPassivePoints(positions, colors) {
 
   // 2. Cube Edges
   let currentOffset = starCount;
+  cubePath.sampleInto(positions, POINTS_FOR_CUBE, { offset: currentOffset * 3 });
   for (let j = 0; j < POINTS_FOR_CUBE; j++) {
-    const { x, y, z } = cubePath.sample();
     const idx = (currentOffset + j) * 3;
     
-    positions[idx]     = x;
-    positions[idx + 1] = y;
-    positions[idx + 2] = z;
-    
     // Soft cyan/white for the boundary
     colors[idx]     = 0.5; 
     colors[idx + 1] = 0.6; 
@@ -107,19 +115,28 @@ export function createPointData(regl, {
   
     let offset = 0;
     for (let i = 0; i < activeCount; i++) {
-      const sampleFn = samplers[i];
+      // A sampler is either a shape (bulk-filled) or a function returning {x, y, z}
+      const sampler = samplers[i];
       const n = counts[i];
 
       const shapeColor = sceneColors[i] || [1.0, 1.0, 1.0];
+
+      if (typeof sampler.sampleInto === 'function') {
+        sampler.sampleInto(positions, n, { offset: offset * 3 });
+      } else {
+        for (let j = 0; j < n; j++) {
+          const { x, y, z } = sampler();
+          const idx = (offset + j) * 3;
+
+          positions[idx]     = x;
+          positions[idx + 1] = y;
+          positions[idx + 2] = z;
+        }
+      }
   
       for (let j = 0; j < n; j++) {
-        const { x, y, z } = sampleFn();
         const idx = (offset + j) * 3;
         
-        positions[idx]     = x;
-        positions[idx + 1] = y;
-        positions[idx + 2] = z;
-        
         colors[idx]     = shapeColor[0];
         colors[idx + 1] = shapeColor[1];
         colors[idx + 2] = shapeColor[2];
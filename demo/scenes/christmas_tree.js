@@ -2,7 +2,6 @@ import { Cone3D, Cylinder3D, Box3D } from "../../src/shapes3d.js";
 import { Path1D, conicHelix } from "../../src/curves1d.js";
 import { RotatedShape } from "../../src/rotated_shape.js";
 import { Polygon2D, Circle2D, Rectangle2D } from "../../src/shapes2d.js";
-import { CompositeShape } from "../../src/composite_shapes.js";
 import { TranslatedShape } from "../../src/translated_shape.js";
 
 function createStarVertices(centerX, centerY, outerRadius, innerRadius, points = 5) {
@@ -21,22 +20,8 @@ function createStarVertices(centerX, centerY, outerRadius, innerRadius, points =
   return vertices;
 }
 
-function createWireframeFromVertices(vertices) {
-  const edges = [];
-  for (let i = 0; i < vertices.length; i++) {
-    const a = vertices[i];
-    const b = vertices[(i + 1) % vertices.length]; // close loop
-    edges.push({ start: a, end: b });
-  }
-  return edges;
-}
-
 const starVertices = createStarVertices(0, 5.0, 0.6, 0.25, 5)
 
-const starWireframe = new Path1D(
-  createWireframeFromVertices(starVertices)
-);
-
 function createBoxWireframe(center, width, height, depth) {
   const x0 = center.x - width / 2, x1 = center.x + width / 2;
   const y0 = center.y - height / 2, y1 = center.y + height / 2;
@@ -100,11 +85,7 @@ const treeTrunk = new Cylinder3D({ x: 0, y: -0.5, z: 0 }, 0.1, 9, 0.09);
 const trunkVertical = new RotatedShape(treeTrunk, Math.PI / 2, 0, 0);
 
 const giftBoxOuter = new Box3D({ x: -1.5, y: -4.5, z: 3 }, 1.0, 1.0, 1.0);
-const giftBoxInner = new Box3D({ x: -1.5, y: -4.5, z: 3 }, 0.9, 0.9, 0.9);
-
-const giftBox = new CompositeShape('difference', [giftBoxOuter, giftBoxInner]);
-
-const giftBoxRotated = new RotatedShape(giftBox, 0, Math.PI / 4, 0)
+const giftBoxRotated = new RotatedShape(giftBoxOuter, 0, Math.PI / 4, 0)
 const giftEdges = new Path1D(createBoxWireframe({ x: -1.5, y: -4.5, z: 3 }, 1.0, 1.0, 1.0));
 const giftEdgesRotated = new RotatedShape(giftEdges, 0, Math.PI / 4, 0);
 
@@ -112,11 +93,7 @@ const giftBoxTop = new Rectangle2D({x: -1.5, y: -4.0, z: 3 }, 1, 1);
 const giftBoxTopRotated = new RotatedShape(giftBoxTop, Math.PI / 2, 0, Math.PI / 4);
 
 const giftBoxOuter_0 = new Box3D({ x: 1.5, y: -4.5, z: 3 }, 1.0, 1.0, 1.0);
-const giftBoxInner_0 = new Box3D({ x: 1.5, y: -4.5, z: 3 }, 0.9, 0.9, 0.9);
-
-const giftBox_0 = new CompositeShape('difference', [giftBoxOuter_0, giftBoxInner_0]);
-
-const giftBoxRotated_0 = new RotatedShape(giftBox_0, 0, Math.PI / 4, 0)
+const giftBoxRotated_0 = new RotatedShape(giftBoxOuter_0, 0, Math.PI / 4, 0)
 const giftEdges_0 = new Path1D(createBoxWireframe({ x: 1.5, y: -4.5, z: 3 }, 1.0, 1.0, 1.0));
 const giftEdgesRotated_0 = new RotatedShape(giftEdges_0, 0, Math.PI / 4, 0);
 
@@ -124,11 +101,7 @@ const giftBoxTop_0 = new Rectangle2D({x: 1.5, y: -4.0, z: 3 }, 1, 1);
 const giftBoxTopRotated_0 = new RotatedShape(giftBoxTop_0, Math.PI / 2, 0, Math.PI / 4);
 
 const giftBoxOuter_1 = new Box3D({ x: 0, y: -4.375, z: 3.5 }, 1.25, 1.25, 1.25);
-const giftBoxInner_1 = new Box3D({ x: 0, y: -4.375, z: 3.5 }, 1.15, 1.15, 1.15);
-
-const giftBox_1 = new CompositeShape('difference', [giftBoxOuter_1, giftBoxInner_1]);
-
-const giftBoxRotated_1 = new RotatedShape(giftBox_1, 0, 0, 0)
+const giftBoxRotated_1 = new RotatedShape(giftBoxOuter_1, 0, 0, 0)
 const giftEdges_1 = new Path1D(createBoxWireframe({ x: 0, y: -4.375, z: 3.5 }, 1.25, 1.25, 1.25));
 const giftEdgesRotated_1 = new RotatedShape(giftEdges_1, 0, 0, 0);
 
@@ -141,25 +114,25 @@ export const christmasTreeConfig = {
   name: "christmasTree",
   config: {
     samplers: [
-      () => treeVertical.sample(),
-      () => spiralVertical.sample(),
-      () => starShape.sample(),
-      () => rimVertical.sample(),
-      () => rimVertical_0.sample(),
-      () => rimVertical_1.sample(),
-      () => trunkVertical.sample(),
-      () => giftBoxRotated.sample(),
-      () => giftEdgesRotated.sample(),
-      () => giftBoxTopRotated.sample(),
-      () => giftBoxRotated_0.sample(),
-      () => giftEdgesRotated_0.sample(),
-      () => giftBoxTopRotated_0.sample(),
-      () => giftBoxRotated_1.sample(),
-      () => giftEdgesRotated_1.sample(),
-      () => giftBoxTopRotated_1.sample(),
-      () => starWireframe.sample(),
-      () => spiralVerticalRotatedRed.sample(),
-      //() => spiralVerticalRotatedBlue.sample()
+      treeVertical,
+      spiralVertical,
+      starShape,
+      rimVertical,
+      rimVertical_0,
+      rimVertical_1,
+      trunkVertical,
+      () => giftBoxRotated.sampleSurface(),
+      giftEdgesRotated,
+      giftBoxTopRotated,
+      () => giftBoxRotated_0.sampleSurface(),
+      giftEdgesRotated_0,
+      giftBoxTopRotated_0,
+      () => giftBoxRotated_1.sampleSurface(),
+      giftEdgesRotated_1,
+      giftBoxTopRotated_1,
+      () => starShape.sampleBoundary(),
+      spiralVerticalRotatedRed,
+      //spiralVerticalRotatedBlue
     ],
     counts: [
       30000,
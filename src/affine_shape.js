@@ -0,0 +1,319 @@
+/**
+ * affine_shape.js
+ * General affine transforms of shapes: scale, mirror, shear and rotation about any pivot.
+ */
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { IDENTITY, applyAffine, boundsOf, composeLinear } from './bounds.js';
+import { RotatedShape } from './rotated_shape.js';
+import { TranslatedShape } from './translated_shape.js';
+import { cross, length, normalize } from './vector3.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+export class AffineShape {
+  /**
+   * Shape mapped by p -> M p + t. Flat arrays follow the WebGL (gl-matrix) column-major layout:
+   * 16 entries for a mat4 with translation, 9 for a mat3 linear part. Nested arrays are rows.
+   * Affine, Rotated and Translated bases are folded into a single matrix.
+   *
+   * Affine maps keep uniform densities uniform, so sampling is exact: volumes scale by |det M|
+   * and flat shapes by the area factor of their plane. Paths are only accepted under
+   * similarity maps (rotation, mirror, uniform scale), as other maps bend arc-length spacing.
+   *
+   * @param {Object} base - Any shape.
+   * @param {ArrayLike<number>|number[][]} matrix - mat4 or mat3, invertible.
+   */
+  constructor(base, matrix) {
+    let { linear, translation } = parseMatrix(matrix);
+    // Fold nested transforms: M (A p + a) + t = (M A) p + (M a + t)
+    for (let inner = innerTransform(base); inner; inner = innerTransform(base)) {
+      translation = applyAffine(linear, translation, inner.translation);
+      linear = composeLinear(linear, inner.linear);
+      base = inner.base;
+    }
+
+    this.base = base;
+    Object.assign(this, linear);
+    this.translation = translation;
+    this.dimension = base.dimension;
+    this.convex = base.convex ?? false;
+
+    this.determinant = determinant(this);
+    if (!(Math.abs(this.determinant) > 1e-300) || !Number.isFinite(this.determinant)) {
+      throw new RangeError('AffineShape: the matrix is singular.');
+    }
+    this._inverse = inverse(this, this.determinant);
+    this._stretch = smallestSingularValue(this);
+
+    // Factor on the base's measure in its own dimension: volume, area or arc length
+    if (this.dimension === 3) {
+      this._measureScale = Math.abs(this.determinant);
+    } else if (this.dimension === 2) {
+      const ex = { x: this.m00, y: this.m10, z: this.m20 }, ey = { x: this.m01, y: this.m11, z: this.m21 };
+      this._measureScale = length(cross(ex, ey));
+    } else if (this.dimension === 1) {
+      const scale = similarityScale(this);
+      if (scale === null) {
+        throw new Error('AffineShape: paths only keep uniform arc length under rotation, mirror and uniform scale.');
+      }
+      this._measureScale = scale;
+    }
+
+    const c = base.center ?? ORIGIN;
+    this.center = applyAffine(this, translation, { x: c.x, y: c.y, z: c.z ?? 0 });
+    this.bbox = this.transformedBBox(IDENTITY, ORIGIN);
+  }
+
+  /**
+   * The measures the base exposes, scaled by the map. Paths carry their length in all three,
+   * so they weigh correctly inside composites. Read lazily, since composite bases measure on demand.
+   */
+  get volume() {
+    return this._scaled(this.base.volume);
+  }
+
+  get area() {
+    return this._scaled(this.base.area);
+  }
+
+  get totalLength() {
+    return this._scaled(this.base.totalLength);
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this._toWorld(this.base.sample(rng, out), out);
+  }
+
+  fromUnit(u, v, w, out = {}) {
+    return this._toWorld(this.base.fromUnit(u, v, w, out), out);
+  }
+
+  /**
+   * Surface sample of the base shape; normals map by the inverse transpose.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    const s = this.base.sampleSurface(rng);
+    const p = this._toWorld(s, {});
+    p.normal = normalize(this._normalToWorld(s.normal));
+    return p;
+  }
+
+  /**
+   * Boundary sample of a 2D base shape. The tangent maps with the shape; the outward normal is
+   * kept perpendicular to it within the mapped plane.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleBoundary(rng = Math.random) {
+    const s = this.base.sampleBoundary(rng);
+    const p = this._toWorld(s, {});
+    p.tangent = normalize(applyAffine(this, ORIGIN, s.tangent));
+    const plane = normalize(this._normalToWorld({ x: 0, y: 0, z: 1 }));
+    const n = this._normalToWorld(s.normal);
+    const k = n.x * plane.x + n.y * plane.y + n.z * plane.z;
+    p.normal = normalize({ x: n.x - k * plane.x, y: n.y - k * plane.y, z: n.z - k * plane.z });
+    return p;
+  }
+
+  /** The tolerance is carried into base units by the largest stretch of the inverse. */
+  contains(p, epsilon = 1e-9) {
+    return this.base.contains(this._toLocal(p), epsilon / this._stretch);
+  }
+
+  /**
+   * Base distance times the smallest stretch of the map: exact for similarity maps, and a lower
+   * bound (safe for sphere tracing) under scale and shear.
+   */
+  sdf(p) {
+    return this.base.sdf(this._toLocal(p)) * this._stretch;
+  }
+
+  /** World bounding box under a further map p -> M p + t; exact where the base's box is. */
+  transformedBBox(m, t) {
+    return boundsOf(this.base, composeLinear(m, this), applyAffine(m, t, this.translation));
+  }
+
+  /** @private */
+  _scaled(measure) {
+    return measure === undefined ? undefined : this._measureScale * measure;
+  }
+
+  /** @private */
+  _toWorld(p, out) {
+    if (p === null) return null;
+    const q = applyAffine(this, this.translation, p);
+    out.x = q.x;
+    out.y = q.y;
+    out.z = q.z;
+    return out;
+  }
+
+  /** @private */
+  _toLocal(p) {
+    const t = this.translation;
+    return applyAffine(this._inverse, ORIGIN, { x: p.x - t.x, y: p.y - t.y, z: (p.z ?? 0) - t.z });
+  }
+
+  /** @private Inverse transpose times n (unnormalized). */
+  _normalToWorld(n) {
+    const m = this._inverse;
+    return {
+      x: m.m00 * n.x + m.m10 * n.y + m.m20 * n.z,
+      y: m.m01 * n.x + m.m11 * n.y + m.m21 * n.z,
+      z: m.m02 * n.x + m.m12 * n.y + m.m22 * n.z
+    };
+  }
+}
+
+withSampleQMC(AffineShape);
+withSampleInto(AffineShape);
+
+/**
+ * Scale about a pivot (the shape's center by default).
+ * @param {Object} base
+ * @param {number|{x?: number, y?: number, z?: number}} factor - Uniform or per-axis scale (missing axes keep 1).
+ * @param {{x: number, y: number, z?: number}} [pivot]
+ */
+export function scaleShape(base, factor, pivot = base.center) {
+  const s = typeof factor === 'number' ? { x: factor, y: factor, z: factor } : { x: 1, y: 1, z: 1, ...factor };
+  return aboutPivot(base, { m00: s.x, m01: 0, m02: 0, m10: 0, m11: s.y, m12: 0, m20: 0, m21: 0, m22: s.z }, pivot);
+}
+
+/**
+ * Reflect across the plane through `point` (the shape's center by default) with the given normal.
+ * @param {Object} base
+ * @param {{x: number, y: number, z: number}} normal
+ * @param {{x: number, y: number, z?: number}} [point]
+ */
+export function mirrorShape(base, normal, point = base.center) {
+  const n = normalize(normal);
+  return aboutPivot(base, {
+    m00: 1 - 2 * n.x * n.x, m01: -2 * n.x * n.y, m02: -2 * n.x * n.z,
+    m10: -2 * n.y * n.x, m11: 1 - 2 * n.y * n.y, m12: -2 * n.y * n.z,
+    m20: -2 * n.z * n.x, m21: -2 * n.z * n.y, m22: 1 - 2 * n.z * n.z
+  }, point);
+}
+
+/**
+ * Shear about a pivot (the shape's center by default): `xy` moves x by xy times y, and so on.
+ * @param {Object} base
+ * @param {{xy?: number, xz?: number, yx?: number, yz?: number, zx?: number, zy?: number}} shear
+ * @param {{x: number, y: number, z?: number}} [pivot]
+ */
+export function shearShape(base, shear, pivot = base.center) {
+  const { xy = 0, xz = 0, yx = 0, yz = 0, zx = 0, zy = 0 } = shear;
+  return aboutPivot(base, { m00: 1, m01: xy, m02: xz, m10: yx, m11: 1, m12: yz, m20: zx, m21: zy, m22: 1 }, pivot);
+}
+
+/**
+ * Rotate counter-clockwise by `angle` about an axis through the pivot (the shape's center by default).
+ * @param {Object} base
+ * @param {{x: number, y: number, z: number}} axis
+ * @param {number} angle - Radians.
+ * @param {{x: number, y: number, z?: number}} [pivot]
+ */
+export function rotateShape(base, axis, angle, pivot = base.center) {
+  const { x, y, z } = normalize(axis);
+  const c = Math.cos(angle), s = Math.sin(angle), k = 1 - c;
+  return aboutPivot(base, {
+    m00: c + x * x * k, m01: x * y * k - z * s, m02: x * z * k + y * s,
+    m10: y * x * k + z * s, m11: c + y * y * k, m12: y * z * k - x * s,
+    m20: z * x * k - y * s, m21: z * y * k + x * s, m22: c + z * z * k
+  }, pivot);
+}
+
+/** @private AffineShape for p -> L (p - pivot) + pivot. */
+function aboutPivot(base, linear, pivot = ORIGIN) {
+  const c = { x: pivot.x, y: pivot.y, z: pivot.z ?? 0 };
+  const lc = applyAffine(linear, ORIGIN, c);
+  return new AffineShape(base, [
+    [linear.m00, linear.m01, linear.m02, c.x - lc.x],
+    [linear.m10, linear.m11, linear.m12, c.y - lc.y],
+    [linear.m20, linear.m21, linear.m22, c.z - lc.z],
+    [0, 0, 0, 1]
+  ]);
+}
+
+/** @private Linear part and translation of a mat4 or mat3, flat column-major or as rows. */
+function parseMatrix(matrix) {
+  const rows = Array.isArray(matrix?.[0]);
+  const size = rows ? matrix.length : Math.sqrt(matrix?.length ?? 0);
+  if (size !== 3 && size !== 4) throw new Error('AffineShape: expected a mat4 or mat3 (16 or 9 entries, or 4 or 3 rows).');
+  const at = (r, c) => (rows ? matrix[r][c] : matrix[c * size + r]);
+  if (size === 4 && (at(3, 0) !== 0 || at(3, 1) !== 0 || at(3, 2) !== 0 || at(3, 3) !== 1)) {
+    throw new Error('AffineShape: the last row of a mat4 must be [0, 0, 0, 1]; projective maps are not affine.');
+  }
+  return {
+    linear: {
+      m00: at(0, 0), m01: at(0, 1), m02: at(0, 2),
+      m10: at(1, 0), m11: at(1, 1), m12: at(1, 2),
+      m20: at(2, 0), m21: at(2, 1), m22: at(2, 2)
+    },
+    translation: size === 4 ? { x: at(0, 3), y: at(1, 3), z: at(2, 3) } : { ...ORIGIN }
+  };
+}
+
+/** @private The map a transform wrapper applies to its own base, or null for plain shapes. */
+function innerTransform(shape) {
+  if (shape instanceof AffineShape) return { base: shape.base, linear: shape, translation: shape.translation };
+  if (shape instanceof TranslatedShape) return { base: shape.base, linear: IDENTITY, translation: shape.offset };
+  if (shape instanceof RotatedShape) {
+    // RotatedShape turns about its center: R p + (c - R c)
+    const c = { x: shape.center.x, y: shape.center.y, z: shape.center.z ?? 0 };
+    const rc = applyAffine(shape, ORIGIN, c);
+    return { base: shape.base, linear: shape, translation: { x: c.x - rc.x, y: c.y - rc.y, z: c.z - rc.z } };
+  }
+  return null;
+}
+
+/** @private */
+function determinant(m) {
+  return m.m00 * (m.m11 * m.m22 - m.m12 * m.m21)
+    - m.m01 * (m.m10 * m.m22 - m.m12 * m.m20)
+    + m.m02 * (m.m10 * m.m21 - m.m11 * m.m20);
+}
+
+/** @private Adjugate over the determinant. */
+function inverse(m, det) {
+  return {
+    m00: (m.m11 * m.m22 - m.m12 * m.m21) / det,
+    m01: (m.m02 * m.m21 - m.m01 * m.m22) / det,
+    m02: (m.m01 * m.m12 - m.m02 * m.m11) / det,
+    m10: (m.m12 * m.m20 - m.m10 * m.m22) / det,
+    m11: (m.m00 * m.m22 - m.m02 * m.m20) / det,
+    m12: (m.m02 * m.m10 - m.m00 * m.m12) / det,
+    m20: (m.m10 * m.m21 - m.m11 * m.m20) / det,
+    m21: (m.m01 * m.m20 - m.m00 * m.m21) / det,
+    m22: (m.m00 * m.m11 - m.m01 * m.m10) / det
+  };
+}
+
+/** @private Entries of the symmetric MᵀM. */
+function gram(m) {
+  const col = j => [m[`m0${j}`], m[`m1${j}`], m[`m2${j}`]];
+  const c = [col(0), col(1), col(2)];
+  const d = (i, j) => c[i][0] * c[j][0] + c[i][1] * c[j][1] + c[i][2] * c[j][2];
+  return { a: d(0, 0), b: d(1, 1), c: d(2, 2), ab: d(0, 1), ac: d(0, 2), bc: d(1, 2) };
+}
+
+/** @private Smallest singular value: root of the least eigenvalue of MᵀM (closed form for 3×3). */
+function smallestSingularValue(m) {
+  const g = gram(m);
+  const off = g.ab * g.ab + g.ac * g.ac + g.bc * g.bc;
+  const q = (g.a + g.b + g.c) / 3;
+  const p = Math.sqrt(((g.a - q) ** 2 + (g.b - q) ** 2 + (g.c - q) ** 2 + 2 * off) / 6);
+  if (p < 1e-15 * q) return Math.sqrt(q);
+  const b = { m00: (g.a - q) / p, m01: g.ab / p, m02: g.ac / p, m10: g.ab / p, m11: (g.b - q) / p, m12: g.bc / p, m20: g.ac / p, m21: g.bc / p, m22: (g.c - q) / p };
+  const phi = Math.acos(Math.min(1, Math.max(-1, determinant(b) / 2))) / 3;
+  return Math.sqrt(Math.max(0, q + 2 * p * Math.cos(phi + 2 * Math.PI / 3)));
+}
+
+/** @private k when MᵀM = k² I (up to rounding), else null. */
+function similarityScale(m) {
+  const g = gram(m);
+  const k2 = (g.a + g.b + g.c) / 3, tolerance = 1e-9 * k2;
+  const equal = Math.abs(g.a - k2) <= tolerance && Math.abs(g.b - k2) <= tolerance && Math.abs(g.c - k2) <= tolerance;
+  const orthogonal = Math.abs(g.ab) <= tolerance && Math.abs(g.ac) <= tolerance && Math.abs(g.bc) <= tolerance;
+  return equal && orthogonal ? Math.sqrt(k2) : null;
+}
@@ -0,0 +1,486 @@
+/**
+ * astro.js
+ * Normalized astrophysical distributions: galactic disks, star clusters, bulges, spiral arms
+ * and elliptical galaxies.
+ *
+ * Each model is a stellar number density in 3D, truncated to a finite region so it has a
+ * `bbox`. Samplers are exact inverse-CDF warps (`fromUnit`), so they work with `sample`,
+ * `sampleQMC` and `sampleInto` like any shape, and `density(p)` integrates to 1 over the
+ * truncated support. Disks lie in the xy-plane around `center`; wrap a model in a
+ * RotatedShape to tilt it.
+ */
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+
+const TABLE_STEPS = 4096;
+
+/**
+ * Exponential disk: surface density exp(-R / scaleLength) and a sech²(z / scaleHeight)
+ * vertical profile (the isothermal sheet).
+ */
+export class ExponentialDisk {
+  /**
+   * @param {{x: number, y: number, z: number}} center
+   * @param {Object} [options]
+   * @param {number} [options.scaleLength=1]
+   * @param {number} [options.scaleHeight=0.1]
+   * @param {number} [options.maxRadius=5 * scaleLength] - Truncation radius.
+   * @param {number} [options.maxHeight=5 * scaleHeight] - Truncation height above and below the plane.
+   */
+  constructor(center, options = {}) {
+    this.center = { x: center.x, y: center.y, z: center.z ?? 0 };
+    this.scaleLength = options.scaleLength ?? 1;
+    this.scaleHeight = options.scaleHeight ?? 0.1;
+    this.maxRadius = options.maxRadius ?? 5 * this.scaleLength;
+    this.maxHeight = options.maxHeight ?? 5 * this.scaleHeight;
+    this.dimension = 3;
+
+    this._radial = new ExponentialRadius(this.scaleLength, 0, this.maxRadius);
+    this._vertical = new Sech2Height(this.scaleHeight, this.maxHeight);
+    this.bbox = diskBBox(this.center, this.maxRadius, this.maxHeight);
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  fromUnit(u, v, w, out = {}) {
+    const r = this._radial.inverse(u);
+    const phi = 2 * Math.PI * v;
+    out.x = this.center.x + r * Math.cos(phi);
+    out.y = this.center.y + r * Math.sin(phi);
+    out.z = this.center.z + this._vertical.inverse(w);
+    return out;
+  }
+
+  /** Normalized number density at p. */
+  density(p) {
+    if (!this.contains(p, 0)) return 0;
+    const r = Math.hypot(p.x - this.center.x, p.y - this.center.y);
+    return this._radial.surface(r) * this._vertical.pdf(p.z - this.center.z);
+  }
+
+  contains(p, epsilon = 1e-9) {
+    return inDisk(this.center, this.maxRadius, this.maxHeight, p, epsilon);
+  }
+}
+
+/**
+ * Logarithmic spiral arms: stars along R = innerRadius * exp((theta - theta_k) tan(pitch)),
+ * with an exponential radial falloff, Gaussian angular scatter around each arm and a sech²
+ * vertical profile.
+ */
+export class SpiralArms {
+  /**
+   * @param {{x: number, y: number, z: number}} center
+   * @param {Object} [options]
+   * @param {number} [options.arms=2] - Number of arms, evenly spaced in angle.
+   * @param {number} [options.pitch=Math.PI / 12] - Pitch angle in radians (angle between arm and circle).
+   * @param {number} [options.scatter=0.2] - Standard deviation of the angular offset from an arm, in radians.
+   * @param {number} [options.innerRadius=0.5] - Where the arms start.
+   * @param {number} [options.outerRadius=5] - Where the arms end.
+   * @param {number} [options.scaleLength=outerRadius / 3] - Radial falloff of the surface density.
+   * @param {number} [options.scaleHeight=0.1]
+   * @param {number} [options.maxHeight=5 * scaleHeight]
+   * @param {number} [options.phase=0] - Angle at which the first arm leaves the inner radius.
+   */
+  constructor(center, options = {}) {
+    this.center = { x: center.x, y: center.y, z: center.z ?? 0 };
+    this.arms = options.arms ?? 2;
+    this.pitch = options.pitch ?? Math.PI / 12;
+    this.scatter = options.scatter ?? 0.2;
+    this.innerRadius = options.innerRadius ?? 0.5;
+    this.outerRadius = options.outerRadius ?? 5;
+    this.scaleLength = options.scaleLength ?? this.outerRadius / 3;
+    this.scaleHeight = options.scaleHeight ?? 0.1;
+    this.maxHeight = options.maxHeight ?? 5 * this.scaleHeight;
+    this.phase = options.phase ?? 0;
+    this.dimension = 3;
+
+    if (!(this.pitch > 0 && this.pitch < Math.PI / 2)) {
+      throw new RangeError(`SpiralArms: pitch must lie in (0, pi/2), got ${this.pitch}.`);
+    }
+    this._winding = 1 / Math.tan(this.pitch);
+    this._radial = new ExponentialRadius(this.scaleLength, this.innerRadius, this.outerRadius);
+    this._vertical = new Sech2Height(this.scaleHeight, this.maxHeight);
+    this.bbox = diskBBox(this.center, this.outerRadius, this.maxHeight);
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /** `u` picks the arm and the radius, `v` the angular offset, `w` the height. */
+  fromUnit(u, v, w, out = {}) {
+    const k = Math.min(Math.floor(u * this.arms), this.arms - 1);
+    const r = this._radial.inverse(u * this.arms - k);
+    const theta = this._armAngle(r, k) + this.scatter * inverseNormal(v);
+    out.x = this.center.x + r * Math.cos(theta);
+    out.y = this.center.y + r * Math.sin(theta);
+    out.z = this.center.z + this._vertical.inverse(w);
+    return out;
+  }
+
+  /** Normalized number density at p (a wrapped normal around every arm). */
+  density(p) {
+    if (!this.contains(p, 0)) return 0;
+    const dx = p.x - this.center.x, dy = p.y - this.center.y;
+    const r = Math.hypot(dx, dy);
+    const theta = Math.atan2(dy, dx);
+    const sigma = this.scatter;
+    const wraps = Math.ceil(4 * sigma / (2 * Math.PI)) + 1;
+    let angular = 0;
+    for (let k = 0; k < this.arms; k++) {
+      const offset = theta - this._armAngle(r, k);
+      const d = offset - 2 * Math.PI * Math.round(offset / (2 * Math.PI));
+      for (let n = -wraps; n <= wraps; n++) {
+        const e = (d + 2 * Math.PI * n) / sigma;
+        angular += Math.exp(-0.5 * e * e);
+      }
+    }
+    angular /= this.arms * sigma * Math.sqrt(2 * Math.PI);
+    return 2 * Math.PI * this._radial.surface(r) * angular * this._vertical.pdf(p.z - this.center.z);
+  }
+
+  contains(p, epsilon = 1e-9) {
+    const r = Math.hypot(p.x - this.center.x, p.y - this.center.y);
+    return r >= this.innerRadius - epsilon && inDisk(this.center, this.outerRadius, this.maxHeight, p, epsilon);
+  }
+
+  /** @private */
+  _armAngle(r, k) {
+    return this.phase + 2 * Math.PI * k / this.arms + Math.log(r / this.innerRadius) * this._winding;
+  }
+}
+
+/**
+ * Spheroidal models: a spherical density profile rho(m) stretched along y and z, with
+ * m² = x² + (y / axisRatios.y)² + (z / axisRatios.z)², truncated at m = maxRadius.
+ * @private
+ */
+class Spheroid {
+  constructor(center, maxRadius, axisRatios = {}) {
+    this.center = { x: center.x, y: center.y, z: center.z ?? 0 };
+    this.maxRadius = maxRadius;
+    this.axisRatios = { y: axisRatios.y ?? 1, z: axisRatios.z ?? 1 };
+    this.dimension = 3;
+
+    const r = maxRadius;
+    const { y: qy, z: qz } = this.axisRatios;
+    this.bbox = {
+      minX: this.center.x - r, maxX: this.center.x + r,
+      minY: this.center.y - r * qy, maxY: this.center.y + r * qy,
+      minZ: this.center.z - r * qz, maxZ: this.center.z + r * qz
+    };
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /** `u` picks the (ellipsoidal) radius through the enclosed-mass profile, `v` and `w` the direction. */
+  fromUnit(u, v, w, out = {}) {
+    const m = this._radius(u);
+    const theta = 2 * Math.PI * v;
+    const cosP = 2 * w - 1;
+    const sinP = Math.sqrt(1 - cosP * cosP);
+    out.x = this.center.x + m * sinP * Math.cos(theta);
+    out.y = this.center.y + m * sinP * Math.sin(theta) * this.axisRatios.y;
+    out.z = this.center.z + m * cosP * this.axisRatios.z;
+    return out;
+  }
+
+  /** Normalized number density at p. */
+  density(p) {
+    const m = this._ellipticalRadius(p);
+    if (m > this.maxRadius) return 0;
+    return this._rho(m) / (this.axisRatios.y * this.axisRatios.z);
+  }
+
+  contains(p, epsilon = 1e-9) {
+    return this._ellipticalRadius(p) <= this.maxRadius + epsilon;
+  }
+
+  /** @private */
+  _ellipticalRadius(p) {
+    return Math.hypot(
+      p.x - this.center.x,
+      (p.y - this.center.y) / this.axisRatios.y,
+      ((p.z ?? 0) - this.center.z) / this.axisRatios.z
+    );
+  }
+}
+
+withSampleQMC(ExponentialDisk, SpiralArms, Spheroid);
+withSampleInto(ExponentialDisk, SpiralArms, Spheroid);
+
+/**
+ * Plummer sphere: rho ∝ (1 + r² / a²)^(-5/2), the classic model of globular clusters.
+ * The enclosed mass r³ / (r² + a²)^(3/2) inverts in closed form.
+ */
+export class PlummerSphere extends Spheroid {
+  /**
+   * @param {{x: number, y: number, z: number}} center
+   * @param {Object} [options]
+   * @param {number} [options.scaleRadius=1] - Plummer radius a (the core size).
+   * @param {number} [options.maxRadius=10 * scaleRadius] - Truncation radius.
+   */
+  constructor(center, options = {}) {
+    const a = options.scaleRadius ?? 1;
+    super(center, options.maxRadius ?? 10 * a);
+    this.scaleRadius = a;
+    this._massInside = this._mass(this.maxRadius);
+  }
+
+  /** @private */
+  _mass(r) {
+    return (r / Math.hypot(r, this.scaleRadius)) ** 3;
+  }
+
+  /** @private */
+  _radius(u) {
+    const m = u * this._massInside;
+    if (m <= 0) return 0;
+    return this.scaleRadius / Math.sqrt(Math.max(m ** (-2 / 3) - 1, 0));
+  }
+
+  /** @private */
+  _rho(r) {
+    const a = this.scaleRadius;
+    return 3 / (4 * Math.PI * a ** 3) * (1 + r * r / (a * a)) ** -2.5 / this._massInside;
+  }
+}
+
+/**
+ * King (1962) cluster: a core of radius `coreRadius` that falls to zero density at the
+ * tidal radius. Its enclosed mass has no closed form, so the radius is drawn from a table.
+ */
+export class KingSphere extends Spheroid {
+  /**
+   * @param {{x: number, y: number, z: number}} center
+   * @param {Object} [options]
+   * @param {number} [options.coreRadius=1]
+   * @param {number} [options.tidalRadius=10 * coreRadius] - Where the density reaches zero.
+   */
+  constructor(center, options = {}) {
+    const rc = options.coreRadius ?? 1;
+    const rt = options.tidalRadius ?? 10 * rc;
+    super(center, rt);
+    this.coreRadius = rc;
+    this.tidalRadius = rt;
+
+    const edge = 1 + (rt / rc) ** 2;
+    this._shape = r => {
+      // King's space density in terms of z = sqrt((1 + r²/rc²) / (1 + rt²/rc²))
+      const z = Math.min(Math.sqrt((1 + (r / rc) ** 2) / edge), 1);
+      return (Math.acos(z) / z - Math.sqrt(1 - z * z)) / (z * z);
+    };
+    this._table = new RadialTable(r => r * r * this._shape(r), rt);
+  }
+
+  /** @private */
+  _radius(u) {
+    return this._table.inverse(u);
+  }
+
+  /** @private */
+  _rho(r) {
+    return this._shape(r) / (4 * Math.PI * this._table.total);
+  }
+}
+
+/**
+ * Elliptical galaxy: a Sérsic profile of index n, deprojected with the Prugniel–Simien
+ * approximation rho ∝ (r / Re)^(-p) exp(-b (r / Re)^(1/n)), so the projected light follows
+ * I(R) ∝ exp(-b (R / Re)^(1/n)) with half of it inside R = effectiveRadius. Flatten it with
+ * `axisRatios` (y/x and z/x).
+ */
+export class EllipticalGalaxy extends Spheroid {
+  /**
+   * @param {{x: number, y: number, z: number}} center
+   * @param {Object} [options]
+   * @param {number} [options.effectiveRadius=1] - Projected half-light radius Re.
+   * @param {number} [options.sersicIndex=4] - 4 is de Vaucouleurs' law, 1 an exponential.
+   * @param {{y?: number, z?: number}} [options.axisRatios] - Axis ratios relative to x (default 1).
+   * @param {number} [options.maxRadius=20 * effectiveRadius] - Truncation radius along x.
+   */
+  constructor(center, options = {}) {
+    const re = options.effectiveRadius ?? 1;
+    super(center, options.maxRadius ?? 20 * re, options.axisRatios);
+    this.effectiveRadius = re;
+    this.sersicIndex = options.sersicIndex ?? 4;
+
+    const n = this.sersicIndex;
+    const b = 2 * n - 1 / 3 + 4 / (405 * n) + 46 / (25515 * n * n);
+    const p = 1 - 0.6097 / n + 0.05563 / (n * n);
+    this._shape = r => (r / re) ** -p * Math.exp(-b * (r / re) ** (1 / n));
+    this._table = new RadialTable(r => r * r * this._shape(r), this.maxRadius);
+  }
+
+  /** @private */
+  _radius(u) {
+    return this._table.inverse(u);
+  }
+
+  /** @private */
+  _rho(r) {
+    return this._shape(r) / (4 * Math.PI * this._table.total);
+  }
+}
+
+/**
+ * de Vaucouleurs bulge: the n = 4 Sérsic spheroid, optionally flattened along z.
+ */
+export class DeVaucouleursBulge extends EllipticalGalaxy {
+  /**
+   * @param {{x: number, y: number, z: number}} center
+   * @param {Object} [options]
+   * @param {number} [options.effectiveRadius=1] - Projected half-light radius.
+   * @param {number} [options.flattening=1] - Vertical axis ratio c/a.
+   * @param {number} [options.maxRadius=20 * effectiveRadius]
+   */
+  constructor(center, options = {}) {
+    super(center, {
+      effectiveRadius: options.effectiveRadius,
+      sersicIndex: 4,
+      axisRatios: { y: 1, z: options.flattening ?? 1 },
+      maxRadius: options.maxRadius
+    });
+  }
+}
+
+/**
+ * Radius with density ∝ R exp(-R / h) on [rMin, rMax] (an exponential surface density).
+ * The CDF 1 - (1 + x) e^-x is inverted by safeguarded Newton steps.
+ * @private
+ */
+class ExponentialRadius {
+  constructor(h, rMin, rMax) {
+    this.h = h;
+    this.xMin = rMin / h;
+    this.xMax = rMax / h;
+    this.cMin = gammaTwoCdf(this.xMin);
+    this.span = gammaTwoCdf(this.xMax) - this.cMin;
+  }
+
+  inverse(u) {
+    const target = this.cMin + u * this.span;
+    let lo = this.xMin, hi = this.xMax, x = lo + u * (hi - lo);
+    for (let i = 0; i < 60; i++) {
+      const f = gammaTwoCdf(x) - target;
+      if (Math.abs(f) < 1e-14) break;
+      if (f > 0) hi = x; else lo = x;
+      const step = f / (x * Math.exp(-x));
+      const next = x - step;
+      x = next > lo && next < hi && Number.isFinite(next) ? next : (lo + hi) / 2;
+    }
+    return x * this.h;
+  }
+
+  /** Density per unit area of the plane (the radius itself has density 2 pi R times this). */
+  surface(r) {
+    const x = r / this.h;
+    if (x < this.xMin || x > this.xMax) return 0;
+    return Math.exp(-x) / (2 * Math.PI * this.h * this.h * this.span);
+  }
+}
+
+/**
+ * Height with density ∝ sech²(z / h) on [-zMax, zMax]; its CDF is a tanh.
+ * @private
+ */
+class Sech2Height {
+  constructor(h, zMax) {
+    this.h = h;
+    this.zMax = zMax;
+    this.t = Math.tanh(zMax / h);
+  }
+
+  inverse(w) {
+    return this.h * Math.atanh((2 * w - 1) * this.t);
+  }
+
+  pdf(z) {
+    if (Math.abs(z) > this.zMax) return 0;
+    const c = Math.cosh(z / this.h);
+    return 1 / (c * c * 2 * this.h * this.t);
+  }
+}
+
+/**
+ * Tabulated CDF of an unnormalized radial density on [0, rMax], inverted by binary search.
+ * Nodes crowd towards the center (r ∝ i²), where concentrated profiles put their mass.
+ * @private
+ */
+class RadialTable {
+  constructor(f, rMax, steps = TABLE_STEPS) {
+    this.radii = new Float64Array(steps + 1);
+    this.cdf = new Float64Array(steps + 1);
+    let prev = 0;
+    for (let i = 1; i <= steps; i++) {
+      const r = rMax * (i / steps) ** 2;
+      const value = f(r);
+      this.radii[i] = r;
+      this.cdf[i] = this.cdf[i - 1] + 0.5 * (prev + value) * (r - this.radii[i - 1]);
+      prev = value;
+    }
+    this.total = this.cdf[steps];
+  }
+
+  inverse(u) {
+    const target = u * this.total;
+    let lo = 0, hi = this.cdf.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (this.cdf[mid] < target) lo = mid; else hi = mid;
+    }
+    const span = this.cdf[hi] - this.cdf[lo];
+    const t = span > 0 ? (target - this.cdf[lo]) / span : 0;
+    return this.radii[lo] + t * (this.radii[hi] - this.radii[lo]);
+  }
+}
+
+/** @private CDF of the Gamma(2, 1) distribution. */
+function gammaTwoCdf(x) {
+  return 1 - (1 + x) * Math.exp(-x);
+}
+
+/** @private */
+function diskBBox(c, r, h) {
+  return { minX: c.x - r, maxX: c.x + r, minY: c.y - r, maxY: c.y + r, minZ: c.z - h, maxZ: c.z + h };
+}
+
+/** @private */
+function inDisk(c, r, h, p, epsilon) {
+  return Math.hypot(p.x - c.x, p.y - c.y) <= r + epsilon && Math.abs((p.z ?? 0) - c.z) <= h + epsilon;
+}
+
+/**
+ * @private Standard normal quantile (Acklam's rational approximation, relative error
+ * below 1.2e-9). Clamped so that u = 0 and u = 1 stay finite.
+ */
+function inverseNormal(u) {
+  const p = Math.min(Math.max(u, 1e-12), 1 - 1e-12);
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return normalTail(q);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -normalTail(q);
+  }
+  const q = p - 0.5, r = q * q;
+  return (((((-3.969683028665376e+01 * r + 2.209460984245205e+02) * r - 2.759285104469687e+02) * r +
+    1.383577518672690e+02) * r - 3.066479806614716e+01) * r + 2.506628277459239e+00) * q /
+    (((((-5.447609879822406e+01 * r + 1.615858368580409e+02) * r - 1.556989798598866e+02) * r +
+    6.680131188771972e+01) * r - 1.328068155288572e+01) * r + 1);
+}
+
+/** @private Lower tail of inverseNormal, with q = sqrt(-2 ln p). */
+function normalTail(q) {
+  return (((((-7.784894002430293e-03 * q - 3.223964580411365e-01) * q - 2.400758277161838e+00) * q -
+    2.549732539343734e+00) * q + 4.374664141464968e+00) * q + 2.938163982698783e+00) /
+    ((((7.784695709041462e-03 * q + 3.224671290700398e-01) * q + 2.445134137142996e+00) * q +
+    3.754408661907416e+00) * q + 1);
+}
@@ -0,0 +1,189 @@
+/**
+ * blue_noise.js
+ * Poisson-disk (blue-noise) sampling for any shape with `sample()`, `contains()` and `bbox`.
+ *
+ * Two strategies share one spatial hash:
+ * - 'dart':    Dart throwing with the shape's own uniform sampler. Works for
+ *              every shape, including paths and tilted 2D shapes.
+ * - 'bridson': Bridson's algorithm, growing from accepted points. Needs a
+ *              volume (or a flat 2D shape in the XY plane) so that candidates
+ *              can be filtered with `contains()`.
+ */
+
+// Radius for a target count, as a fraction of (measure / count)^(1/d).
+// Chosen below the random-sequential-adsorption jamming limit so the count is reachable.
+const COUNT_RADIUS_FACTOR = { 1: 0.65, 2: 0.75, 3: 0.8 };
+
+/**
+ * Returns points of `shape` spaced no closer than a minimum distance.
+ *
+ * @param {{sample: Function, contains?: Function, bbox: Object, dimension?: number}} shape
+ * @param {Object} options
+ * @param {number} [options.radius] - Minimum distance between points.
+ * @param {number} [options.count] - Target number of points. Derives a radius when none is given.
+ * @param {'dart'|'bridson'} [options.method] - Defaults to 'bridson' where supported, else 'dart'.
+ * @param {number} [options.maxFailures=1000] - Consecutive rejected darts before stopping.
+ * @param {number} [options.candidates=30] - Bridson candidates per active point.
+ * @param {() => number} [options.rng=Math.random]
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+export function samplePoissonDisk(shape, options = {}) {
+  const rng = options.rng ?? Math.random;
+  const count = options.count ?? Infinity;
+  const dimension = shape.dimension ?? 3;
+  const radius = options.radius ?? radiusForCount(shape, count, dimension);
+
+  if (!(radius > 0)) {
+    throw new Error('samplePoissonDisk requires a positive radius or a finite target count.');
+  }
+
+  const planar = dimension === 2 && isFlat(shape.bbox);
+  const canGrow = typeof shape.contains === 'function' && (dimension === 3 || planar);
+  const method = options.method ?? (canGrow ? 'bridson' : 'dart');
+
+  if (method === 'bridson' && !canGrow) {
+    throw new Error("Bridson sampling needs a volume or a flat 2D shape with contains(); use method: 'dart'.");
+  }
+
+  const grid = new SpatialHash(radius);
+  const maxFailures = options.maxFailures ?? 1000;
+
+  if (method === 'dart') {
+    let failures = 0;
+    while (grid.points.length < count && failures < maxFailures) {
+      // A 'return-null' composite that gave up counts as a rejected dart
+      const p = shape.sample(rng);
+      if (p !== null && grid.isFree(p)) { grid.insert(p); failures = 0; }
+      else failures++;
+    }
+    return grid.points;
+  }
+
+  if (method !== 'bridson') throw new Error(`Unknown Poisson-disk method "${method}".`);
+
+  const k = options.candidates ?? 30;
+  const active = [];
+  let seedFailures = 0;
+
+  while (grid.points.length < count) {
+    if (active.length === 0) {
+      // (Re)seed with a dart, which also reaches disconnected components
+      const seed = shape.sample(rng);
+      if (seed === null || !grid.isFree(seed)) {
+        if (++seedFailures >= maxFailures) break;
+        continue;
+      }
+      seedFailures = 0;
+      grid.insert(seed);
+      active.push(seed);
+      continue;
+    }
+
+    const slot = Math.floor(rng() * active.length);
+    const origin = active[slot];
+    let found = false;
+
+    for (let i = 0; i < k && grid.points.length < count; i++) {
+      const c = planar
+        ? annulusCandidate(origin, radius, rng)
+        : shellCandidate(origin, radius, rng);
+      if (!insideBBox(c, shape.bbox) || !shape.contains(c) || !grid.isFree(c)) continue;
+      grid.insert(c);
+      active.push(c);
+      found = true;
+    }
+
+    if (!found) {
+      active[slot] = active[active.length - 1];
+      active.pop();
+    }
+  }
+
+  return grid.points;
+}
+
+/**
+ * Uniform grid keyed by integer cell coordinates, with cell size equal to the radius.
+ * @private
+ */
+class SpatialHash {
+  constructor(radius) {
+    this.radius = radius;
+    this.r2 = radius * radius;
+    this.inv = 1 / radius;
+    this.cells = new Map();
+    this.points = [];
+  }
+
+  key(ix, iy, iz) {
+    // Exact integer keys (< 2^53) for |i| < 2^16 cells per axis
+    return ((ix + 65536) * 131072 + (iy + 65536)) * 131072 + (iz + 65536);
+  }
+
+  insert(p) {
+    const point = { x: p.x, y: p.y, z: p.z ?? 0 };
+    const k = this.key(Math.floor(point.x * this.inv), Math.floor(point.y * this.inv), Math.floor(point.z * this.inv));
+    let cell = this.cells.get(k);
+    if (!cell) this.cells.set(k, (cell = []));
+    cell.push(point);
+    this.points.push(point);
+  }
+
+  isFree(p) {
+    const z = p.z ?? 0;
+    const cx = Math.floor(p.x * this.inv), cy = Math.floor(p.y * this.inv), cz = Math.floor(z * this.inv);
+    for (let ix = cx - 1; ix <= cx + 1; ix++) {
+      for (let iy = cy - 1; iy <= cy + 1; iy++) {
+        for (let iz = cz - 1; iz <= cz + 1; iz++) {
+          const cell = this.cells.get(this.key(ix, iy, iz));
+          if (!cell) continue;
+          for (const q of cell) {
+            const dx = q.x - p.x, dy = q.y - p.y, dz = q.z - z;
+            if (dx * dx + dy * dy + dz * dz < this.r2) return false;
+          }
+        }
+      }
+    }
+    return true;
+  }
+}
+
+/** @private */
+function radiusForCount(shape, count, dimension) {
+  if (!Number.isFinite(count) || count <= 0) return NaN;
+  const measure = dimension === 3 ? shape.volume
+    : dimension === 2 ? (shape.area ?? shape.volume)
+    : (shape.totalLength ?? shape.volume ?? shape.area);
+  return (COUNT_RADIUS_FACTOR[dimension] ?? 0.8) * Math.pow(measure / count, 1 / dimension);
+}
+
+/** @private */
+function isFlat(bbox) {
+  return bbox.minZ === undefined || bbox.maxZ === undefined || bbox.minZ === bbox.maxZ;
+}
+
+/** @private */
+function insideBBox(p, b) {
+  return p.x >= b.minX && p.x <= b.maxX && p.y >= b.minY && p.y <= b.maxY &&
+    (b.minZ === undefined || b.minZ === b.maxZ || (p.z >= b.minZ && p.z <= b.maxZ));
+}
+
+/** @private Uniform point in the annulus [r, 2r] around p, within the plane z = p.z. */
+function annulusCandidate(p, r, rng) {
+  const rho = r * Math.sqrt(1 + 3 * rng());
+  const t = rng() * 2 * Math.PI;
+  return { x: p.x + rho * Math.cos(t), y: p.y + rho * Math.sin(t), z: p.z };
+}
+
+/** @private Uniform point in the spherical shell [r, 2r] around p. */
+function shellCandidate(p, r, rng) {
+  const rho = r * Math.cbrt(1 + 7 * rng());
+  const t = rng() * 2 * Math.PI;
+  const cosP = 2 * rng() - 1;
+  const sinP = Math.sqrt(1 - cosP * cosP);
+  return {
+    x: p.x + rho * sinP * Math.cos(t),
+    y: p.y + rho * sinP * Math.sin(t),
+    z: (p.z ?? 0) + rho * cosP
+  };
+}
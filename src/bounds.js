@@ -0,0 +1,106 @@
+/**
+ * bounds.js
+ * Bounding boxes of shapes under linear maps, for tight boxes around rotated children.
+ *
+ * Linear parts are plain objects with row-major entries m00..m22 (RotatedShape and
+ * AffineShape instances qualify), and the map is p -> M p + t. Shapes may implement `transformedBBox(m, t)`
+ * to return an exact box; everything else falls back to mapping the corners of `bbox`.
+ */
+
+export const IDENTITY = { m00: 1, m01: 0, m02: 0, m10: 0, m11: 1, m12: 0, m20: 0, m21: 0, m22: 1 };
+
+/** Product a * b of two linear parts. */
+export function composeLinear(a, b) {
+  return {
+    m00: a.m00 * b.m00 + a.m01 * b.m10 + a.m02 * b.m20,
+    m01: a.m00 * b.m01 + a.m01 * b.m11 + a.m02 * b.m21,
+    m02: a.m00 * b.m02 + a.m01 * b.m12 + a.m02 * b.m22,
+    m10: a.m10 * b.m00 + a.m11 * b.m10 + a.m12 * b.m20,
+    m11: a.m10 * b.m01 + a.m11 * b.m11 + a.m12 * b.m21,
+    m12: a.m10 * b.m02 + a.m11 * b.m12 + a.m12 * b.m22,
+    m20: a.m20 * b.m00 + a.m21 * b.m10 + a.m22 * b.m20,
+    m21: a.m20 * b.m01 + a.m21 * b.m11 + a.m22 * b.m21,
+    m22: a.m20 * b.m02 + a.m21 * b.m12 + a.m22 * b.m22
+  };
+}
+
+/** M p + t. Missing z counts as 0. */
+export function applyAffine(m, t, p) {
+  const z = p.z ?? 0;
+  return {
+    x: m.m00 * p.x + m.m01 * p.y + m.m02 * z + t.x,
+    y: m.m10 * p.x + m.m11 * p.y + m.m12 * z + t.y,
+    z: m.m20 * p.x + m.m21 * p.y + m.m22 * z + t.z
+  };
+}
+
+/** World box of `shape` under p -> M p + t, exact where the shape provides a hook. */
+export function boundsOf(shape, m, t) {
+  if (typeof shape.transformedBBox === 'function') return shape.transformedBBox(m, t);
+  return transformBBox(shape.bbox, m, t, shape.center?.z ?? 0);
+}
+
+/** Box around the mapped corners of `bbox`. A missing z range is the plane at height `z`. */
+export function transformBBox(bbox, m, t, z = 0) {
+  const zs = bbox.minZ === undefined ? [z] : [bbox.minZ, bbox.maxZ];
+  const corners = [];
+  for (const x of [bbox.minX, bbox.maxX]) {
+    for (const y of [bbox.minY, bbox.maxY]) {
+      for (const cz of zs) corners.push({ x, y, z: cz });
+    }
+  }
+  return pointsBBox(corners, m, t);
+}
+
+/** Box around mapped points. */
+export function pointsBBox(points, m, t) {
+  const box = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  for (const p of points) {
+    const q = applyAffine(m, t, p);
+    if (q.x < box.minX) box.minX = q.x; if (q.x > box.maxX) box.maxX = q.x;
+    if (q.y < box.minY) box.minY = q.y; if (q.y > box.maxY) box.maxY = q.y;
+    if (q.z < box.minZ) box.minZ = q.z; if (q.z > box.maxZ) box.maxZ = q.z;
+  }
+  return box;
+}
+
+/**
+ * Box of the ellipsoid (or ellipse, or disk) { c + sum_j s_j a_j : |s| <= 1 } after the map.
+ * Along each world axis the half-extent is the norm of the mapped semi-axes' components.
+ * @param {{x: number, y: number, z?: number}} c - Center.
+ * @param {Array<{x: number, y: number, z: number}>} axes - Semi-axis vectors.
+ * @param {Object} m
+ * @param {{x: number, y: number, z: number}} t
+ * @param {{x: number, y: number, z: number}} [pad] - Extra half-extent per axis (Minkowski sum with a box).
+ */
+export function ellipticBBox(c, axes, m, t, pad = { x: 0, y: 0, z: 0 }) {
+  let ex = 0, ey = 0, ez = 0;
+  for (const a of axes) {
+    const q = applyAffine(m, { x: 0, y: 0, z: 0 }, a);
+    ex += q.x * q.x; ey += q.y * q.y; ez += q.z * q.z;
+  }
+  const o = applyAffine(m, t, c);
+  ex = Math.sqrt(ex) + pad.x; ey = Math.sqrt(ey) + pad.y; ez = Math.sqrt(ez) + pad.z;
+  return { minX: o.x - ex, maxX: o.x + ex, minY: o.y - ey, maxY: o.y + ey, minZ: o.z - ez, maxZ: o.z + ez };
+}
+
+/**
+ * Half-extents per world axis of a ball of radius `r` after the linear map: r times the
+ * norm of each row. Use as the `pad` of ellipticBBox for shapes swept by a ball.
+ */
+export function ballPad(m, r) {
+  return {
+    x: r * Math.hypot(m.m00, m.m01, m.m02),
+    y: r * Math.hypot(m.m10, m.m11, m.m12),
+    z: r * Math.hypot(m.m20, m.m21, m.m22)
+  };
+}
+
+/** Smallest box holding both. */
+export function mergeBBox(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX), maxX: Math.max(a.maxX, b.maxX),
+    minY: Math.min(a.minY, b.minY), maxY: Math.max(a.maxY, b.maxY),
+    minZ: Math.min(a.minZ, b.minZ), maxZ: Math.max(a.maxZ, b.maxZ)
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * buffers.js
+ * Bulk sampling straight into typed arrays (e.g. interleaved WebGL vertex buffers).
+ */
+
+/**
+ * Fills `target` with `count` samples of `shape` without allocating per point.
+ * A single scratch object is reused through the shapes' `sample(rng, out)` path.
+ * Points a composite fails to produce under the 'return-null' policy are written as NaN.
+ *
+ * @param {{sample: Function}} shape
+ * @param {Float32Array|Float64Array|number[]} target
+ * @param {number} count - Number of points to write.
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Index of the first x component.
+ * @param {number} [options.stride=3] - Distance (in elements) between consecutive points.
+ * @param {() => number} [options.rng=Math.random] - Random source.
+ * @returns {Float32Array|Float64Array|number[]} The target array.
+ */
+export function sampleInto(shape, target, count, options = {}) {
+  const offset = options.offset ?? 0;
+  const stride = options.stride ?? 3;
+  const rng = options.rng ?? Math.random;
+
+  if (stride < 3) throw new RangeError(`sampleInto: stride must be at least 3, got ${stride}.`);
+  if (count > 0 && offset + (count - 1) * stride + 3 > target.length) {
+    throw new RangeError(`sampleInto: ${count} points at offset ${offset} with stride ${stride} overflow a buffer of length ${target.length}.`);
+  }
+
+  const p = { x: 0, y: 0, z: 0 };
+  for (let i = 0, idx = offset; i < count; i++, idx += stride) {
+    if (shape.sample(rng, p) === null) {
+      // A composite with the 'return-null' failure policy gave up on this point
+      target[idx] = target[idx + 1] = target[idx + 2] = NaN;
+      continue;
+    }
+    target[idx]     = p.x;
+    target[idx + 1] = p.y;
+    target[idx + 2] = p.z ?? 0;
+  }
+  return target;
+}
+
+/** @private The one `sampleInto` method every shape class shares. */
+const BUFFER_METHODS = {
+  sampleInto(target, count, options = {}) {
+    return sampleInto(this, target, count, options);
+  }
+};
+
+/**
+ * Gives shape classes a `sampleInto(target, count, options)` method that fills typed arrays
+ * through their `sample(rng, out)` path (see `sampleInto` above). Subclasses inherit it.
+ * @param {...Function} classes
+ */
+export function withSampleInto(...classes) {
+  for (const Shape of classes) {
+    Object.defineProperty(Shape.prototype, 'sampleInto', {
+      value: BUFFER_METHODS.sampleInto, writable: true, configurable: true
+    });
+  }
+}
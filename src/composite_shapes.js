@@ -2,12 +2,46 @@
  * composite_shapes.js
  * Boolean operations for 2D and 3D geometric sampling.
  */
+import { withSampleInto } from './buffers.js';
+import { createRng } from './random.js';
+import { boundsOf, mergeBBox } from './bounds.js';
+
+const FAILURE_POLICIES = ['fallback', 'throw', 'return-null'];
 
 export class CompositeShape {
+  /**
+   * Modes: 'union', 'intersection', 'difference' (the first child minus all others),
+   * 'xor' (inside an odd number of children) and 'exclusive' (inside exactly one child).
+   * For two children 'xor' and 'exclusive' agree.
+   *
+   * @param {'union'|'intersection'|'difference'|'xor'|'exclusive'|'faulty_union'} type
+   * @param {Array<Object>} shapes
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=1000] - Rejection attempts per sample.
+   * @param {'fallback'|'throw'|'return-null'} [options.failurePolicy='fallback'] - What `sample()` does
+   *   when every attempt is rejected: return an unchecked sample of the first child (intersections
+   *   have none and throw), throw, or return null.
+   * @param {number} [options.precision=0.01] - Target relative standard error of the Monte Carlo measure.
+   * @param {number} [options.maxEstimateSamples=200000] - Upper bound on Monte Carlo samples for the measure.
+   * @param {number|string} [options.seed=0] - Seed for the measure estimator, so weights are reproducible.
+   */
   constructor(type, shapes, options = {}) {
     this.type = type;
     this.shapes = shapes;
     this.maxAttempts = options.maxAttempts ?? 1000;
+    this.failurePolicy = options.failurePolicy ?? 'fallback';
+    if (!FAILURE_POLICIES.includes(this.failurePolicy)) {
+      throw new Error(`Unknown failure policy "${this.failurePolicy}". Expected ${FAILURE_POLICIES.join(', ')}.`);
+    }
+    this.counters = { samples: 0, attempts: 0, accepted: 0, fallbacks: 0, failures: 0 };
+    this._control = { policy: this.failurePolicy, stats: this.counters };
+    this._cutters = shapes.slice(1);
+    this.dimension = shapes[0]?.dimension;
+    this.convex = type === 'intersection' && shapes.every(s => s.convex);
+    this.precision = options.precision ?? 0.01;
+    this.maxEstimateSamples = options.maxEstimateSamples ?? 200000;
+    this.seed = options.seed ?? 0;
+    this._measure = null;
 
     // Standard properties
     this.bbox = this._calculateBBox();
@@ -15,11 +49,38 @@ export class CompositeShape {
     this.center = {
       x: (this.bbox.minX + this.bbox.maxX) / 2,
       y: (this.bbox.minY + this.bbox.maxY) / 2,
-      z: (this.bbox.minZ + this.bbox.maxZ) / 2
+      // 2D bounding boxes (a difference keeps its base's) have no z extent
+      z: ((this.bbox.minZ ?? 0) + (this.bbox.maxZ ?? 0)) / 2
     };
+  }
+
+  /** Volume (or area, for 2D children) of the region. Computed on first access, then cached. */
+  get volume() {
+    return this.measure().value;
+  }
 
-    this.volume = this._calculateVolume();
-    this.area = this.volume; 
+  get area() {
+    return this.measure().value;
+  }
+
+  /**
+   * Measure of the region with its uncertainty. Exact when children are bounding-box disjoint
+   * or nested inside a convex sibling; otherwise a Monte Carlo estimate drawn from the children
+   * themselves, refined until the relative standard error reaches `precision`.
+   * @returns {{value: number, standardError: number, exact: boolean, samples: number}}
+   */
+  measure() {
+    if (!this._measure) this._measure = measureComposite(this);
+    return this._measure;
+  }
+
+  /**
+   * Centroid of the region, combined exactly from the children's centroids in the cases where
+   * `measure()` is exact by construction. Undefined otherwise, or when a child has no centroid.
+   */
+  get centroid() {
+    if (this._centroid === undefined) this._centroid = compositeCentroid(this);
+    return this._centroid ?? undefined;
   }
 
   contains(p, epsilon = 1e-9) {
@@ -30,21 +91,122 @@ export class CompositeShape {
       case 'intersection':
         return this.shapes.every(s => s.contains(p, epsilon));
       case 'difference':
-        return this.shapes[0].contains(p, epsilon) && !this.shapes[1].contains(p, epsilon);
+        return this.shapes[0].contains(p, epsilon) && !anyContains(this.shapes, 1, p, epsilon);
+      case 'xor':
+        return coverage(this.shapes, p, epsilon) % 2 === 1;
+      case 'exclusive':
+        return coverage(this.shapes, p, epsilon) === 1;
       default:
         return false;
     }
   }
 
-  sample() {
+  /**
+   * Signed distance from child distances: min for union, max for intersection, max(a, -b)
+   * for difference and max(min(a, b), -max(a, b)) folded over the children for xor.
+   * Exact inside unions; elsewhere a bound, as usual for CSG.
+   * @param {{x: number, y: number, z: number}} p
+   */
+  sdf(p) {
+    switch (this.type) {
+      case 'union':
+      case 'faulty_union': {
+        let d = Infinity;
+        for (const s of this.shapes) d = Math.min(d, s.sdf(p));
+        return d;
+      }
+      case 'intersection': {
+        let d = -Infinity;
+        for (const s of this.shapes) d = Math.max(d, s.sdf(p));
+        return d;
+      }
+      case 'difference': {
+        let cut = Infinity;
+        for (let i = 1; i < this.shapes.length; i++) cut = Math.min(cut, this.shapes[i].sdf(p));
+        return Math.max(this.shapes[0].sdf(p), -cut);
+      }
+      case 'xor': {
+        let d = this.shapes[0].sdf(p);
+        for (let i = 1; i < this.shapes.length; i++) {
+          const e = this.shapes[i].sdf(p);
+          d = Math.max(Math.min(d, e), -Math.max(d, e));
+        }
+        return d;
+      }
+      case 'exclusive': {
+        // Union over i of (child i minus every other child)
+        const ds = this.shapes.map(s => s.sdf(p));
+        let d = Infinity;
+        for (let i = 0; i < ds.length; i++) {
+          let others = Infinity;
+          for (let j = 0; j < ds.length; j++) if (j !== i) others = Math.min(others, ds[j]);
+          d = Math.min(d, Math.max(ds[i], -others));
+        }
+        return d;
+      }
+      default:
+        return Infinity;
+    }
+  }
+
+  /**
+   * Uniform sample of the region. Returns null only under the 'return-null' failure policy,
+   * when this node or a composite below it gives up.
+   * @param {() => number} [rng=Math.random]
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  sample(rng = Math.random, out = {}) {
+    const control = this._control;
+    this.counters.samples++;
     switch (this.type) {
-      case 'union':        return sampleUnion(this.shapes, this.maxAttempts);
-      case 'faulty_union': return sampleFaultyUnion(this.shapes);
-      case 'intersection': return sampleIntersection(this.shapes, this.maxAttempts);
-      case 'difference':   return sampleDifference(this.shapes[0], this.shapes[1], this.maxAttempts);
+      case 'union':        return sampleUnion(this.shapes, this.maxAttempts, rng, out, control);
+      case 'faulty_union': return sampleFaultyUnion(this.shapes, rng, out, control);
+      case 'intersection': {
+        if (this._emptyReason === undefined) this._emptyReason = emptyIntersectionReason(this);
+        if (this._emptyReason) return exhausted(control, this._emptyReason);
+        return sampleIntersection(this.shapes, this.maxAttempts, rng, out, control);
+      }
+      case 'difference':   return sampleDifference(this.shapes[0], this._cutters, this.maxAttempts, rng, out, control);
+      case 'xor':          return sampleXor(this.shapes, this.maxAttempts, rng, out, control);
+      case 'exclusive':    return sampleExclusive(this.shapes, this.maxAttempts, rng, out, control);
     }
   }
 
+  /**
+   * Acceptance statistics of this node and, recursively, of every composite below it
+   * (looking through Rotated/Translated wrappers). Leaves report `null` counters.
+   * Draws made while estimating a parent's measure are counted too.
+   * @returns {Object}
+   */
+  stats() {
+    return collectStats(this);
+  }
+
+  /**
+   * Human-readable tree of `stats()`, one line per node, to spot nodes that waste samples.
+   * @returns {string}
+   */
+  explain() {
+    return explain(this);
+  }
+
+  /** Clears the counters of this node (children keep theirs). */
+  resetStats() {
+    for (const key in this.counters) this.counters[key] = 0;
+  }
+
+  /** World bounding box under p -> M p + t (see bounds.js), built from the children's own hooks. */
+  transformedBBox(m, t) {
+    const boxes = this.shapes.map(s => boundsOf(s, m, t));
+    if (this.type === 'difference') return boxes[0];
+    if (this.type !== 'intersection') return boxes.reduce(mergeBBox);
+    return boxes.reduce((a, b) => ({
+      minX: Math.max(a.minX, b.minX), maxX: Math.min(a.maxX, b.maxX),
+      minY: Math.max(a.minY, b.minY), maxY: Math.min(a.maxY, b.maxY),
+      minZ: Math.max(a.minZ, b.minZ), maxZ: Math.min(a.maxZ, b.maxZ)
+    }));
+  }
+
   /** @private */
   _calculateBBox() {
     const shapes = this.shapes;
@@ -74,81 +236,447 @@ export class CompositeShape {
       }
     }, {});
   }
+}
+
+withSampleInto(CompositeShape);
+
+/**
+ * The exported samplers share a trailing `control` argument: `{ policy, stats }`, where
+ * `policy` is a failure policy (default 'fallback') and `stats` an optional counters
+ * object that is incremented in place. Samplers also cache per-children tables on it, so
+ * reuse one control object only with the same children.
+ */
+export function sampleUnion(shapes, maxAttempts = 100, rng = Math.random, out = {}, control = {}) {
+  const stats = control.stats;
+  const weights = weightTable(shapes, control);
 
-  /** @private Estimation for weight-based sampling */
-  _calculateVolume() {
-    if (this.type === 'difference') {
-      return Math.max(0.001, (this.shapes[0].volume || 1) * 0.7); // Heuristic
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (stats) stats.attempts++;
+    const idx = pickChild(weights, rng());
+    const point = shapes[idx].sample(rng, out);
+    if (point === null) return childFailed(stats);
+    let coveredByPrior = false;
+    for (let j = 0; j < idx; j++) {
+      if (shapes[j].contains(point)) { coveredByPrior = true; break; }
     }
-    if (this.type === 'intersection') {
-      const b = this.bbox;
-      return (b.maxX - b.minX) * (b.maxY - b.minY) * (b.maxZ - b.minZ || 1) * 0.5; // Heuristic
+    if (!coveredByPrior) return accepted(stats, point);
+  }
+  return exhausted(control, `Union sampling failed after ${maxAttempts} attempts.`, () => shapes[0].sample(rng, out));
+}
+
+/**
+ * Uniform sample of the common region. Points are proposed from the child with the smallest
+ * measure and kept when every other child contains them, so thin or rotated children cost
+ * no more than their overlap requires.
+ */
+export function sampleIntersection(shapes, maxAttempts = 1000, rng = Math.random, out = {}, control = {}) {
+  const stats = control.stats;
+  // The bbox scan and the choice of proposal run once per control object, not per point
+  if (control.proposal === undefined) {
+    const apart = disjointPair(shapes);
+    if (apart) {
+      return exhausted(control, `Invalid Intersection: children ${apart[0]} and ${apart[1]} are spatially disjoint (bounding boxes do not overlap).`);
+    }
+    let smallest = Infinity;
+    control.proposal = 0;
+    for (let i = 0; i < shapes.length; i++) {
+      const m = shapes[i].area ?? shapes[i].volume ?? Infinity;
+      if (m < smallest) { smallest = m; control.proposal = i; }
     }
-    return this.shapes.reduce((sum, s) => sum + (s.volume ?? s.area ?? 0), 0);
   }
+  const proposal = control.proposal;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (stats) stats.attempts++;
+    const p = shapes[proposal].sample(rng, out);
+    if (p === null) return childFailed(stats);
+    let inside = true;
+    for (let i = 0; i < shapes.length && inside; i++) {
+      if (i !== proposal && !shapes[i].contains(p)) inside = false;
+    }
+    if (inside) return accepted(stats, p);
+  }
+  
+  return exhausted(control, `Intersection sampling failed: Possible zero-volume intersection or maxAttempts (${maxAttempts}) reached.`);
 }
 
+/**
+ * Uniform sample of A minus every cutter.
+ * @param {Object} shapeA
+ * @param {Object|Array<Object>} shapeB - One cutter or an array of cutters.
+ */
+export function sampleDifference(shapeA, shapeB, maxAttempts = 1000, rng = Math.random, out = {}, control = {}) {
+  const stats = control.stats;
+  const cutters = Array.isArray(shapeB) ? shapeB : [shapeB];
+  for (let i = 0; i < maxAttempts; i++) {
+    if (stats) stats.attempts++;
+    const p = shapeA.sample(rng, out);
+    if (p === null) return childFailed(stats);
+    if (!anyContains(cutters, 0, p)) return accepted(stats, p);
+  }
+  return exhausted(control, `Difference sampling failed after ${maxAttempts} attempts; the cutters may cover the base.`, () => shapeA.sample(rng, out));
+}
 
-export function sampleUnion(shapes, maxAttempts = 100) {
-  const weights = shapes.map(s => s.area ?? s.volume ?? 1);
-  const totalWeight = weights.reduce((a, b) => a + b, 0);
+/**
+ * Uniform sample of the points covered by an odd number of shapes.
+ * A point drawn from a child by measure has density proportional to its coverage k,
+ * so it is kept with probability 1/k when k is odd.
+ */
+export function sampleXor(shapes, maxAttempts = 1000, rng = Math.random, out = {}, control = {}) {
+  return sampleByCoverage(shapes, k => (k % 2 === 1 ? 1 / k : 0), maxAttempts, rng, out, control);
+}
+
+/**
+ * Uniform sample of the points covered by exactly one shape.
+ */
+export function sampleExclusive(shapes, maxAttempts = 1000, rng = Math.random, out = {}, control = {}) {
+  return sampleByCoverage(shapes, k => (k === 1 ? 1 : 0), maxAttempts, rng, out, control);
+}
+
+/** @private */
+function sampleByCoverage(shapes, acceptance, maxAttempts, rng, out, control) {
+  const stats = control.stats;
+  const weights = weightTable(shapes, control);
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    let r = Math.random() * totalWeight;
-    let idx = 0;
+    if (stats) stats.attempts++;
+    const idx = pickChild(weights, rng());
+    const point = shapes[idx].sample(rng, out);
+    if (point === null) return childFailed(stats);
+    const a = acceptance(coverage(shapes, point));
+    if (a === 1 || (a > 0 && rng() < a)) return accepted(stats, point);
+  }
+  return exhausted(control, `Sampling failed after ${maxAttempts} attempts.`, () => shapes[0].sample(rng, out));
+}
+
+/**
+ * @private Running totals of the child weights (area, else volume, else 1). Children never
+ * change, so the table is built on the first draw and kept in `control` for later ones.
+ */
+function weightTable(shapes, control) {
+  if (control.weights) return control.weights;
+  const cumulative = new Float64Array(shapes.length);
+  let total = 0;
+  for (let i = 0; i < shapes.length; i++) cumulative[i] = total += shapes[i].area ?? shapes[i].volume ?? 1;
+  return (control.weights = { cumulative, total });
+}
+
+/** @private Index of the child a uniform u lands on, by weight. */
+function pickChild({ cumulative, total }, u) {
+  const r = u * total;
+  for (let i = 0; i < cumulative.length; i++) if (r <= cumulative[i]) return i;
+  return 0;
+}
+
+/** @private Number of shapes containing p. */
+function coverage(shapes, p, epsilon) {
+  let k = 0;
+  for (let i = 0; i < shapes.length; i++) if (shapes[i].contains(p, epsilon)) k++;
+  return k;
+}
+
+/** @private */
+function anyContains(shapes, from, p, epsilon) {
+  for (let i = from; i < shapes.length; i++) if (shapes[i].contains(p, epsilon)) return true;
+  return false;
+}
+
+export function sampleFaultyUnion(shapes, rng = Math.random, out = {}, control = {}) {
+  const stats = control.stats;
+  if (stats) stats.attempts++;
+  const point = shapes[pickChild(weightTable(shapes, control), rng())].sample(rng, out);
+  return point === null ? childFailed(stats) : accepted(stats, point);
+}
+/** @private */
+function accepted(stats, point) {
+  if (stats) stats.accepted++;
+  return point;
+}
+
+/**
+ * @private A child under the 'return-null' policy gave up. Its null passes straight up:
+ * retrying here would only repeat the child's own exhausted attempts.
+ */
+function childFailed(stats) {
+  if (stats) stats.failures++;
+  return null;
+}
+
+/** @private Applies the failure policy once every attempt has been rejected. */
+function exhausted(control, message, fallback) {
+  const stats = control.stats;
+  if (stats) stats.failures++;
+  const policy = control.policy ?? 'fallback';
+  if (policy === 'return-null') return null;
+  if (policy === 'fallback' && fallback) {
+    if (stats) stats.fallbacks++;
+    return fallback();
+  }
+  throw new Error(message);
+}
+
+// Statistics
+
+/**
+ * Statistics tree of a node that keeps `counters` (composites, density shapes), looking
+ * through transform wrappers. Nodes without counters are leaves with `counters: null`.
+ * @param {Object} shape
+ * @returns {Object}
+ */
+export function collectStats(shape) {
+  if (!shape.counters) {
+    if (shape.base) return collectStats(shape.base);
+    return { type: shape.constructor?.name ?? 'shape', counters: null, children: [] };
+  }
+
+  const { samples, attempts, accepted } = shape.counters;
+  return {
+    type: shape.type ?? shape.constructor?.name,
+    counters: { ...shape.counters },
+    acceptanceRate: attempts > 0 ? accepted / attempts : null,
+    attemptsPerSample: samples > 0 ? attempts / samples : null,
+    children: (shape.shapes ?? (shape.base ? [shape.base] : [])).map(collectStats)
+  };
+}
+
+/**
+ * Renders the acceptance statistics of a sampling tree, one indented line per node.
+ * @param {Object} shape - A CompositeShape or DensityShape, or a transform wrapping one.
+ * @returns {string}
+ */
+export function explain(shape) {
+  const lines = [];
+  const percent = x => (x === null ? 'n/a' : `${(100 * x).toFixed(1)}%`);
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    if (!node.counters) {
+      lines.push(`${indent}${node.type}`);
+      return;
+    }
+    const c = node.counters;
+    lines.push(`${indent}${node.type}: ${c.samples} samples, ${c.attempts} attempts, ` +
+      `acceptance ${percent(node.acceptanceRate)}, ${c.fallbacks} fallbacks, ${c.failures} failures` +
+      (c.boundExceeded ? `, ${c.boundExceeded} above maxDensity` : ''));
+    for (const child of node.children) visit(child, depth + 1);
+  };
+  visit(collectStats(shape), 0);
+  return lines.join('\n');
+}
+
+// Measure estimation
+
+/** @private */
+function measureComposite(composite) {
+  const parts = exactParts(composite);
+  if (parts) return parts.reduce((acc, [s, sign]) => combine(acc, childMeasure(s), sign), exact(0));
+
+  const { type, shapes } = composite;
+  if (type === 'difference') {
+    const a = shapes[0];
+    const cutters = shapes.slice(1).filter(c => !disjoint(a, c));
+    return estimate(composite, [a], (p) => !anyContains(cutters, 0, p));
+  }
+
+  if (type === 'xor' || type === 'exclusive') {
+    // A point drawn by measure is covered k times; weighting it as in sampleXor/sampleExclusive
+    // gives an unbiased fraction of the summed measure
+    const weight = type === 'xor' ? (k => (k % 2 === 1 ? 1 / k : 0)) : (k => (k === 1 ? 1 : 0));
+    return estimate(composite, shapes, (p) => weight(coverage(shapes, p)));
+  }
+
+  if (type === 'intersection') {
+    // Propose from the smallest child and accept points inside all the others
+    let smallest = shapes[0];
+    for (const s of shapes) if (childMeasure(s).value < childMeasure(smallest).value) smallest = s;
+    return estimate(composite, [smallest], (p) => shapes.every(s => s === smallest || s.contains(p)));
+  }
+
+  // A point drawn from child i counts only if no earlier child covers it, so overlaps count once
+  const kept = unionKept(shapes);
+  return estimate(composite, kept, (p, i) => {
+    for (let j = 0; j < i; j++) if (kept[j].contains(p)) return false;
+    return true;
+  });
+}
+
+/**
+ * @private The region as a signed sum of children ([shape, ±1] pairs) when bounding boxes
+ * prove it: disjoint pieces, or cutouts nested inside a convex sibling. Null otherwise.
+ */
+function exactParts(composite) {
+  const { type, shapes } = composite;
+  if (!shapes.length) return [];
+
+  if (type === 'difference') {
+    const a = shapes[0];
+    const cutters = shapes.slice(1).filter(c => !disjoint(a, c));
+    if (cutters.some(c => nestedIn(a, c))) return [];
+    if (cutters.every(c => nestedIn(c, a)) && pairwiseDisjoint(cutters)) return [[a, 1], ...cutters.map(c => [c, -1])];
+    return null;
+  }
+
+  if (type === 'xor' || type === 'exclusive') {
+    if (pairwiseDisjoint(shapes)) return shapes.map(s => [s, 1]);
+    if (shapes.length === 2) {
+      const [a, b] = shapes;
+      if (nestedIn(b, a)) return [[a, 1], [b, -1]];
+      if (nestedIn(a, b)) return [[b, 1], [a, -1]];
+    }
+    return null;
+  }
+
+  if (type === 'intersection') {
     for (let i = 0; i < shapes.length; i++) {
-      if ((r -= weights[i]) <= 0) { idx = i; break; }
+      for (let j = i + 1; j < shapes.length; j++) if (disjoint(shapes[i], shapes[j])) return [];
     }
-    const point = shapes[idx].sample();
-    let coveredByPrior = false;
-    for (let j = 0; j < idx; j++) {
-      if (shapes[j].contains(point)) { coveredByPrior = true; break; }
+    const core = shapes.find(s => shapes.every(o => o === s || nestedIn(s, o)));
+    return core ? [[core, 1]] : null;
+  }
+
+  const kept = unionKept(shapes);
+  return pairwiseDisjoint(kept) ? kept.map(s => [s, 1]) : null;
+}
+
+/** @private Union children not swallowed by a sibling (keeping one of identical twins). */
+function unionKept(shapes) {
+  return shapes.filter((s, i) => !shapes.some((o, j) =>
+    j !== i && nestedIn(s, o) && (j < i || !nestedIn(o, s))));
+}
+
+/** @private Measure-weighted centroid of the exact parts, or null when any part lacks one. */
+function compositeCentroid(composite) {
+  const parts = exactParts(composite);
+  if (!parts || parts.length === 0) return null;
+  let total = 0;
+  const sum = { x: 0, y: 0, z: 0 };
+  for (const [s, sign] of parts) {
+    const m = childMeasure(s), c = s.centroid;
+    if (!m.exact || !c) return null;
+    total += sign * m.value;
+    sum.x += sign * m.value * c.x;
+    sum.y += sign * m.value * c.y;
+    sum.z += sign * m.value * (c.z ?? 0);
+  }
+  if (!(total > 0)) return null;
+  return { x: sum.x / total, y: sum.y / total, z: sum.z / total };
+}
+
+/**
+ * Monte Carlo estimate of sum(|child|) * E[accept], drawing points from the children by measure.
+ * `accept` returns a weight in [0, 1] (booleans count as 0 or 1), so p(1 - p) bounds the variance.
+ * @private
+ */
+function estimate(composite, children, accept) {
+  const measures = children.map(childMeasure);
+  // Measures are geometric: draw uniformly even from children that carry a density
+  const sources = children.map(c => (c.type === 'density' ? c.base : c));
+  let total = 0, totalVariance = 0;
+  for (const m of measures) { total += m.value; totalVariance += m.standardError ** 2; }
+  if (total === 0) return exact(0);
+
+  const rng = createRng(composite.seed);
+  const point = {};
+  const batch = 1000;
+  let draws = 0, n = 0, hits = 0, p = 0, pError = 1;
+
+  while (draws < composite.maxEstimateSamples) {
+    for (let k = 0; k < batch; k++) {
+      let r = rng() * total, i = 0;
+      while (i < children.length - 1 && (r -= measures[i].value) > 0) i++;
+      // A 'return-null' child that gave up yields no point; leave the draw out
+      const q = sources[i].sample(rng, point);
+      if (q === null) continue;
+      hits += +accept(q, i);
+      n++;
     }
-    if (!coveredByPrior) return point;
+    draws += batch;
+    if (n === 0) continue;
+    p = hits / n;
+    // Floor the variance at one hit so all-or-nothing runs don't report zero error
+    pError = Math.sqrt(Math.max(p * (1 - p), 1 / n) / n);
+    if (hits > 0 && pError <= composite.precision * p) break;
   }
-  return shapes[0].sample(); 
+
+  return {
+    value: total * p,
+    standardError: Math.sqrt((total * pError) ** 2 + p * p * totalVariance),
+    exact: false,
+    samples: n
+  };
 }
 
-export function sampleIntersection(shapes, maxAttempts = 1000) {
-  const bbox = shapes.reduce((acc, s, i) => {
-    if (i === 0) return s.bbox;
-    return {
-      minX: Math.max(acc.minX, s.bbox.minX), maxX: Math.min(acc.maxX, s.bbox.maxX),
-      minY: Math.max(acc.minY, s.bbox.minY), maxY: Math.min(acc.maxY, s.bbox.maxY),
-      minZ: Math.max(acc.minZ ?? 0, s.bbox.minZ ?? 0), maxZ: Math.min(acc.maxZ ?? 0, s.bbox.maxZ ?? 0)
-    };
-  }, {});
+/** @private */
+function exact(value) {
+  return { value, standardError: 0, exact: true, samples: 0 };
+}
+
+/** @private Uses the child's own estimate when it is a composite. */
+function childMeasure(shape) {
+  if (typeof shape.measure === 'function') return shape.measure();
+  return exact(shape.volume ?? shape.area ?? 0);
+}
 
-  if (bbox.minX > bbox.maxX || bbox.minY > bbox.maxY || (bbox.minZ > bbox.maxZ)) {
-    throw new Error("Invalid Intersection: Shapes are spatially disjoint (Bounding boxes do not overlap).");
+/** @private */
+function combine(a, b, sign) {
+  return {
+    value: Math.max(0, a.value + sign * b.value),
+    standardError: Math.hypot(a.standardError, b.standardError),
+    exact: a.exact && b.exact,
+    samples: a.samples + b.samples
+  };
+}
+
+/**
+ * Reason an intersection is known to be empty, or null. Bounding boxes settle most cases;
+ * otherwise the measure estimate (drawn from the smallest child) found no overlap at all.
+ * @private
+ */
+function emptyIntersectionReason(composite) {
+  const apart = disjointPair(composite.shapes);
+  if (apart) {
+    return `Invalid Intersection: children ${apart[0]} and ${apart[1]} are spatially disjoint (bounding boxes do not overlap).`;
   }
+  const m = composite.measure();
+  if (m.value > 0) return null;
+  return m.exact
+    ? 'Invalid Intersection: the children do not overlap.'
+    : `Invalid Intersection: no common point found in ${m.samples} samples of the smallest child; the overlap is empty or negligible.`;
+}
 
-  for (let i = 0; i < maxAttempts; i++) {
-    const p = {
-      x: bbox.minX + Math.random() * (bbox.maxX - bbox.minX),
-      y: bbox.minY + Math.random() * (bbox.maxY - bbox.minY),
-      z: bbox.minZ + Math.random() * (bbox.maxZ - bbox.minZ)
-    };
-    if (shapes.every(s => s.contains(p))) return p;
+/** @private Indices of the first two children with non-overlapping bounding boxes, or null. */
+function disjointPair(shapes) {
+  for (let i = 0; i < shapes.length; i++) {
+    for (let j = i + 1; j < shapes.length; j++) if (disjoint(shapes[i], shapes[j])) return [i, j];
   }
-  
-  throw new Error(`Intersection sampling failed: Possible zero-volume intersection or maxAttempts (${maxAttempts}) reached.`);
+  return null;
 }
 
-export function sampleDifference(shapeA, shapeB, maxAttempts = 1000) {
-  for (let i = 0; i < maxAttempts; i++) {
-    const p = shapeA.sample();
-    if (!shapeB.contains(p)) return p;
+/** @private */
+function pairwiseDisjoint(shapes) {
+  for (let i = 0; i < shapes.length; i++) {
+    for (let j = i + 1; j < shapes.length; j++) if (!disjoint(shapes[i], shapes[j])) return false;
   }
-  return shapeA.sample(); 
+  return true;
 }
 
-export function sampleFaultyUnion(shapes) {
-  const weights = shapes.map(s => s.area ?? s.volume ?? 1);
-  const totalWeight = weights.reduce((a, b) => a + b, 0);
-  let r = Math.random() * totalWeight;
-  for (let s of shapes) {
-    if ((r -= (s.area ?? s.volume ?? 1)) <= 0) return s.sample();
+/** @private Bounding boxes that at most touch; a missing z range overlaps everything. */
+function disjoint(a, b) {
+  const p = a.bbox, q = b.bbox;
+  if (p.maxX <= q.minX || q.maxX <= p.minX || p.maxY <= q.minY || q.maxY <= p.minY) return true;
+  if (p.minZ === undefined || q.minZ === undefined) return false;
+  return p.maxZ <= q.minZ || q.maxZ <= p.minZ;
+}
+
+/** @private Inner lies in outer if outer is convex and holds every corner of inner's bounding box. */
+function nestedIn(inner, outer) {
+  if (!outer.convex) return false;
+  const b = inner.bbox;
+  const z = inner.center?.z ?? 0;
+  const zs = b.minZ === undefined ? [z] : [b.minZ, b.maxZ];
+  for (const x of [b.minX, b.maxX]) {
+    for (const y of [b.minY, b.maxY]) {
+      for (const cz of zs) if (!outer.contains({ x, y, z: cz })) return false;
+    }
   }
-  return shapes[0].sample();
-}
\ No newline at end of file
+  return true;
+}
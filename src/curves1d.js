@@ -1,11 +1,38 @@
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { segmentDistance3D } from './distance.js';
+import { cross, dot, normalize, sub } from './vector3.js';
+
+/** Simpson steps in the arc-length table of an elliptical arc; circles need none. */
+const ARC_TABLE_STEPS = 256;
+
+/** Stations of the rotation-minimizing frame table used by `frameAt`. */
+const FRAME_STATIONS = 512;
+
 export class Path1D {
+  /**
+   * Segments are lines `{start, end}` (points), arcs, or parametric functions t -> point that are
+   * baked into an arc-length table of `lutResolution` steps.
+   *
+   * Arcs are `{center, radius, start, end}` with angles in radians, running counter-clockwise from
+   * `start` (default 0) to `end` (default 2π). `rx`/`ry` instead of `radius` give an elliptical arc,
+   * sampled by true arc length. The plane defaults to XY at `center.z`; `normal` tilts it, or
+   * `basis: {u, v}` fixes the directions of angle 0 and π/2. See `arcThroughPoints` for the
+   * three-point form.
+   *
+   * @param {Array<Object|Function>} segments
+   * @param {number} [lutResolution=200]
+   */
   constructor(segments, lutResolution = 200) {
+    this.lutResolution = lutResolution;
     this.segments = segments.map(seg => {
       if (typeof seg === 'function') return this._prebakeParametric(seg, lutResolution);
+      if (isArc(seg)) return this._prepareArc(seg);
       return seg;
     });
     this.cumulativeLengths = [];
     this.totalLength = 0;
+    this.dimension = 1;
     this.bbox = { 
       minX: Infinity, maxX: -Infinity, 
       minY: Infinity, maxY: -Infinity, 
@@ -33,60 +60,200 @@ export class Path1D {
     this.area = this.totalLength;
   }
 
-  sample() {
-    if (this.totalLength === 0) return { ...this.center };
-    
-    const target = Math.random() * this.totalLength;
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), 0, 0, out);
+  }
+
+  /**
+   * Deterministic mapping from [0, 1] to the point at that fraction of the total arc length.
+   * @param {number} u - Arc-length fraction in [0, 1].
+   * @param {number} [v] - Unused.
+   * @param {number} [w] - Unused.
+   * @param {{x: number, y: number, z: number}} [out] - Optional object to write the result into.
+   */
+  fromUnit(u, v, w, out = {}) {
+    if (this.totalLength === 0) return Object.assign(out, this.center);
     
-    // Binary Search to find segment: O(log N)
-    let low = 0, high = this.cumulativeLengths.length - 1;
-    while (low < high) {
-      const mid = (low + high) >>> 1;
-      if (this.cumulativeLengths[mid] < target) low = mid + 1;
-      else high = mid;
+    const [index, localTarget] = this._locate(u * this.totalLength);
+    const seg = this.segments[index];
+
+    if (seg.type === 'baked_parametric') return this._sampleBaked(seg, localTarget, out);
+    if (seg.type === 'arc') return this._sampleArc(seg, localTarget, out);
+    if (seg.start && seg.end) return this._sampleLine(seg, localTarget, out);
+
+    return Object.assign(out, this.center);
+  }
+
+  /**
+   * Point at fraction `u` of the total arc length, for animating along the path.
+   * @param {number} u - Clamped to [0, 1].
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  at(u, out = {}) {
+    return this.fromUnit(Math.min(1, Math.max(0, u)), 0, 0, out);
+  }
+
+  /**
+   * Unit direction of travel at fraction `u` of the arc length (the zero vector on degenerate segments).
+   * @param {number} u - Clamped to [0, 1].
+   * @returns {{x: number, y: number, z: number}}
+   */
+  tangentAt(u) {
+    if (this.totalLength === 0) return { x: 0, y: 0, z: 0 };
+    const [index, local] = this._locate(Math.min(1, Math.max(0, u)) * this.totalLength);
+    const seg = this.segments[index];
+    if (seg.type === 'baked_parametric') {
+      const t = this._bakedParameter(seg, local);
+      const h = 1e-6, a = seg.f(Math.max(0, t - h)), b = seg.f(Math.min(1, t + h));
+      return normalize(sub(b, a));
+    }
+    if (seg.type === 'arc') {
+      const angle = arcAngle(seg, local);
+      const du = -seg.rx * Math.sin(angle), dv = seg.ry * Math.cos(angle);
+      return normalize({ x: du * seg.u.x + dv * seg.v.x, y: du * seg.u.y + dv * seg.v.y, z: du * seg.u.z + dv * seg.v.z });
     }
+    if (seg.start && seg.end) return normalize(sub(seg.end, seg.start));
+    return { x: 0, y: 0, z: 0 };
+  }
+
+  /**
+   * Rotation-minimizing frame at fraction `u` of the arc length: the normal does not spin about
+   * the tangent as a Frenet frame does at inflections, so it suits ribbons, tubes and cameras.
+   * Frames are carried from the start by the double reflection method (Wang et al. 2008) over
+   * a table of stations; the first normal is world z projected off the tangent (x for paths
+   * starting along z). Closed loops may not return to their starting normal.
+   * @param {number} u - Clamped to [0, 1].
+   * @returns {{point: Object, tangent: Object, normal: Object, binormal: Object}}
+   */
+  frameAt(u) {
+    u = Math.min(1, Math.max(0, u));
+    const stations = this._frameStations();
+    const i = Math.min(FRAME_STATIONS - 1, Math.floor(u * FRAME_STATIONS));
+    const from = stations[i];
+    const point = this.at(u), tangent = this.tangentAt(u);
+    const normal = reflectFrame(from.point, from.tangent, from.normal, point, tangent);
+    return { point, tangent, normal, binormal: cross(tangent, normal) };
+  }
+
+  /**
+   * Nearest point of the path to p. Lines and circular arcs are exact; parametric segments and
+   * elliptical arcs are searched along their polylines.
+   * @param {{x: number, y: number, z?: number}} p
+   * @returns {{u: number, point: {x: number, y: number, z: number}, distance: number}} `u` is the arc-length fraction.
+   */
+  project(p) {
+    let best = { distance: Infinity, length: 0 };
+    this.segments.forEach((seg, i) => {
+      const local = this._projectSegment(seg, p);
+      if (local === null) return;
+      const begin = i > 0 ? this.cumulativeLengths[i - 1] : 0;
+      const point = this.fromUnit(this.totalLength > 0 ? (begin + local) / this.totalLength : 0, 0, 0, {});
+      const distance = Math.hypot(p.x - point.x, p.y - point.y, (p.z ?? 0) - point.z);
+      if (distance < best.distance) best = { distance, length: begin + local, point };
+    });
+    const u = this.totalLength > 0 ? Math.min(1, best.length / this.totalLength) : 0;
+    return { u, point: best.point ?? this.at(u), distance: best.distance };
+  }
 
-    const seg = this.segments[low];
-    const prevLength = low > 0 ? this.cumulativeLengths[low - 1] : 0;
-    const localTarget = target - prevLength;
+  /**
+   * The two halves of the path at fraction `u` of its arc length.
+   * @param {number} u
+   * @returns {[Path1D, Path1D]}
+   */
+  split(u) {
+    return [this.slice(0, u), this.slice(u, 1)];
+  }
+
+  /**
+   * Part of the path between arc-length fractions u0 <= u1 as a new Path1D. Lines and arcs are
+   * cut exactly; parametric segments are cut in their own parameter and baked again.
+   * @param {number} u0
+   * @param {number} u1
+   * @returns {Path1D}
+   */
+  slice(u0, u1) {
+    u0 = Math.min(1, Math.max(0, u0));
+    u1 = Math.min(1, Math.max(0, u1));
+    if (u0 > u1) throw new RangeError(`Path1D.slice: u0 (${u0}) must not exceed u1 (${u1}).`);
+    const s0 = u0 * this.totalLength, s1 = u1 * this.totalLength;
+    if (s0 === s1) {
+      const p = this.at(u0);
+      return new Path1D([{ start: p, end: { ...p } }], this.lutResolution);
+    }
 
-    if (seg.type === 'baked_parametric') return this._sampleBaked(seg, localTarget);
-    if (seg.start && seg.end) return this._sampleLine(seg, localTarget);
-    if (seg.center && seg.radius) return this._sampleArc(seg, localTarget);
+    const pieces = [];
+    this.segments.forEach((seg, i) => {
+      const begin = i > 0 ? this.cumulativeLengths[i - 1] : 0, end = this.cumulativeLengths[i];
+      const a = Math.max(s0, begin) - begin, b = Math.min(s1, end) - begin;
+      if (b <= a && !(begin === end && begin >= s0 && end <= s1)) return;
+      if (a === 0 && b === end - begin) pieces.push(seg);
+      else pieces.push(this._cutSegment(seg, a, b));
+    });
+    return new Path1D(pieces, this.lutResolution);
+  }
 
-    return { ...this.center };
+  /**
+   * Unsigned distance from p to the path (a curve has no inside). Parametric segments are
+   * measured against their baked polyline, elliptical arcs against a fine one.
+   * @param {{x: number, y: number, z?: number}} p
+   * @returns {number}
+   */
+  sdf(p) {
+    let d = Infinity;
+    for (const seg of this.segments) d = Math.min(d, this._segmentDistance(seg, p));
+    return d;
   }
 
   /** @private */
-  _sampleLine(seg, dist) {
+  _sampleLine(seg, dist, out) {
     const len = Math.sqrt(
       (seg.end.x - seg.start.x)**2 + (seg.end.y - seg.start.y)**2 + ((seg.end.z||0) - (seg.start.z||0))**2
     );
     const t = len === 0 ? 0 : dist / len;
-    return {
-      x: seg.start.x + t * (seg.end.x - seg.start.x),
-      y: seg.start.y + t * (seg.end.y - seg.start.y),
-      z: (seg.start.z ?? 0) + t * ((seg.end.z ?? 0) - (seg.start.z ?? 0))
-    };
+    out.x = seg.start.x + t * (seg.end.x - seg.start.x);
+    out.y = seg.start.y + t * (seg.end.y - seg.start.y);
+    out.z = (seg.start.z ?? 0) + t * ((seg.end.z ?? 0) - (seg.start.z ?? 0));
+    return out;
   }
 
   /** @private */
-  _sampleArc(seg, dist) {
-    const start = seg.start || 0;
-    const end = seg.end !== undefined ? seg.end : 2 * Math.PI;
-    let delta = end - start;
+  _sampleArc(seg, dist, out) {
+    return arcPoint(seg, arcAngle(seg, dist), out);
+  }
+
+  /**
+   * @private Resolves radii, plane basis and angular range once, and tabulates the arc length of
+   * elliptical arcs (Simpson's rule) for inversion by binary search.
+   */
+  _prepareArc(seg) {
+    const rx = seg.rx ?? seg.radius, ry = seg.ry ?? seg.rx ?? seg.radius;
+    const start = seg.start ?? 0;
+    let delta = (seg.end ?? 2 * Math.PI) - start;
     if (delta < 0) delta += 2 * Math.PI;
-    const t = dist / (seg.radius * delta || 1);
-    const theta = start + t * delta;
-    return {
-      x: seg.center.x + seg.radius * Math.cos(theta),
-      y: seg.center.y + seg.radius * Math.sin(theta),
-      z: seg.center.z ?? 0
-    };
+    const { u, v } = arcBasis(seg);
+    const arc = { ...seg, type: 'arc', rx, ry, u, v, startAngle: start, delta, table: null, length: rx * delta };
+    if (rx !== ry) {
+      const speed = t => Math.hypot(rx * Math.sin(t), ry * Math.cos(t));
+      const h = delta / ARC_TABLE_STEPS;
+      arc.table = new Float64Array(ARC_TABLE_STEPS + 1);
+      for (let i = 0; i < ARC_TABLE_STEPS; i++) {
+        const t = start + i * h;
+        arc.table[i + 1] = arc.table[i] + (h / 6) * (speed(t) + 4 * speed(t + h / 2) + speed(t + h));
+      }
+      arc.length = arc.table[ARC_TABLE_STEPS];
+    }
+    return arc;
   }
 
   /** @private */
-  _sampleBaked(seg, target) {
+  _sampleBaked(seg, target, out) {
+    const p = seg.f(this._bakedParameter(seg, target));
+    out.x = p.x; out.y = p.y; out.z = p.z ?? 0;
+    return out;
+  }
+
+  /** @private Curve parameter at arc length `target`, by binary search in the LUT. */
+  _bakedParameter(seg, target) {
     let low = 0, high = seg.samples;
     while (low < high) {
       let mid = (low + high) >>> 1;
@@ -96,19 +263,97 @@ export class Path1D {
     const i = Math.max(1, low);
     const d0 = seg.lut[i - 1], d1 = seg.lut[i];
     const alpha = (d1 - d0) <= 0 ? 0 : (target - d0) / (d1 - d0);
-    return seg.f(Math.max(0, Math.min(1, ((i - 1) + alpha) / seg.samples)));
+    return Math.max(0, Math.min(1, ((i - 1) + alpha) / seg.samples));
+  }
+
+  /** @private Segment index and distance into it for an arc-length position: O(log N). */
+  _locate(target) {
+    let low = 0, high = this.cumulativeLengths.length - 1;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.cumulativeLengths[mid] < target) low = mid + 1;
+      else high = mid;
+    }
+    return [low, target - (low > 0 ? this.cumulativeLengths[low - 1] : 0)];
+  }
+
+  /** @private Arc length from the segment's start to its point nearest p. */
+  _projectSegment(seg, p) {
+    if (seg.type === 'baked_parametric') return polylineProjection(seg.points, seg.lut, p);
+    if (seg.type === 'arc') {
+      if (seg.table) {
+        const points = [], lengths = [];
+        for (let i = 0; i <= 64; i++) {
+          points.push(arcPoint(seg, seg.startAngle + seg.delta * i / 64));
+          lengths.push(seg.table[i * ARC_TABLE_STEPS / 64]);
+        }
+        return polylineProjection(points, lengths, p);
+      }
+      const q = sub(p, seg.center);
+      const offset = angleOffset(seg, Math.atan2(dot(q, seg.v), dot(q, seg.u)));
+      if (offset <= seg.delta) return seg.rx * offset;
+      // Past the end: whichever end point is closer (beyond the gap's midpoint, the start)
+      return offset - seg.delta < (2 * Math.PI - seg.delta) / 2 ? seg.length : 0;
+    }
+    if (seg.start && seg.end) {
+      const d = sub(seg.end, seg.start), lengthSq = dot(d, d);
+      if (lengthSq === 0) return 0;
+      const t = Math.min(1, Math.max(0, dot(sub(p, seg.start), d) / lengthSq));
+      return t * Math.sqrt(lengthSq);
+    }
+    return null;
+  }
+
+  /** @private The part of a segment between arc lengths a and b from its start. */
+  _cutSegment(seg, a, b) {
+    if (seg.type === 'baked_parametric') {
+      const t0 = this._bakedParameter(seg, a), t1 = this._bakedParameter(seg, b), f = seg.f;
+      return t => f(t0 + t * (t1 - t0));
+    }
+    if (seg.type === 'arc') {
+      const { center, rx, ry, u, v } = seg;
+      return { center, rx, ry, basis: { u, v }, start: arcAngle(seg, a), end: arcAngle(seg, b) };
+    }
+    return { start: this._sampleLine(seg, a, {}), end: this._sampleLine(seg, b, {}) };
+  }
+
+  /** @private Frames at FRAME_STATIONS + 1 evenly spaced arc lengths, built on first use. */
+  _frameStations() {
+    if (this._frames) return this._frames;
+    const point = this.at(0), tangent = this.tangentAt(0);
+    const up = Math.abs(tangent.z) > 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 0, z: 1 };
+    const along = dot(up, tangent);
+    let frame = { point, tangent, normal: normalize({ x: up.x - along * tangent.x, y: up.y - along * tangent.y, z: up.z - along * tangent.z }) };
+    this._frames = [frame];
+    for (let i = 1; i <= FRAME_STATIONS; i++) {
+      const p = this.at(i / FRAME_STATIONS), t = this.tangentAt(i / FRAME_STATIONS);
+      frame = { point: p, tangent: t, normal: reflectFrame(frame.point, frame.tangent, frame.normal, p, t) };
+      this._frames.push(frame);
+    }
+    return this._frames;
+  }
+
+  /** @private */
+  _segmentDistance(seg, p) {
+    if (seg.type === 'baked_parametric') {
+      let d = Infinity;
+      for (let i = 1; i < seg.points.length; i++) d = Math.min(d, segmentDistance3D(p, seg.points[i - 1], seg.points[i]));
+      return d;
+    }
+    if (seg.type === 'arc') return arcDistance(seg, p);
+    if (seg.start && seg.end) return segmentDistance3D(p, seg.start, seg.end);
+    return Infinity;
   }
 
   /** @private */
   _updateBBox(seg) {
     let min = {x:0,y:0,z:0}, max = {x:0,y:0,z:0};
 
-    if (seg.start && seg.end) {
+    if (seg.type === 'arc') {
+      [min, max] = arcBounds(seg);
+    } else if (seg.start && seg.end) {
       min = { x: Math.min(seg.start.x, seg.end.x), y: Math.min(seg.start.y, seg.end.y), z: Math.min(seg.start.z||0, seg.end.z||0) };
       max = { x: Math.max(seg.start.x, seg.end.x), y: Math.max(seg.start.y, seg.end.y), z: Math.max(seg.start.z||0, seg.end.z||0) };
-    } else if (seg.center && seg.radius) {
-      min = { x: seg.center.x - seg.radius, y: seg.center.y - seg.radius, z: (seg.center.z||0) };
-      max = { x: seg.center.x + seg.radius, y: seg.center.y + seg.radius, z: (seg.center.z||0) };
     } else if (seg.type === 'baked_parametric') {
       // Sample a few points for parametric BBox estimation
       for(let t=0; t<=1; t+=0.1) {
@@ -134,14 +379,10 @@ export class Path1D {
   /** @private */
   _calculateLength(seg) {
     if (seg.type === 'baked_parametric') return seg.totalLength;
+    if (seg.type === 'arc') return seg.length;
     if (seg.start && seg.end) {
       return Math.sqrt((seg.end.x-seg.start.x)**2 + (seg.end.y-seg.start.y)**2 + ((seg.end.z||0)-(seg.start.z||0))**2);
     }
-    if (seg.center && seg.radius) {
-      let delta = (seg.end !== undefined ? seg.end : 2 * Math.PI) - (seg.start || 0);
-      if (delta < 0) delta += 2 * Math.PI;
-      return seg.radius * delta;
-    }
     return 0;
   }
 
@@ -150,16 +391,21 @@ export class Path1D {
     let totalLength = 0;
     const lut = [0];
     let prev = f(0);
+    const points = [prev];
     for (let i = 1; i <= samples; i++) {
       const curr = f(i / samples);
       totalLength += Math.sqrt((curr.x-prev.x)**2 + (curr.y-prev.y)**2 + ((curr.z||0)-(prev.z||0))**2);
       lut.push(totalLength);
+      points.push(curr);
       prev = curr;
     }
-    return { type: 'baked_parametric', f, lut, totalLength, samples };
+    return { type: 'baked_parametric', f, lut, points, totalLength, samples };
   }
 }
 
+withSampleQMC(Path1D);
+withSampleInto(Path1D);
+
 export const bezierQuadratic = ({ p0, p1, p2 }) => (t) => {
   const it = 1 - t, it2 = it * it, t2 = t * t, f1 = 2 * it * t;
   return {
@@ -194,4 +440,289 @@ export const conicHelix = ({ center, radiusStart, radiusEnd, height, turns }) =>
     y: center.y + currentRadius * Math.sin(angle),
     z: center.z + t * height
   };
-};
\ No newline at end of file
+};
+/**
+ * Arc of the ellipse with semi-axes rx, ry, rotated by `rotation` about its center, running
+ * from `startAngle` to `endAngle` in the ellipse's own parameter (clockwise when endAngle < startAngle).
+ */
+export const ellipticalArc = ({ center, rx, ry = rx, rotation = 0, startAngle = 0, endAngle = 2 * Math.PI }) => {
+  const cos = Math.cos(rotation), sin = Math.sin(rotation);
+  return (t) => {
+    const angle = startAngle + t * (endAngle - startAngle);
+    const ex = rx * Math.cos(angle), ey = ry * Math.sin(angle);
+    return {
+      x: center.x + cos * ex - sin * ey,
+      y: center.y + sin * ex + cos * ey,
+      z: center.z ?? 0
+    };
+  };
+};
+
+/**
+ * Catmull-Rom spline through every point. alpha = 0.5 (centripetal) avoids cusps and
+ * self-intersections at uneven spacing; 0 is the uniform and 1 the chordal variant.
+ * Open curves run from the first to the last point, closed ones also join the last to the first.
+ * t is spread evenly over the spans; Path1D re-parameterizes by arc length when baking, so give
+ * it a `lutResolution` of a few dozen steps per span for long curves.
+ */
+export const catmullRom = ({ points, alpha = 0.5, closed = false }) => {
+  const n = points.length;
+  if (n < (closed ? 3 : 2)) throw new RangeError(`catmullRom needs at least ${closed ? 3 : 2} points.`);
+  const at = i => {
+    if (closed) return points[((i % n) + n) % n];
+    if (i < 0) return reflectPoint(points[1], points[0]);
+    if (i >= n) return reflectPoint(points[n - 2], points[n - 1]);
+    return points[i];
+  };
+  const spans = closed ? n : n - 1;
+  return (t) => {
+    const i = Math.min(spans - 1, Math.floor(t * spans));
+    return catmullRomSpan(at(i - 1), at(i), at(i + 1), at(i + 2), t * spans - i, alpha);
+  };
+};
+
+/**
+ * B-spline of the given degree over `points`, evaluated with de Boor's algorithm.
+ * Open curves default to a clamped uniform knot vector, so they start and end on the first and
+ * last point; custom `knots` need points.length + degree + 1 non-decreasing values.
+ * Closed curves are periodic: `knots` (optional) holds one period of points.length + 1 breakpoints.
+ */
+export const bSpline = ({ points, degree = 3, knots, closed = false }) => nurbs({ points, degree, knots, closed });
+
+/**
+ * Rational B-spline (NURBS): a B-spline in homogeneous coordinates, so conics such as circles
+ * are exact. `weights` default to 1; see `bSpline` for `degree`, `knots` and `closed`.
+ */
+export const nurbs = ({ points, weights, degree = 3, knots, closed = false }) => {
+  const n = points.length;
+  if (!Number.isInteger(degree) || degree < 1) throw new RangeError('nurbs: degree must be a positive integer.');
+  if (n < degree + 1) throw new RangeError(`nurbs: degree ${degree} needs at least ${degree + 1} points.`);
+  if (weights && weights.length !== n) throw new RangeError('nurbs: weights must match the points.');
+  if (weights?.some(w => !(w > 0))) throw new RangeError('nurbs: weights must be positive.');
+
+  // Homogeneous control points, wrapped by `degree` for periodic curves
+  const control = points.map((p, i) => {
+    const w = weights ? weights[i] : 1;
+    return [w * p.x, w * p.y, w * (p.z ?? 0), w];
+  });
+  if (closed) control.push(...control.slice(0, degree));
+  const vector = closed ? periodicKnots(knots ?? Array.from({ length: n + 1 }, (_, i) => i), n, degree) : (knots ?? clampedKnots(n, degree));
+  if (vector.length !== control.length + degree + 1) {
+    throw new RangeError(`nurbs: expected ${closed ? n + 1 : n + degree + 1} knots, got ${knots.length}.`);
+  }
+  for (let i = 1; i < vector.length; i++) if (vector[i] < vector[i - 1]) throw new RangeError('nurbs: knots must be non-decreasing.');
+
+  const lo = vector[degree], hi = vector[control.length];
+  return (t) => deBoor(control, vector, degree, lo + t * (hi - lo));
+};
+
+/**
+ * Circular arc segment (for Path1D) starting at `a`, passing through `b` and ending at `c`,
+ * in the plane of the three points.
+ */
+export const arcThroughPoints = (a, b, c) => {
+  const ab = sub(b, a), ac = sub(c, a);
+  const n = cross(ab, ac);
+  const n2 = dot(n, n);
+  if (n2 === 0) throw new RangeError('arcThroughPoints: the points are collinear.');
+  // Circumcenter: a + (|ac|² (n × ab) + |ab|² (ac × n)) / (2 |n|²)
+  const p = cross(n, ab), q = cross(ac, n), sab = dot(ab, ab), sac = dot(ac, ac);
+  const center = {
+    x: a.x + (sac * p.x + sab * q.x) / (2 * n2),
+    y: a.y + (sac * p.y + sab * q.y) / (2 * n2),
+    z: (a.z ?? 0) + (sac * p.z + sab * q.z) / (2 * n2)
+  };
+  const radius = Math.hypot(a.x - center.x, a.y - center.y, (a.z ?? 0) - center.z);
+  // a, b, c run counter-clockwise around n, so angles from a grow through b to c
+  const u = normalize(sub(a, center));
+  const v = cross(normalize(n), u);
+  const offset = sub(c, center);
+  let end = Math.atan2(dot(offset, v), dot(offset, u));
+  if (end <= 0) end += 2 * Math.PI;
+  return { center, radius, basis: { u, v }, start: 0, end };
+};
+
+/** @private Arcs are told apart from lines by their center, since `start`/`end` may be numbers. */
+function isArc(seg) {
+  return seg.center !== undefined && (seg.radius !== undefined || seg.rx !== undefined);
+}
+
+/** @private Orthonormal directions of angle 0 (u) and π/2 (v) in the arc's plane. */
+function arcBasis(seg) {
+  if (seg.basis) {
+    const u = normalize(seg.basis.u);
+    const v = seg.basis.v;
+    const along = dot(v, u);
+    return { u, v: normalize({ x: v.x - along * u.x, y: v.y - along * u.y, z: (v.z ?? 0) - along * u.z }) };
+  }
+  const n = normalize(seg.normal ?? { x: 0, y: 0, z: 1 });
+  // Angle 0 points along x projected into the plane (along y when the plane faces x)
+  const axis = Math.abs(n.x) > 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+  const along = dot(axis, n);
+  const u = normalize({ x: axis.x - along * n.x, y: axis.y - along * n.y, z: axis.z - along * n.z });
+  return { u, v: cross(n, u) };
+}
+
+/** @private Angle at arc length `dist` from the start of a prepared arc. */
+function arcAngle(seg, dist) {
+  if (!seg.table) return seg.startAngle + (seg.rx > 0 ? dist / seg.rx : 0);
+  const table = seg.table;
+  let low = 1, high = ARC_TABLE_STEPS;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (table[mid] < dist) low = mid + 1;
+    else high = mid;
+  }
+  const span = table[low] - table[low - 1];
+  const f = span > 0 ? Math.min(1, Math.max(0, (dist - table[low - 1]) / span)) : 0;
+  return seg.startAngle + (low - 1 + f) * seg.delta / ARC_TABLE_STEPS;
+}
+
+/** @private */
+function arcPoint(seg, angle, out = {}) {
+  const cos = seg.rx * Math.cos(angle), sin = seg.ry * Math.sin(angle);
+  out.x = seg.center.x + cos * seg.u.x + sin * seg.v.x;
+  out.y = seg.center.y + cos * seg.u.y + sin * seg.v.y;
+  out.z = (seg.center.z ?? 0) + cos * seg.u.z + sin * seg.v.z;
+  return out;
+}
+
+/** @private Offset of `angle` past the arc's start, in [0, 2π). */
+function angleOffset(seg, angle) {
+  const a = (angle - seg.startAngle) % (2 * Math.PI);
+  return a < 0 ? a + 2 * Math.PI : a;
+}
+
+/**
+ * @private Exact extents: along each axis the arc is c + A cos(θ - φ), which peaks at θ = φ and
+ * bottoms out at θ = φ + π; those count when they fall inside the arc, the end points always do.
+ */
+function arcBounds(seg) {
+  const first = arcPoint(seg, seg.startAngle), last = arcPoint(seg, seg.startAngle + seg.delta);
+  const min = {}, max = {};
+  for (const k of ['x', 'y', 'z']) {
+    const a = seg.rx * seg.u[k], b = seg.ry * seg.v[k];
+    const amplitude = Math.hypot(a, b), phase = Math.atan2(b, a);
+    const c = k === 'z' ? (seg.center.z ?? 0) : seg.center[k];
+    min[k] = Math.min(first[k], last[k]);
+    max[k] = Math.max(first[k], last[k]);
+    if (angleOffset(seg, phase) <= seg.delta) max[k] = c + amplitude;
+    if (angleOffset(seg, phase + Math.PI) <= seg.delta) min[k] = c - amplitude;
+  }
+  return [min, max];
+}
+
+/**
+ * @private Exact for circular arcs: the nearest point of the full circle lies in the direction
+ * of p's projection onto the plane. Elliptical arcs are measured against a fine polyline.
+ */
+function arcDistance(seg, p) {
+  if (seg.table) {
+    let d = Infinity;
+    let prev = arcPoint(seg, seg.startAngle);
+    for (let i = 1; i <= 64; i++) {
+      const next = arcPoint(seg, seg.startAngle + seg.delta * i / 64);
+      d = Math.min(d, segmentDistance3D(p, prev, next));
+      prev = next;
+    }
+    return d;
+  }
+  const q = { x: p.x - seg.center.x, y: p.y - seg.center.y, z: (p.z ?? 0) - (seg.center.z ?? 0) };
+  const a = dot(q, seg.u), b = dot(q, seg.v), h = dot(q, cross(seg.u, seg.v));
+  if (angleOffset(seg, Math.atan2(b, a)) <= seg.delta) return Math.hypot(Math.hypot(a, b) - seg.rx, h);
+  const end = t => {
+    const e = arcPoint(seg, t);
+    return Math.hypot(p.x - e.x, p.y - e.y, (p.z ?? 0) - e.z);
+  };
+  return Math.min(end(seg.startAngle), end(seg.startAngle + seg.delta));
+}
+
+/**
+ * @private One double-reflection step: reflect the frame through the bisector plane of the chord,
+ * then through the plane that takes the reflected tangent onto the new one.
+ */
+function reflectFrame(p0, t0, r0, p1, t1) {
+  const v1 = sub(p1, p0), c1 = dot(v1, v1);
+  let r = r0, t = t0;
+  if (c1 > 0) {
+    const fr = 2 * dot(v1, r0) / c1, ft = 2 * dot(v1, t0) / c1;
+    r = { x: r0.x - fr * v1.x, y: r0.y - fr * v1.y, z: r0.z - fr * v1.z };
+    t = { x: t0.x - ft * v1.x, y: t0.y - ft * v1.y, z: t0.z - ft * v1.z };
+  }
+  const v2 = sub(t1, t), c2 = dot(v2, v2);
+  if (c2 > 0) {
+    const f = 2 * dot(v2, r) / c2;
+    r = { x: r.x - f * v2.x, y: r.y - f * v2.y, z: r.z - f * v2.z };
+  }
+  // Re-project against drift so the frame stays orthonormal
+  const along = dot(r, t1);
+  return normalize({ x: r.x - along * t1.x, y: r.y - along * t1.y, z: r.z - along * t1.z });
+}
+
+/** @private Arc length (by `lengths` at the vertices) of the point of the polyline nearest p. */
+function polylineProjection(points, lengths, p) {
+  let best = Infinity, length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1], d = sub(points[i], a), lengthSq = dot(d, d);
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, dot(sub(p, a), d) / lengthSq)) : 0;
+    const dist = Math.hypot(p.x - a.x - t * d.x, p.y - a.y - t * d.y, (p.z ?? 0) - (a.z ?? 0) - t * d.z);
+    if (dist < best) {
+      best = dist;
+      length = lengths[i - 1] + t * (lengths[i] - lengths[i - 1]);
+    }
+  }
+  return length;
+}
+
+/** @private */
+function reflectPoint(p, about) {
+  return { x: 2 * about.x - p.x, y: 2 * about.y - p.y, z: 2 * (about.z ?? 0) - (p.z ?? 0) };
+}
+
+/** @private Barry–Goldman pyramid for the span p1 → p2 at local parameter s in [0, 1]. */
+function catmullRomSpan(p0, p1, p2, p3, s, alpha) {
+  const step = (a, b) => Math.hypot(b.x - a.x, b.y - a.y, (b.z ?? 0) - (a.z ?? 0)) ** alpha || 1;
+  const t0 = 0, t1 = t0 + step(p0, p1), t2 = t1 + step(p1, p2), t3 = t2 + step(p2, p3);
+  const t = t1 + s * (t2 - t1);
+  const mix = (a, b, ta, tb) => {
+    const f = (t - ta) / (tb - ta);
+    return { x: a.x + f * (b.x - a.x), y: a.y + f * (b.y - a.y), z: (a.z ?? 0) + f * ((b.z ?? 0) - (a.z ?? 0)) };
+  };
+  const a1 = mix(p0, p1, t0, t1), a2 = mix(p1, p2, t1, t2), a3 = mix(p2, p3, t2, t3);
+  const b1 = mix(a1, a2, t0, t2), b2 = mix(a2, a3, t1, t3);
+  return mix(b1, b2, t1, t2);
+}
+
+/** @private Uniform knots with degree + 1 copies at each end, so the curve meets its end points. */
+function clampedKnots(n, degree) {
+  const inner = n - degree;
+  return Array.from({ length: n + degree + 1 }, (_, i) => Math.min(1, Math.max(0, (i - degree) / inner)));
+}
+
+/** @private One period of breakpoints u_0..u_n extended by `degree` knots on each side. */
+function periodicKnots(breaks, n, degree) {
+  if (breaks.length !== n + 1) return breaks; // reported by the caller's length check
+  const period = breaks[n] - breaks[0];
+  return Array.from({ length: n + 2 * degree + 1 }, (_, j) => {
+    const k = j - degree;
+    const wrap = Math.floor(k / n);
+    return breaks[k - wrap * n] + wrap * period;
+  });
+}
+
+/** @private de Boor's algorithm on homogeneous control points [wx, wy, wz, w]. */
+function deBoor(control, knots, degree, u) {
+  let span = degree;
+  while (span < control.length - 1 && u >= knots[span + 1]) span++;
+  const d = [];
+  for (let j = 0; j <= degree; j++) d.push(control[span - degree + j].slice());
+  for (let r = 1; r <= degree; r++) {
+    for (let j = degree; j >= r; j--) {
+      const left = knots[span - degree + j], right = knots[span + 1 + j - r];
+      const a = right > left ? (u - left) / (right - left) : 0;
+      for (let k = 0; k < 4; k++) d[j][k] = (1 - a) * d[j - 1][k] + a * d[j][k];
+    }
+  }
+  const [x, y, z, w] = d[degree];
+  return { x: x / w, y: y / w, z: z / w };
+}
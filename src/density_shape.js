@@ -0,0 +1,220 @@
+/**
+ * density_shape.js
+ * Non-uniform sampling: points of a shape drawn with probability proportional to a density.
+ */
+import { withSampleInto } from './buffers.js';
+import { boundsOf } from './bounds.js';
+import { collectStats, explain } from './composite_shapes.js';
+
+const METHODS = ['rejection', 'metropolis'];
+const FAILURE_POLICIES = ['fallback', 'throw', 'return-null'];
+
+export class DensityShape {
+  /**
+   * Samples `baseShape` with probability proportional to `density(p)`, where `p` is a point
+   * in the base's own coordinates (wrap the DensityShape in a Rotated/TranslatedShape to move
+   * the field with it, or wrap a transformed base to keep the field in world space).
+   * Negative, NaN and infinite densities count as 0.
+   *
+   * 'rejection' keeps a uniform proposal with probability density(p) / maxDensity, which is
+   * exact as long as the bound holds; values above it are counted in `counters.boundExceeded`.
+   * 'metropolis' runs a Metropolis–Hastings chain that needs no bound: it mixes independent
+   * proposals from the base with a uniform random walk of half-width `stepSize` (for 2D and 3D
+   * bases) and returns the state every `steps` moves. Consecutive points are correlated and
+   * the cloud is only asymptotically distributed as the density.
+   *
+   * @param {Object} baseShape - Any shape with `sample(rng, out)`; `contains` for the random walk.
+   * @param {(p: {x: number, y: number, z: number}) => number} density - Unnormalized density.
+   * @param {Object} [options]
+   * @param {number} [options.maxDensity] - Upper bound of the density; selects 'rejection' when given.
+   * @param {'rejection'|'metropolis'} [options.method] - Defaults to 'rejection' with a bound, else 'metropolis'.
+   * @param {number} [options.maxAttempts=1000] - Rejection attempts per sample, and proposals to find a
+   *   starting point with positive density.
+   * @param {'fallback'|'throw'|'return-null'} [options.failurePolicy='fallback'] - What rejection does when
+   *   every attempt fails: return the last (uniform) proposal, throw, or return null.
+   * @param {number} [options.steps=10] - Chain moves per returned sample.
+   * @param {number} [options.burnIn=200] - Moves discarded when the chain starts.
+   * @param {number} [options.stepSize] - Random-walk half-width. Defaults to a tenth of the largest
+   *   bounding-box extent; 0 keeps only independent proposals.
+   */
+  constructor(baseShape, density, options = {}) {
+    this.base = baseShape;
+    this.density = density;
+    this.maxDensity = options.maxDensity;
+    this.method = options.method ?? (this.maxDensity === undefined ? 'metropolis' : 'rejection');
+    if (!METHODS.includes(this.method)) {
+      throw new Error(`Unknown density method "${this.method}". Expected ${METHODS.join(', ')}.`);
+    }
+    if (this.method === 'rejection' && !(this.maxDensity > 0)) {
+      throw new Error('Rejection sampling needs a positive maxDensity.');
+    }
+    this.maxAttempts = options.maxAttempts ?? 1000;
+    this.failurePolicy = options.failurePolicy ?? 'fallback';
+    if (!FAILURE_POLICIES.includes(this.failurePolicy)) {
+      throw new Error(`Unknown failure policy "${this.failurePolicy}". Expected ${FAILURE_POLICIES.join(', ')}.`);
+    }
+    this.steps = options.steps ?? 10;
+    this.burnIn = options.burnIn ?? 200;
+    this.stepSize = options.stepSize ?? defaultStepSize(baseShape);
+
+    this.type = 'density';
+    this.counters = { samples: 0, attempts: 0, accepted: 0, fallbacks: 0, failures: 0, boundExceeded: 0 };
+    this.dimension = baseShape.dimension;
+    this.convex = baseShape.convex ?? false;
+    this.bbox = baseShape.bbox;
+    this.center = baseShape.center;
+
+    this._state = null;
+    this._proposal = { x: 0, y: 0, z: 0 };
+  }
+
+  /** Measure of the base region; the density reweights points but not the region. */
+  get volume() {
+    return this.base.volume;
+  }
+
+  get area() {
+    return this.base.area;
+  }
+
+  /**
+   * Point distributed as the density. Returns null only under the 'return-null' failure policy.
+   * @param {() => number} [rng=Math.random]
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  sample(rng = Math.random, out = {}) {
+    this.counters.samples++;
+    return this.method === 'rejection' ? this._sampleRejection(rng, out) : this._sampleChain(rng, out);
+  }
+
+  /** @private */
+  _sampleRejection(rng, out) {
+    const c = this.counters;
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      c.attempts++;
+      const p = this.base.sample(rng, out);
+      if (p === null) {
+        c.failures++;
+        return null;
+      }
+      const d = this._densityAt(p);
+      if (d > this.maxDensity) c.boundExceeded++;
+      if (rng() * this.maxDensity < d) {
+        c.accepted++;
+        return p;
+      }
+    }
+    c.failures++;
+    if (this.failurePolicy === 'return-null') return null;
+    if (this.failurePolicy === 'fallback') {
+      c.fallbacks++;
+      return out;
+    }
+    throw new Error(`Density sampling failed after ${this.maxAttempts} attempts; the density may vanish on the base.`);
+  }
+
+  /** @private */
+  _sampleChain(rng, out) {
+    if (!this._state) this._start(rng);
+    for (let i = 0; i < this.steps; i++) this._step(rng);
+    const s = this._state;
+    out.x = s.x;
+    out.y = s.y;
+    out.z = s.z;
+    return out;
+  }
+
+  /** @private First point with positive density, then `burnIn` discarded moves. */
+  _start(rng) {
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      const p = this.base.sample(rng, {});
+      const d = p === null ? 0 : this._densityAt(p);
+      if (d > 0) {
+        this._state = { x: p.x, y: p.y, z: p.z ?? 0, d };
+        for (let i = 0; i < this.burnIn; i++) this._step(rng);
+        return;
+      }
+    }
+    this.counters.failures++;
+    throw new Error(`Density sampling found no point with positive density in ${this.maxAttempts} proposals.`);
+  }
+
+  /**
+   * @private One Metropolis–Hastings move. Both proposals are symmetric with respect to the
+   * uniform measure on the base, so the acceptance ratio is d(y) / d(x) in either case.
+   */
+  _step(rng) {
+    const s = this._state;
+    const y = this._proposal;
+    this.counters.attempts++;
+    if (this.stepSize > 0 && rng() < 0.5) {
+      y.x = s.x + this.stepSize * (2 * rng() - 1);
+      y.y = s.y + this.stepSize * (2 * rng() - 1);
+      y.z = this.dimension === 3 ? s.z + this.stepSize * (2 * rng() - 1) : s.z;
+      if (!this.base.contains(y)) return;
+    } else {
+      // A composite base that gave up may have left a rejected point in y
+      if (this.base.sample(rng, y) === null) return;
+      y.z = y.z ?? 0;
+    }
+    const d = this._densityAt(y);
+    if (d >= s.d || rng() * s.d < d) {
+      s.x = y.x; s.y = y.y; s.z = y.z; s.d = d;
+      this.counters.accepted++;
+    }
+  }
+
+  /** @private */
+  _densityAt(p) {
+    const d = this.density(p);
+    return d > 0 && d < Infinity ? d : 0;
+  }
+
+  /** Restarts the Metropolis–Hastings chain (with a new burn-in) on the next sample. */
+  reset() {
+    this._state = null;
+  }
+
+  contains(p, epsilon = 1e-9) {
+    return this.base.contains(p, epsilon);
+  }
+
+  sdf(p) {
+    return this.base.sdf(p);
+  }
+
+  /** World bounding box under p -> M p + t (see bounds.js). */
+  transformedBBox(m, t) {
+    return boundsOf(this.base, m, t);
+  }
+
+  /**
+   * Proposal statistics of this node and any composites below it. For 'metropolis',
+   * `attempts` counts proposed moves and `accepted` the moves taken.
+   * @returns {Object}
+   */
+  stats() {
+    return collectStats(this);
+  }
+
+  /** @returns {string} */
+  explain() {
+    return explain(this);
+  }
+
+  /** Clears the counters of this node (children keep theirs). */
+  resetStats() {
+    for (const key in this.counters) this.counters[key] = 0;
+  }
+}
+
+withSampleInto(DensityShape);
+
+/** @private */
+function defaultStepSize(shape) {
+  if (shape.dimension !== 2 && shape.dimension !== 3) return 0;
+  if (typeof shape.contains !== 'function' || !shape.bbox) return 0;
+  const b = shape.bbox;
+  const extent = Math.max(b.maxX - b.minX, b.maxY - b.minY, shape.dimension === 3 ? (b.maxZ ?? 0) - (b.minZ ?? 0) : 0);
+  return extent / 10;
+}
@@ -0,0 +1,91 @@
+/**
+ * distance.js
+ * Distance helpers shared by the `sdf(p)` implementations.
+ *
+ * Signed distances are negative inside, zero on the boundary and positive outside.
+ */
+
+/**
+ * Unsigned distance from (px, py) to the segment a–b.
+ */
+export function segmentDistance2D(px, py, ax, ay, bx, by) {
+  const ex = bx - ax, ey = by - ay;
+  const len2 = ex * ex + ey * ey;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((px - ax) * ex + (py - ay) * ey) / len2)) : 0;
+  return Math.hypot(px - ax - t * ex, py - ay - t * ey);
+}
+
+/**
+ * Unsigned distance from p to the segment a–b in 3D. Missing z coordinates count as 0.
+ */
+export function segmentDistance3D(p, a, b) {
+  const az = a.z ?? 0;
+  const ex = b.x - a.x, ey = b.y - a.y, ez = (b.z ?? 0) - az;
+  const qx = p.x - a.x, qy = p.y - a.y, qz = (p.z ?? 0) - az;
+  const len2 = ex * ex + ey * ey + ez * ez;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, (qx * ex + qy * ey + qz * ez) / len2)) : 0;
+  return Math.hypot(qx - t * ex, qy - t * ey, qz - t * ez);
+}
+
+/**
+ * Exact signed distance from (x, y) to the wedge between the rays at angle `start`
+ * and `start + delta` (counter-clockwise) from the origin. Reflex wedges are fine.
+ */
+export function wedgeDistance(x, y, start, delta) {
+  const r = Math.hypot(x, y);
+  let a = (Math.atan2(y, x) - start) % (2 * Math.PI);
+  if (a < 0) a += 2 * Math.PI;
+  // Past a right angle the nearest point of a ray is its apex
+  const toRay = angle => angle < Math.PI / 2 ? r * Math.sin(angle) : r;
+  if (a <= delta) return -Math.min(toRay(a), toRay(delta - a));
+  return Math.min(toRay(a - delta), toRay(2 * Math.PI - a));
+}
+
+/**
+ * First-order signed distance to an axis-aligned ellipsoid centered at the origin
+ * (pass z = 0, rz = 1 for an ellipse). Exact for spheres; otherwise the zero set and
+ * sign are exact and the magnitude stays within a factor max(r) / min(r) of the truth.
+ */
+export function ellipsoidDistance(x, y, z, rx, ry, rz) {
+  const k0 = Math.hypot(x / rx, y / ry, z / rz);
+  const k1 = Math.hypot(x / (rx * rx), y / (ry * ry), z / (rz * rz));
+  if (k1 === 0) return -Math.min(rx, ry, rz);
+  return k0 * (k0 - 1) / k1;
+}
+
+/**
+ * Exact signed distance to a closed polygon, given a point-in-polygon answer.
+ * @param {number} px
+ * @param {number} py
+ * @param {Array<{x: number, y: number}>} vertices
+ * @param {boolean} inside
+ */
+export function polygonDistance(px, py, vertices, inside) {
+  let d = Infinity;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    d = Math.min(d, segmentDistance2D(px, py, vertices[j].x, vertices[j].y, vertices[i].x, vertices[i].y));
+  }
+  return inside ? -d : d;
+}
+
+/**
+ * Unsigned distance from p to the triangle a–b–c in 3D.
+ */
+export function triangleDistance3D(p, a, b, c) {
+  const abx = b.x - a.x, aby = b.y - a.y, abz = b.z - a.z;
+  const acx = c.x - a.x, acy = c.y - a.y, acz = c.z - a.z;
+  const nx = aby * acz - abz * acy, ny = abz * acx - abx * acz, nz = abx * acy - aby * acx;
+  const len = Math.hypot(nx, ny, nz);
+  if (len > 0) {
+    // Inside the prism over the triangle the nearest point is the projection onto its plane
+    const edges = [[a, b], [b, c], [c, a]];
+    let inside = true;
+    for (const [s, e] of edges) {
+      const ex = e.x - s.x, ey = e.y - s.y, ez = e.z - s.z;
+      const qx = p.x - s.x, qy = p.y - s.y, qz = p.z - s.z;
+      if (nx * (ey * qz - ez * qy) + ny * (ez * qx - ex * qz) + nz * (ex * qy - ey * qx) < 0) { inside = false; break; }
+    }
+    if (inside) return Math.abs(nx * (p.x - a.x) + ny * (p.y - a.y) + nz * (p.z - a.z)) / len;
+  }
+  return Math.min(segmentDistance3D(p, a, b), segmentDistance3D(p, b, c), segmentDistance3D(p, c, a));
+}
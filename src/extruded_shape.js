@@ -0,0 +1,181 @@
+/**
+ * extruded_shape.js
+ * Prisms swept from a 2D profile along z, optionally twisted and tapered.
+ */
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { IDENTITY, applyAffine, ballPad, boundsOf, composeLinear, mergeBBox } from './bounds.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+export class ExtrudedShape {
+  /**
+   * Solid swept by a 2D shape lifted from its plane (z = center.z) to `depth` above it.
+   * Halfway up, the cross-section is the profile scaled and turned about its center by
+   * the interpolated `taper` and `twist`; both leave the extrusion exact to sample.
+   *
+   * @param {Object} profile - A 2D shape (Polygon2D, CircleSector2D, a 2D CompositeShape, ...) in the xy plane.
+   * @param {number} [depth=1] - Height of the prism along +z.
+   * @param {Object} [options]
+   * @param {number} [options.twist=0] - Counter-clockwise turn of the top face, in radians.
+   * @param {number} [options.taper=1] - Scale of the top face; 0 closes it to a point (a pyramid).
+   */
+  constructor(profile, depth = 1, options = {}) {
+    if (profile.dimension !== 2) throw new Error('ExtrudedShape: the profile must be a 2D shape.');
+    if (!(depth > 0)) throw new RangeError(`ExtrudedShape: depth must be positive, got ${depth}.`);
+    const { twist = 0, taper = 1 } = options;
+    if (!(taper >= 0)) throw new RangeError(`ExtrudedShape: taper must be non-negative, got ${taper}.`);
+
+    this.profile = profile;
+    this.depth = depth;
+    this.twist = twist;
+    this.taper = taper;
+    this.dimension = 3;
+    // Tapering keeps convex sections convex (a hull of two homothetic copies); twisting does not
+    this.convex = (profile.convex ?? false) && twist === 0;
+
+    const c = profile.center ?? ORIGIN;
+    this.pivot = { x: c.x, y: c.y };
+    this.base = c.z ?? 0;
+    this.center = { x: c.x, y: c.y, z: this.base + depth / 2 };
+
+    // Cross-sections scale by s(h) = 1 + (taper - 1) h, so the volume is A d ∫ s² dh
+    this.volume = profile.area * depth * (1 + taper + taper * taper) / 3;
+
+    const b = profile.bbox;
+    this._reach = Math.max(
+      Math.hypot(b.minX - c.x, b.minY - c.y), Math.hypot(b.maxX - c.x, b.minY - c.y),
+      Math.hypot(b.minX - c.x, b.maxY - c.y), Math.hypot(b.maxX - c.x, b.maxY - c.y)
+    );
+    // Bound on how fast a section point drifts per unit height, to keep the sdf a lower bound
+    const drift = this._reach * (Math.abs(taper - 1) + Math.abs(twist) * Math.max(1, taper)) / depth;
+    this._lipschitz = Math.sqrt(1 + drift * drift);
+
+    this.bbox = this.transformedBBox(IDENTITY, ORIGIN);
+  }
+
+  /**
+   * Uniform interior point. Profiles without a `fromUnit` warp (composites) are sampled
+   * through their own `sample`; a null from a 'return-null' composite is passed on.
+   * @param {() => number} [rng=Math.random]
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  sample(rng = Math.random, out = {}) {
+    if (typeof this.profile.fromUnit === 'function') return this.fromUnit(rng(), rng(), rng(), out);
+    const h = this._height(rng());
+    return this.profile.sample(rng, out) === null ? null : this._lift(out, h);
+  }
+
+  /**
+   * Deterministic warp from the unit cube: u picks the height (weighted by section area),
+   * v and w feed the profile's own warp.
+   * @param {number} u
+   * @param {number} v
+   * @param {number} w
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  fromUnit(u, v, w, out = {}) {
+    if (typeof this.profile.fromUnit !== 'function') {
+      throw new Error('ExtrudedShape: the profile has no fromUnit warp (composites have none); use sample() instead.');
+    }
+    const h = this._height(u);
+    this.profile.fromUnit(v, w, 0, out);
+    return this._lift(out, h);
+  }
+
+  contains(p, epsilon = 1e-9) {
+    const z = (p.z ?? 0) - this.base;
+    if (z < -epsilon || z > this.depth + epsilon) return false;
+    const h = Math.min(1, Math.max(0, z / this.depth));
+    const s = 1 + (this.taper - 1) * h;
+    const local = this._toSection(p, h, s);
+    // A closed apex is a single point
+    if (s === 0) return Math.hypot(p.x - this.pivot.x, p.y - this.pivot.y) <= epsilon;
+    return this.profile.contains(local, epsilon / s);
+  }
+
+  /**
+   * Signed distance: the section's own distance (scaled back to world units) against the
+   * two caps. Exact for straight prisms; with twist or taper the section term is divided by
+   * its rate of change along z, so the value stays a lower bound.
+   */
+  sdf(p) {
+    const z = (p.z ?? 0) - this.base;
+    const h = Math.min(1, Math.max(0, z / this.depth));
+    const s = 1 + (this.taper - 1) * h;
+    const side = s > 0
+      ? this.profile.sdf(this._toSection(p, h, s)) * s
+      : Math.hypot(p.x - this.pivot.x, p.y - this.pivot.y);
+    const cap = Math.max(-z, z - this.depth);
+    const lateral = side / this._lipschitz;
+    if (lateral > 0 && cap > 0) return Math.hypot(lateral, cap);
+    return Math.max(lateral, cap);
+  }
+
+  /**
+   * World bounding box under p -> M p + t. Without twist the extremes lie on the two caps and
+   * the box is as tight as the profile's; with twist, sections are taken at small turns and
+   * padded by the distance a point can drift between them.
+   */
+  transformedBBox(m, t) {
+    const steps = this.twist === 0 ? 1 : Math.max(2, Math.ceil(Math.abs(this.twist) / (Math.PI / 64)));
+    let box = null;
+    for (let i = 0; i <= steps; i++) {
+      const h = i / steps;
+      const s = 1 + (this.taper - 1) * h;
+      const cos = Math.cos(this.twist * h) * s, sin = Math.sin(this.twist * h) * s;
+      // Section map: (x, y, z) -> pivot + s R (x - pivot, y - pivot), lifted to height h
+      const section = { m00: cos, m01: -sin, m02: 0, m10: sin, m11: cos, m12: 0, m20: 0, m21: 0, m22: 0 };
+      const offset = {
+        x: this.pivot.x - cos * this.pivot.x + sin * this.pivot.y,
+        y: this.pivot.y - sin * this.pivot.x - cos * this.pivot.y,
+        z: this.base + h * this.depth
+      };
+      const slice = boundsOf(this.profile, composeLinear(m, section), applyAffine(m, t, offset));
+      box = box ? mergeBBox(box, slice) : slice;
+    }
+    if (steps > 1) {
+      const step = this._reach * (Math.abs(this.taper - 1) + Math.abs(this.twist) * Math.max(1, this.taper)) / steps;
+      // Points drift within their section, so only the in-plane columns of M widen the box
+      const pad = ballPad({ ...m, m02: 0, m12: 0, m22: 0 }, step / 2);
+      box.minX -= pad.x; box.maxX += pad.x;
+      box.minY -= pad.y; box.maxY += pad.y;
+      box.minZ -= pad.z; box.maxZ += pad.z;
+    }
+    return box;
+  }
+
+  /** @private Moves a profile point in place to height h: scaled and turned about the pivot. */
+  _lift(out, h) {
+    const s = 1 + (this.taper - 1) * h;
+    const cos = Math.cos(this.twist * h), sin = Math.sin(this.twist * h);
+    const dx = (out.x - this.pivot.x) * s, dy = (out.y - this.pivot.y) * s;
+    out.x = this.pivot.x + cos * dx - sin * dy;
+    out.y = this.pivot.y + sin * dx + cos * dy;
+    out.z = this.base + h * this.depth;
+    return out;
+  }
+
+  /** @private Height fraction below which fraction u of the volume lies: s³ is uniform. */
+  _height(u) {
+    const k = this.taper - 1;
+    if (Math.abs(k) < 1e-12) return u;
+    const s = Math.cbrt(1 + u * (this.taper ** 3 - 1));
+    return Math.min(1, Math.max(0, (s - 1) / k));
+  }
+
+  /** @private World point back in profile coordinates at height fraction h and scale s. */
+  _toSection(p, h, s) {
+    const cos = Math.cos(this.twist * h), sin = Math.sin(this.twist * h);
+    const dx = p.x - this.pivot.x, dy = p.y - this.pivot.y;
+    const inv = s > 0 ? 1 / s : 0;
+    return {
+      x: this.pivot.x + (cos * dx + sin * dy) * inv,
+      y: this.pivot.y + (-sin * dx + cos * dy) * inv,
+      z: this.base
+    };
+  }
+}
+
+withSampleQMC(ExtrudedShape);
+withSampleInto(ExtrudedShape);
@@ -2,4 +2,20 @@ export * from './curves1d.js';
 export * from './shapes2d.js';
 export * from './shapes3d.js';
 export * from './composite_shapes.js';
-export * from './rotated_shape.js';
\ No newline at end of file
+export * from './rotated_shape.js';
+export * from './translated_shape.js';
+export * from './affine_shape.js';
+export * from './random.js';
+export * from './sequences.js';
+export * from './buffers.js';
+export * from './blue_noise.js';
+export * from './distance.js';
+export * from './bounds.js';
+export * from './density_shape.js';
+export * from './astro.js';
+export * from './mesh3d.js';
+export * from './mesh_io.js';
+export * from './svg_path.js';
+export * from './tube_shape.js';
+export * from './extruded_shape.js';
+export * from './revolved_shape.js';
@@ -0,0 +1,303 @@
+/**
+ * mesh3d.js
+ * Triangle meshes: area-weighted surface sampling and interior sampling of closed meshes.
+ */
+import { withSampleInto } from './buffers.js';
+import { IDENTITY, pointsBBox } from './bounds.js';
+import { triangleDistance3D } from './distance.js';
+import { cross, dot, normalize, sub } from './vector3.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+const LEAF_SIZE = 4;
+// A direction no axis-aligned mesh lines up with, so parity rays rarely graze edges
+const RAY = normalize({ x: 1, y: 0.5772156649, z: 0.2718281828 });
+
+export class Mesh3D {
+  /**
+   * @param {ArrayLike<number>|Array<{x: number, y: number, z: number}>} vertices - Flat
+   *   [x0, y0, z0, x1, ...] (as in vertex buffers) or an array of points.
+   * @param {ArrayLike<number>|Array<number[]>} triangles - Flat vertex indices, three per
+   *   triangle, or an array of [i, j, k] triples.
+   * @param {Object} [options]
+   * @param {boolean} [options.closed=true] - Require a watertight, consistently oriented mesh. With
+   *   false, open meshes are accepted for surface sampling only.
+   * @param {number} [options.maxAttempts=10000] - Rejection attempts per interior sample.
+   */
+  constructor(vertices, triangles, options = {}) {
+    this.vertices = toPoints(vertices);
+    this.indices = toIndices(triangles, this.vertices.length);
+    this.closed = options.closed ?? true;
+    this.maxAttempts = options.maxAttempts ?? 10000;
+    this.dimension = 3;
+    this.convex = false;
+
+    if (this.indices.length === 0) throw new Error('Mesh3D: the mesh has no triangles.');
+    if (this.closed) checkWatertight(this.indices);
+
+    this.bbox = pointsBBox(this.vertices, IDENTITY, ORIGIN);
+    this.center = {
+      x: (this.bbox.minX + this.bbox.maxX) / 2,
+      y: (this.bbox.minY + this.bbox.maxY) / 2,
+      z: (this.bbox.minZ + this.bbox.maxZ) / 2
+    };
+
+    // Faces with cumulative areas for the binary search, plus the signed volume
+    this.faces = [];
+    let area = 0, signedVolume = 0;
+    for (let i = 0; i < this.indices.length; i += 3) {
+      const a = this.vertices[this.indices[i]], b = this.vertices[this.indices[i + 1]], c = this.vertices[this.indices[i + 2]];
+      const n = cross(sub(b, a), sub(c, a));
+      const faceArea = Math.hypot(n.x, n.y, n.z) / 2;
+      area += faceArea;
+      signedVolume += dot(a, cross(b, c)) / 6;
+      this.faces.push({ a, b, c, normal: n, area: faceArea, cumulativeArea: area });
+    }
+    this.surfaceArea = area;
+    this.signedVolume = signedVolume;
+
+    if (this.closed) {
+      // Inward-wound meshes have negative signed volume; flip so normals point outwards
+      this.orientation = signedVolume < 0 ? -1 : 1;
+      this.volume = Math.abs(signedVolume);
+    } else {
+      this.orientation = 1;
+    }
+
+    this._bvh = buildBVH(this.faces);
+  }
+
+  /**
+   * Uniform interior point, by rejection from the bounding box against `contains`.
+   * @param {() => number} [rng=Math.random]
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  sample(rng = Math.random, out = {}) {
+    this._requireClosed('sample');
+    const b = this.bbox;
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      out.x = b.minX + rng() * (b.maxX - b.minX);
+      out.y = b.minY + rng() * (b.maxY - b.minY);
+      out.z = b.minZ + rng() * (b.maxZ - b.minZ);
+      if (this._parity(out)) return out;
+    }
+    throw new Error(`Mesh3D: interior sampling failed after ${this.maxAttempts} attempts; the mesh may be too thin for its bounding box.`);
+  }
+
+  /**
+   * Uniform point on the triangles by area (binary search on cumulative areas), with the
+   * unit face normal, outward for closed meshes.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    const r = rng() * this.surfaceArea;
+    let low = 0, high = this.faces.length - 1;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.faces[mid].cumulativeArea < r) low = mid + 1;
+      else high = mid;
+    }
+    const { a, b, c, normal } = this.faces[low];
+    const s = Math.sqrt(rng()), t = rng();
+    const wa = 1 - s, wb = s * (1 - t), wc = s * t;
+    const len = (Math.hypot(normal.x, normal.y, normal.z) || 1) * this.orientation;
+    return {
+      x: wa * a.x + wb * b.x + wc * c.x,
+      y: wa * a.y + wb * b.y + wc * c.y,
+      z: wa * a.z + wb * b.z + wc * c.z,
+      normal: { x: normal.x / len, y: normal.y / len, z: normal.z / len }
+    };
+  }
+
+  /**
+   * Ray-parity test: a ray from p crosses a closed surface an odd number of times exactly
+   * when p is inside. Points within `epsilon` of the surface count as inside.
+   */
+  contains(p, epsilon = 1e-9) {
+    this._requireClosed('contains');
+    if (this._parity(p)) return true;
+    return epsilon > 0 && this._distance(p, epsilon) <= epsilon;
+  }
+
+  /** Exact signed distance: nearest triangle, signed by ray parity. */
+  sdf(p) {
+    this._requireClosed('sdf');
+    const d = this._distance(p, Infinity);
+    return this._parity(p) ? -d : d;
+  }
+
+  /** Exact world bounding box under p -> M p + t. */
+  transformedBBox(m, t) {
+    return pointsBBox(this.vertices, m, t);
+  }
+
+  /** @private */
+  _requireClosed(operation) {
+    if (!this.closed) {
+      throw new Error(`Mesh3D: ${operation}() needs a closed mesh; this one was built with { closed: false }.`);
+    }
+  }
+
+  /** @private Odd number of crossings along RAY. */
+  _parity(p) {
+    const px = p.x, py = p.y, pz = p.z ?? 0;
+    const b = this.bbox;
+    if (px < b.minX || px > b.maxX || py < b.minY || py > b.maxY || pz < b.minZ || pz > b.maxZ) return false;
+
+    let inside = false;
+    const stack = [this._bvh];
+    while (stack.length) {
+      const node = stack.pop();
+      if (!rayHitsBox(px, py, pz, node)) continue;
+      if (node.faces) {
+        for (const f of node.faces) if (rayHitsTriangle(px, py, pz, f)) inside = !inside;
+      } else {
+        stack.push(node.left, node.right);
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * @private Distance to the nearest triangle. Nodes farther than `limit` or than the best
+   * so far are pruned, so the result is Infinity when nothing lies within `limit`.
+   */
+  _distance(p, limit) {
+    let best = Infinity;
+    const q = { x: p.x, y: p.y, z: p.z ?? 0 };
+    const stack = [this._bvh];
+    while (stack.length) {
+      const node = stack.pop();
+      if (boxDistance(q, node) > Math.min(best, limit)) continue;
+      if (node.faces) {
+        for (const f of node.faces) best = Math.min(best, triangleDistance3D(q, f.a, f.b, f.c));
+      } else {
+        // Visit the nearer child first so its result prunes the other
+        const dl = boxDistance(q, node.left), dr = boxDistance(q, node.right);
+        if (dl < dr) stack.push(node.right, node.left);
+        else stack.push(node.left, node.right);
+      }
+    }
+    return best;
+  }
+}
+
+withSampleInto(Mesh3D);
+
+/** @private */
+function toPoints(vertices) {
+  if (vertices.length > 0 && typeof vertices[0] === 'object') return vertices.map(v => ({ x: v.x, y: v.y, z: v.z ?? 0 }));
+  if (vertices.length % 3 !== 0) throw new Error(`Mesh3D: flat vertex arrays need 3 numbers per vertex, got ${vertices.length}.`);
+  const points = [];
+  for (let i = 0; i < vertices.length; i += 3) points.push({ x: vertices[i], y: vertices[i + 1], z: vertices[i + 2] });
+  return points;
+}
+
+/** @private */
+function toIndices(triangles, vertexCount) {
+  const flat = triangles.length > 0 && Array.isArray(triangles[0]) ? triangles.flat() : Array.from(triangles);
+  if (flat.length % 3 !== 0) throw new Error(`Mesh3D: triangle indices come in threes, got ${flat.length}.`);
+  for (const i of flat) {
+    if (!Number.isInteger(i) || i < 0 || i >= vertexCount) {
+      throw new Error(`Mesh3D: triangle index ${i} is out of range for ${vertexCount} vertices.`);
+    }
+  }
+  return flat;
+}
+
+/**
+ * Every edge of a closed, consistently oriented mesh appears exactly once in each direction.
+ * @private
+ */
+function checkWatertight(indices) {
+  const directed = new Map();
+  const key = (i, j) => `${i},${j}`;
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const i = indices[t + k], j = indices[t + (k + 1) % 3];
+      const edge = key(i, j);
+      if (directed.has(edge)) {
+        throw new Error(`Mesh3D: edge ${i}-${j} is shared by more than two triangles or they are inconsistently oriented; ` +
+          'pass { closed: false } to sample the surface only.');
+      }
+      directed.set(edge, t / 3);
+    }
+  }
+  for (const edge of directed.keys()) {
+    const [i, j] = edge.split(',');
+    if (!directed.has(key(j, i))) {
+      throw new Error(`Mesh3D: the mesh is not watertight (edge ${i}-${j} borders a hole); ` +
+        'pass { closed: false } to sample the surface only.');
+    }
+  }
+}
+
+/**
+ * Bounding-volume hierarchy over the faces: median split of the centroids along the longest axis.
+ * @private
+ */
+function buildBVH(faces) {
+  const node = boxOf(faces);
+  if (faces.length <= LEAF_SIZE) {
+    node.faces = faces;
+    return node;
+  }
+  const centroid = f => [(f.a.x + f.b.x + f.c.x) / 3, (f.a.y + f.b.y + f.c.y) / 3, (f.a.z + f.b.z + f.c.z) / 3];
+  const extents = [node.maxX - node.minX, node.maxY - node.minY, node.maxZ - node.minZ];
+  const axis = extents.indexOf(Math.max(...extents));
+  const sorted = faces.map(f => [centroid(f)[axis], f]).sort((p, q) => p[0] - q[0]).map(p => p[1]);
+  const half = sorted.length >> 1;
+  node.left = buildBVH(sorted.slice(0, half));
+  node.right = buildBVH(sorted.slice(half));
+  return node;
+}
+
+/** @private */
+function boxOf(faces) {
+  const box = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  for (const f of faces) {
+    for (const v of [f.a, f.b, f.c]) {
+      if (v.x < box.minX) box.minX = v.x; if (v.x > box.maxX) box.maxX = v.x;
+      if (v.y < box.minY) box.minY = v.y; if (v.y > box.maxY) box.maxY = v.y;
+      if (v.z < box.minZ) box.minZ = v.z; if (v.z > box.maxZ) box.maxZ = v.z;
+    }
+  }
+  return box;
+}
+
+/** @private Slab test of the ray p + t * RAY, t >= 0, against a box. */
+function rayHitsBox(px, py, pz, box) {
+  let t0 = 0, t1 = Infinity;
+  for (const [o, d, lo, hi] of [[px, RAY.x, box.minX, box.maxX], [py, RAY.y, box.minY, box.maxY], [pz, RAY.z, box.minZ, box.maxZ]]) {
+    const a = (lo - o) / d, b = (hi - o) / d;
+    t0 = Math.max(t0, Math.min(a, b));
+    t1 = Math.min(t1, Math.max(a, b));
+    if (t0 > t1) return false;
+  }
+  return true;
+}
+
+/** @private Möller–Trumbore intersection of the ray p + t * RAY, t > 0. */
+function rayHitsTriangle(px, py, pz, f) {
+  const { a, b, c } = f;
+  const e1x = b.x - a.x, e1y = b.y - a.y, e1z = b.z - a.z;
+  const e2x = c.x - a.x, e2y = c.y - a.y, e2z = c.z - a.z;
+  const hx = RAY.y * e2z - RAY.z * e2y, hy = RAY.z * e2x - RAY.x * e2z, hz = RAY.x * e2y - RAY.y * e2x;
+  const det = e1x * hx + e1y * hy + e1z * hz;
+  if (det === 0) return false;
+  const inv = 1 / det;
+  const sx = px - a.x, sy = py - a.y, sz = pz - a.z;
+  const u = (sx * hx + sy * hy + sz * hz) * inv;
+  if (u < 0 || u > 1) return false;
+  const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x;
+  const v = (RAY.x * qx + RAY.y * qy + RAY.z * qz) * inv;
+  if (v < 0 || u + v > 1) return false;
+  return (e2x * qx + e2y * qy + e2z * qz) * inv > 0;
+}
+
+/** @private Distance from q to a box (0 inside). */
+function boxDistance(q, box) {
+  const dx = Math.max(box.minX - q.x, 0, q.x - box.maxX);
+  const dy = Math.max(box.minY - q.y, 0, q.y - box.maxY);
+  const dz = Math.max(box.minZ - q.z, 0, q.z - box.maxZ);
+  return Math.hypot(dx, dy, dz);
+}
@@ -0,0 +1,395 @@
+/**
+ * mesh_io.js
+ * Dependency-free readers for Wavefront OBJ, STL (ASCII and binary) and PLY (ASCII and binary).
+ *
+ * Every reader accepts a string, an ArrayBuffer, a typed array or DataView, or a Node Buffer,
+ * and returns `{ vertices, faces }`: a flat [x0, y0, z0, x1, ...] array and one index loop per
+ * face. `loadMesh` turns that into a shape.
+ */
+import { AffineShape } from './affine_shape.js';
+import { Mesh3D } from './mesh3d.js';
+import { Polygon2D } from './shapes2d.js';
+import { cross, dot, length, normalize, sub } from './vector3.js';
+
+const PLY_TYPES = {
+  char: ['getInt8', 1], int8: ['getInt8', 1],
+  uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+  short: ['getInt16', 2], int16: ['getInt16', 2],
+  ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+  int: ['getInt32', 4], int32: ['getInt32', 4],
+  uint: ['getUint32', 4], uint32: ['getUint32', 4],
+  float: ['getFloat32', 4], float32: ['getFloat32', 4],
+  double: ['getFloat64', 8], float64: ['getFloat64', 8]
+};
+
+/**
+ * Builds a shape from mesh data: a Polygon2D for a single flat face, otherwise a Mesh3D.
+ * A flat face off the xy plane becomes a Polygon2D in its own plane, wrapped in an AffineShape.
+ * Faces with more than three corners are ear-clipped in their best-fit plane, so concave
+ * faces (as exported by Blender with "Triangulate Faces" off) keep their shape.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView} input - File contents.
+ * @param {Object} [options]
+ * @param {'obj'|'stl'|'ply'} [options.format] - Detected from the contents when omitted.
+ * @param {'auto'|'mesh'|'polygon'} [options.as='auto'] - Force a Mesh3D or a Polygon2D.
+ * @param {boolean} [options.closed=true] - Passed to Mesh3D; false accepts open meshes for surface sampling.
+ * @param {number} [options.maxAttempts] - Passed to Mesh3D.
+ * @returns {Mesh3D|Polygon2D|AffineShape}
+ */
+export function loadMesh(input, options = {}) {
+  const format = options.format ?? detectFormat(input);
+  const readers = { obj: parseOBJ, stl: parseSTL, ply: parsePLY };
+  if (!readers[format]) throw new Error(`loadMesh: unknown format "${format}". Expected obj, stl or ply.`);
+  const { vertices, faces } = readers[format](input);
+
+  const as = options.as ?? 'auto';
+  if (as === 'polygon' || (as === 'auto' && faces.length === 1 && isFlat(facePoints(vertices, faces[0])))) {
+    if (faces.length !== 1) throw new Error(`loadMesh: a Polygon2D needs exactly one face, got ${faces.length}.`);
+    return facePolygon(facePoints(vertices, faces[0]));
+  }
+
+  const triangles = [];
+  faces.forEach((face, n) => {
+    if (face.length === 3) triangles.push(...face);
+    else for (const corners of triangulateFace(facePoints(vertices, face), n)) triangles.push(...corners.map(k => face[k]));
+  });
+  return new Mesh3D(vertices, triangles, { closed: options.closed, maxAttempts: options.maxAttempts });
+}
+
+/**
+ * Wavefront OBJ: `v` and `f` records. Texture and normal references (`f 1/2/3`), negative
+ * (relative) indices and w coordinates are accepted; everything else is ignored.
+ * @param {string|ArrayBuffer|ArrayBufferView} input
+ * @returns {{vertices: number[], faces: number[][]}}
+ */
+export function parseOBJ(input) {
+  const vertices = [];
+  const faces = [];
+  const lines = toText(input).split(/\r?\n/);
+
+  for (let n = 0; n < lines.length; n++) {
+    const parts = lines[n].trim().split(/\s+/);
+    if (parts[0] === 'v') {
+      const [x, y, z = 0] = parts.slice(1, 4).map(Number);
+      if (![x, y, z].every(Number.isFinite)) throw new Error(`parseOBJ: bad vertex on line ${n + 1}: "${lines[n].trim()}".`);
+      vertices.push(x, y, z);
+    } else if (parts[0] === 'f') {
+      const count = vertices.length / 3;
+      const face = parts.slice(1).map(ref => {
+        const i = parseInt(ref, 10);
+        const index = i < 0 ? count + i : i - 1;
+        if (!Number.isInteger(index) || index < 0 || index >= count) {
+          throw new Error(`parseOBJ: face on line ${n + 1} references missing vertex "${ref}".`);
+        }
+        return index;
+      });
+      if (face.length < 3) throw new Error(`parseOBJ: face on line ${n + 1} has fewer than 3 vertices.`);
+      faces.push(face);
+    }
+  }
+  return { vertices, faces };
+}
+
+/**
+ * STL, ASCII or binary (told apart by the binary size field). STL stores every triangle
+ * with its own corners, so identical positions are welded to recover a connected mesh.
+ * @param {string|ArrayBuffer|ArrayBufferView} input
+ * @returns {{vertices: number[], faces: number[][]}}
+ */
+export function parseSTL(input) {
+  const corners = isBinarySTL(input) ? readBinarySTL(toView(input)) : readAsciiSTL(toText(input));
+  if (corners.length % 9 !== 0) throw new Error('parseSTL: a facet does not have exactly three vertices.');
+
+  const vertices = [];
+  const faces = [];
+  const welded = new Map();
+  const indexOf = (x, y, z) => {
+    const key = `${x},${y},${z}`;
+    let i = welded.get(key);
+    if (i === undefined) {
+      i = vertices.length / 3;
+      welded.set(key, i);
+      vertices.push(x, y, z);
+    }
+    return i;
+  };
+  for (let i = 0; i < corners.length; i += 9) {
+    faces.push([
+      indexOf(corners[i], corners[i + 1], corners[i + 2]),
+      indexOf(corners[i + 3], corners[i + 4], corners[i + 5]),
+      indexOf(corners[i + 6], corners[i + 7], corners[i + 8])
+    ]);
+  }
+  return { vertices, faces };
+}
+
+/**
+ * PLY in ascii, binary_little_endian or binary_big_endian format. Reads x/y/z of the
+ * `vertex` element and the index list of the `face` element; other elements and
+ * properties are skipped.
+ * @param {string|ArrayBuffer|ArrayBufferView} input
+ * @returns {{vertices: number[], faces: number[][]}}
+ */
+export function parsePLY(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : toBytes(input);
+  const { format, elements, bodyStart } = readPLYHeader(bytes);
+
+  const vertices = [];
+  const faces = [];
+  const handle = (element, values) => {
+    if (element.name === 'vertex') {
+      vertices.push(values.x, values.y, values.z ?? 0);
+    } else if (element.name === 'face') {
+      const list = values.vertex_indices ?? values.vertex_index;
+      if (!list) throw new Error('parsePLY: face element has no vertex_indices list.');
+      faces.push(list);
+    }
+  };
+
+  if (format === 'ascii') {
+    const tokens = new TextDecoder().decode(bytes.subarray(bodyStart)).trim().split(/\s+/);
+    let k = 0;
+    const next = () => {
+      if (k >= tokens.length) throw new Error('parsePLY: file ends before all elements were read.');
+      return Number(tokens[k++]);
+    };
+    for (const element of elements) {
+      for (let n = 0; n < element.count; n++) {
+        const values = {};
+        for (const prop of element.properties) {
+          if (prop.list) {
+            const length = next();
+            values[prop.name] = Array.from({ length }, next);
+          } else {
+            values[prop.name] = next();
+          }
+        }
+        handle(element, values);
+      }
+    }
+  } else {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = format === 'binary_little_endian';
+    let offset = bodyStart;
+    const read = type => {
+      const [getter, size] = PLY_TYPES[type];
+      if (offset + size > view.byteLength) throw new Error('parsePLY: file ends before all elements were read.');
+      const value = view[getter](offset, little);
+      offset += size;
+      return value;
+    };
+    for (const element of elements) {
+      for (let n = 0; n < element.count; n++) {
+        const values = {};
+        for (const prop of element.properties) {
+          if (prop.list) {
+            const length = read(prop.countType);
+            values[prop.name] = Array.from({ length }, () => read(prop.type));
+          } else {
+            values[prop.name] = read(prop.type);
+          }
+        }
+        handle(element, values);
+      }
+    }
+  }
+
+  const count = vertices.length / 3;
+  for (const face of faces) {
+    if (face.length < 3) throw new Error('parsePLY: a face has fewer than 3 vertices.');
+    for (const i of face) {
+      if (!Number.isInteger(i) || i < 0 || i >= count) throw new Error(`parsePLY: face references missing vertex ${i}.`);
+    }
+  }
+  return { vertices, faces };
+}
+
+/** @private */
+function readPLYHeader(bytes) {
+  const marker = 'end_header';
+  const head = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+  const end = head.indexOf(marker);
+  if (!head.startsWith('ply') || end < 0) throw new Error('parsePLY: missing "ply" magic or "end_header".');
+
+  // The body starts after the newline that ends the header line (\n or \r\n)
+  let bodyStart = new TextEncoder().encode(head.slice(0, end + marker.length)).length;
+  if (bytes[bodyStart] === 13) bodyStart++;
+  if (bytes[bodyStart] === 10) bodyStart++;
+
+  let format = null;
+  const elements = [];
+  for (const line of head.slice(0, end).split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') {
+      format = parts[1];
+    } else if (parts[0] === 'element') {
+      elements.push({ name: parts[1], count: Number(parts[2]), properties: [] });
+    } else if (parts[0] === 'property') {
+      const element = elements[elements.length - 1];
+      if (!element) throw new Error('parsePLY: property declared before any element.');
+      const property = parts[1] === 'list'
+        ? { list: true, countType: parts[2], type: parts[3], name: parts[4] }
+        : { list: false, type: parts[1], name: parts[2] };
+      for (const type of property.list ? [property.countType, property.type] : [property.type]) {
+        if (!PLY_TYPES[type]) throw new Error(`parsePLY: unknown property type "${type}".`);
+      }
+      element.properties.push(property);
+    }
+  }
+  if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+    throw new Error(`parsePLY: unsupported format "${format}".`);
+  }
+  return { format, elements, bodyStart };
+}
+
+/** @private */
+function readAsciiSTL(text) {
+  const corners = [];
+  const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const xyz = [Number(match[1]), Number(match[2]), Number(match[3])];
+    if (!xyz.every(Number.isFinite)) throw new Error(`parseSTL: bad vertex "${match[0]}".`);
+    corners.push(...xyz);
+  }
+  if (corners.length === 0) throw new Error('parseSTL: no facets found.');
+  return corners;
+}
+
+/** @private 80-byte header, uint32 count, then 50 bytes per facet (normal, 3 corners, attribute). */
+function readBinarySTL(view) {
+  const count = view.getUint32(80, true);
+  const corners = new Array(count * 9);
+  for (let f = 0; f < count; f++) {
+    const base = 84 + 50 * f + 12; // skip the stored normal
+    for (let k = 0; k < 9; k++) corners[9 * f + k] = view.getFloat32(base + 4 * k, true);
+  }
+  return corners;
+}
+
+/** @private Binary STL files announce their exact size; ASCII ones start with "solid". */
+function isBinarySTL(input) {
+  if (typeof input === 'string') return false;
+  const view = toView(input);
+  return view.byteLength >= 84 && view.byteLength === 84 + 50 * view.getUint32(80, true);
+}
+
+/** @private */
+function detectFormat(input) {
+  if (typeof input !== 'string' && isBinarySTL(input)) return 'stl';
+  const head = typeof input === 'string' ? input.slice(0, 512) : new TextDecoder().decode(toBytes(input).subarray(0, 512));
+  if (head.startsWith('ply')) return 'ply';
+  if (/^\s*solid\b/.test(head) && /\bfacet\b/.test(head)) return 'stl';
+  return 'obj';
+}
+
+/** @private */
+function facePoints(vertices, face) {
+  return face.map(i => ({ x: vertices[3 * i], y: vertices[3 * i + 1], z: vertices[3 * i + 2] }));
+}
+
+/**
+ * @private Best-fit plane of a face loop: Newell normal (along the winding, right-hand rule),
+ * in-plane axes u and v with u × v = normal, and the vertex mean as origin. Null for faces with no area.
+ */
+function faceFrame(points) {
+  const origin = { x: 0, y: 0, z: 0 };
+  for (const p of points) { origin.x += p.x / points.length; origin.y += p.y / points.length; origin.z += p.z / points.length; }
+  const normal = { x: 0, y: 0, z: 0 };
+  let size = 0;
+  for (let k = 0; k < points.length; k++) {
+    const a = sub(points[k], origin), b = sub(points[(k + 1) % points.length], origin);
+    const n = cross(a, b);
+    normal.x += n.x; normal.y += n.y; normal.z += n.z;
+    size = Math.max(size, length(a));
+  }
+  if (!(length(normal) > 1e-12 * size * size)) return null;
+  const n = normalize(normal);
+  const u = normalize(cross(Math.abs(n.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 }, n));
+  return { origin, normal: n, u, v: cross(n, u), size };
+}
+
+/** @private Coplanar within rounding, measured along the face normal. */
+function isFlat(points) {
+  const frame = faceFrame(points);
+  if (!frame) return false;
+  return points.every(p => Math.abs(dot(sub(p, frame.origin), frame.normal)) <= 1e-9 * frame.size);
+}
+
+/** @private Corner positions of `points` in the face plane, with z = 0. */
+function toPlane(points, frame) {
+  return points.map((p, k) => {
+    const d = sub(p, frame.origin);
+    return { x: dot(d, frame.u), y: dot(d, frame.v), z: 0, corner: k };
+  });
+}
+
+/** @private Corner triples of an ear-clipped face, in the face's own winding. */
+function triangulateFace(points, n) {
+  const frame = faceFrame(points);
+  // No area to keep: a fan of zero-area triangles
+  if (!frame) return points.slice(2).map((_, k) => [0, k + 1, k + 2]);
+  const loop = toPlane(points, frame);
+  let triangles;
+  try {
+    // The projected loop runs counter-clockwise, so Polygon2D keeps its order
+    triangles = new Polygon2D(loop).triangles.map(t => [t.a.corner, t.b.corner, t.c.corner]);
+  } catch (error) {
+    throw new Error(`loadMesh: face ${n} cannot be triangulated. ${error.message}`);
+  }
+  // Polygon2D drops repeated and straight-through corners; split the edge each one lies on
+  // so neighbouring faces still share every edge and the mesh stays watertight
+  const used = new Set(triangles.flat());
+  for (const p of loop) {
+    if (used.has(p.corner)) continue;
+    for (let i = 0; i < triangles.length; i++) {
+      const t = triangles[i];
+      const k = [0, 1, 2].find(k => onEdge(loop[t[k]], loop[t[(k + 1) % 3]], p));
+      if (k === undefined) continue;
+      const [a, b, c] = [t[k], t[(k + 1) % 3], t[(k + 2) % 3]];
+      triangles.splice(i, 1, [a, p.corner, c], [p.corner, b, c]);
+      break;
+    }
+  }
+  return triangles;
+}
+
+/** @private Whether p lies on the segment a–b, within rounding. */
+function onEdge(a, b, p) {
+  const ex = b.x - a.x, ey = b.y - a.y, px = p.x - a.x, py = p.y - a.y;
+  const lengthSq = ex * ex + ey * ey;
+  const t = (px * ex + py * ey) / lengthSq;
+  return t >= 0 && t <= 1 && Math.abs(px * ey - py * ex) <= 1e-9 * lengthSq;
+}
+
+/** @private Polygon2D of one face; faces off the xy plane are built in their plane and mapped back. */
+function facePolygon(points) {
+  if (points.every(p => p.z === points[0].z)) return new Polygon2D(points);
+  const frame = faceFrame(points);
+  if (!frame) throw new Error('loadMesh: the face has no area.');
+  const { u, v, normal: w, origin: o } = frame;
+  return new AffineShape(new Polygon2D(toPlane(points, frame)), [
+    [u.x, v.x, w.x, o.x],
+    [u.y, v.y, w.y, o.y],
+    [u.z, v.z, w.z, o.z],
+    [0, 0, 0, 1]
+  ]);
+}
+
+/** @private */
+function toBytes(input) {
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  throw new TypeError('Expected a string, an ArrayBuffer or a typed array / Buffer.');
+}
+
+/** @private */
+function toView(input) {
+  const bytes = toBytes(input);
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/** @private */
+function toText(input) {
+  return typeof input === 'string' ? input : new TextDecoder().decode(toBytes(input));
+}
@@ -0,0 +1,62 @@
+/**
+ * random.js
+ * Seedable pseudo-random sources for reproducible sampling.
+ *
+ * Every sampler in the library accepts an optional `rng` argument with the
+ * same contract as `Math.random`: a function returning a float in [0, 1).
+ */
+
+/**
+ * Hashes a string seed into a 32-bit unsigned integer (FNV-1a).
+ * @private
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * SplitMix32 step, used to expand a single seed into the xoshiro state.
+ * @private
+ */
+function splitMix32(state) {
+  let z = (state.s = (state.s + 0x9e3779b9) | 0);
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  return (z ^ (z >>> 16)) >>> 0;
+}
+
+/**
+ * Creates a fast seeded generator (xoshiro128**).
+ * Only 32-bit integer arithmetic is used, so a given seed produces the same
+ * sequence on every engine and platform.
+ *
+ * @param {number|string} [seed] - Integer or string seed. Defaults to a random seed.
+ * @returns {() => number} A `Math.random`-compatible function returning floats in [0, 1).
+ */
+export function createRng(seed = Math.floor(Math.random() * 0x100000000)) {
+  const mix = { s: typeof seed === 'string' ? hashString(seed) : (seed >>> 0) ^ Math.floor(seed / 0x100000000) };
+
+  let a = splitMix32(mix), b = splitMix32(mix), c = splitMix32(mix), d = splitMix32(mix);
+  if ((a | b | c | d) === 0) a = 1; // The all-zero state is a fixed point
+
+  return function rng() {
+    const result = Math.imul(rotl(Math.imul(b, 5), 7), 9) >>> 0;
+    const t = b << 9;
+
+    c ^= a; d ^= b; b ^= c; a ^= d;
+    c ^= t;
+    d = rotl(d, 11);
+
+    return result / 4294967296;
+  };
+}
+
+/** @private */
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
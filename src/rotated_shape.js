@@ -1,8 +1,15 @@
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { IDENTITY, applyAffine, boundsOf, composeLinear } from './bounds.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
 export class RotatedShape {
   constructor(baseShape, pitch = 0, yaw = 0, roll = 0) {
     this.base = baseShape;
+    this.dimension = baseShape.dimension;
+    this.convex = baseShape.convex ?? false;
     this.center = baseShape.center;
-    this.volume = baseShape.volume;
 
     const cp = Math.cos(pitch), sp = Math.sin(pitch);
     const cy = Math.cos(yaw),   sy = Math.sin(yaw);
@@ -18,70 +25,105 @@ export class RotatedShape {
     this.m21 = cp * sy * sr + sp * cr;
     this.m22 = cp * cy;
 
-    this.bbox = this._calculateRotatedBBox();
+    this.bbox = this.transformedBBox(IDENTITY, ORIGIN);
+  }
+
+  /** Rotation preserves measure. Read lazily, since a composite base computes its own on demand. */
+  get volume() {
+    return this.base.volume;
+  }
+
+  get area() {
+    return this.base.area;
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this._toWorld(this.base.sample(rng, out), out);
   }
 
-  sample() {
-    const p = this.base.sample();
+  fromUnit(u, v, w, out = {}) {
+    return this._toWorld(this.base.fromUnit(u, v, w, out), out);
+  }
+
+  /**
+   * Surface sample of the base shape, with both point and normal rotated.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    const s = this.base.sampleSurface(rng);
+    const p = this._toWorld(s, {});
+    p.normal = this._rotateVector(s.normal);
+    return p;
+  }
+
+  /**
+   * Boundary sample of a 2D base shape, with tangent and normal rotated along.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleBoundary(rng = Math.random) {
+    const s = this.base.sampleBoundary(rng);
+    const p = this._toWorld(s, {});
+    p.tangent = this._rotateVector(s.tangent);
+    p.normal = this._rotateVector(s.normal);
+    return p;
+  }
+
+  /**
+   * World bounding box of this shape under a further map p -> M p + t (see bounds.js).
+   * Delegates to the base so rotated spheres, cylinders and disks get tight boxes.
+   */
+  transformedBBox(m, t) {
+    // This shape maps p -> R p + (c - R c)
+    const c = { x: this.center.x, y: this.center.y, z: this.center.z ?? 0 };
+    const rc = applyAffine(this, ORIGIN, c);
+    const own = { x: c.x - rc.x, y: c.y - rc.y, z: c.z - rc.z };
+    return boundsOf(this.base, composeLinear(m, this), applyAffine(m, t, own));
+  }
+
+  /** @private */
+  _rotateVector(n) {
+    return {
+      x: n.x * this.m00 + n.y * this.m01 + n.z * this.m02,
+      y: n.x * this.m10 + n.y * this.m11 + n.z * this.m12,
+      z: n.x * this.m20 + n.y * this.m21 + n.z * this.m22
+    };
+  }
+
+  /** @private Passes on the null of a composite base that gave up under 'return-null'. */
+  _toWorld(p, out) {
+    if (p === null) return null;
     const dx = p.x - this.center.x;
     const dy = p.y - this.center.y;
     const dz = p.z - this.center.z;
 
-    return {
-      x: dx * this.m00 + dy * this.m01 + dz * this.m02 + this.center.x,
-      y: dx * this.m10 + dy * this.m11 + dz * this.m12 + this.center.y,
-      z: dx * this.m20 + dy * this.m21 + dz * this.m22 + this.center.z
-    };
+    out.x = dx * this.m00 + dy * this.m01 + dz * this.m02 + this.center.x;
+    out.y = dx * this.m10 + dy * this.m11 + dz * this.m12 + this.center.y;
+    out.z = dx * this.m20 + dy * this.m21 + dz * this.m22 + this.center.z;
+    return out;
   }
 
   contains(p, epsilon = 1e-9) {
+    return this.base.contains(this._toLocal(p), epsilon);
+  }
+
+  /** Rotations preserve distances, so the base answer holds in world space. */
+  sdf(p) {
+    return this.base.sdf(this._toLocal(p));
+  }
+
+  /** @private Inverse rotation (transpose) about the center. */
+  _toLocal(p) {
     const dx = p.x - this.center.x;
     const dy = p.y - this.center.y;
     const dz = p.z - this.center.z;
 
-    const localP = {
+    return {
       x: dx * this.m00 + dy * this.m10 + dz * this.m20 + this.center.x,
       y: dx * this.m01 + dy * this.m11 + dz * this.m21 + this.center.y,
       z: dx * this.m02 + dy * this.m12 + dz * this.m22 + this.center.z
     };
-
-    return this.base.contains(localP, epsilon);
   }
+}
 
-  _calculateRotatedBBox() {
-    const b = this.base.bbox;
-    const zMin = b.minZ ?? this.center.z;
-    const zMax = b.maxZ ?? this.center.z;
-  
-    const corners = [
-      {x: b.minX, y: b.minY, z: zMin},
-      {x: b.maxX, y: b.minY, z: zMin},
-      {x: b.minX, y: b.maxY, z: zMin},
-      {x: b.maxX, y: b.maxY, z: zMin},
-      {x: b.minX, y: b.minY, z: zMax},
-      {x: b.maxX, y: b.minY, z: zMax},
-      {x: b.minX, y: b.maxY, z: zMax},
-      {x: b.maxX, y: b.maxY, z: zMax}
-    ];
-  
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-    let minZ = Infinity, maxZ = -Infinity;
-  
-    for (const p of corners) {
-      const dx = p.x - this.center.x;
-      const dy = p.y - this.center.y;
-      const dz = p.z - this.center.z;
-  
-      const rx = dx * this.m00 + dy * this.m01 + dz * this.m02 + this.center.x;
-      const ry = dx * this.m10 + dy * this.m11 + dz * this.m12 + this.center.y;
-      const rz = dx * this.m20 + dy * this.m21 + dz * this.m22 + this.center.z;
-  
-      if (rx < minX) minX = rx; if (rx > maxX) maxX = rx;
-      if (ry < minY) minY = ry; if (ry > maxY) maxY = ry;
-      if (rz < minZ) minZ = rz; if (rz > maxZ) maxZ = rz;
-    }
-  
-    return { minX, maxX, minY, maxY, minZ, maxZ };
-  }
-}
\ No newline at end of file
+withSampleQMC(RotatedShape);
+withSampleInto(RotatedShape);
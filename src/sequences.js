@@ -0,0 +1,279 @@
+/**
+ * sequences.js
+ * Low-discrepancy (quasi-Monte Carlo) point sets for the unit cube.
+ *
+ * Each generator yields points in [0,1)^d that can be fed straight into a
+ * shape's `fromUnit(u, v, w)` warp. Cranley–Patterson rotation (a random
+ * toroidal shift) makes repeated runs differ while keeping low discrepancy.
+ */
+
+// Joe–Kuo direction numbers (new-joe-kuo-6.21201) for dimensions 2..8.
+const SOBOL_PARAMS = [
+  { s: 1, a: 0, m: [1] },
+  { s: 2, a: 1, m: [1, 3] },
+  { s: 3, a: 1, m: [1, 3, 1] },
+  { s: 3, a: 2, m: [1, 1, 1] },
+  { s: 4, a: 1, m: [1, 1, 3, 3] },
+  { s: 4, a: 4, m: [1, 3, 5, 13] },
+  { s: 5, a: 2, m: [1, 1, 5, 5, 17] }
+];
+
+const BITS = 32;
+const TWO_POW_32 = 4294967296;
+
+/**
+ * Halton sequence: radical inverses in the first `dimension` prime bases.
+ */
+export class HaltonSequence {
+  /**
+   * @param {number} [dimension=2]
+   * @param {Object} [options]
+   * @param {boolean} [options.rotate=false] - Apply a Cranley–Patterson rotation.
+   * @param {() => number} [options.rng=Math.random] - Random source for the rotation.
+   */
+  constructor(dimension = 2, options = {}) {
+    this.dimension = dimension;
+    this.bases = firstPrimes(dimension);
+    this.index = 0;
+    this.shift = options.rotate ? randomShift(dimension, options.rng ?? Math.random) : null;
+  }
+
+  next() {
+    const i = this.index++;
+    const point = this.bases.map(base => radicalInverse(i, base));
+    return this.shift ? rotate(point, this.shift) : point;
+  }
+}
+
+/**
+ * Sobol sequence (Gray-code order) with optional Owen scrambling.
+ * Supports up to 8 dimensions, which covers every shape warp in the library.
+ */
+export class SobolSequence {
+  /**
+   * @param {number} [dimension=2]
+   * @param {Object} [options]
+   * @param {boolean} [options.scramble=false] - Apply hash-based Owen scrambling.
+   * @param {boolean} [options.rotate=false] - Apply a Cranley–Patterson rotation.
+   * @param {() => number} [options.rng=Math.random] - Random source for scrambling and rotation.
+   */
+  constructor(dimension = 2, options = {}) {
+    if (dimension < 1 || dimension > SOBOL_PARAMS.length + 1) {
+      throw new Error(`SobolSequence supports 1 to ${SOBOL_PARAMS.length + 1} dimensions, got ${dimension}.`);
+    }
+    const rng = options.rng ?? Math.random;
+
+    this.dimension = dimension;
+    this.directions = sobolDirections(dimension);
+    this.state = new Uint32Array(dimension);
+    this.index = 0;
+    this.seeds = options.scramble
+      ? Array.from({ length: dimension }, () => (rng() * TWO_POW_32) >>> 0)
+      : null;
+    this.shift = options.rotate ? randomShift(dimension, rng) : null;
+  }
+
+  next() {
+    const point = new Array(this.dimension);
+
+    if (this.index > 0) {
+      // Gray code: flip the direction number of the lowest zero bit of (index - 1)
+      const c = lowestZeroBit(this.index - 1);
+      for (let d = 0; d < this.dimension; d++) this.state[d] ^= this.directions[d][c];
+    }
+    this.index++;
+
+    for (let d = 0; d < this.dimension; d++) {
+      const bits = this.seeds ? owenScramble(this.state[d], this.seeds[d]) : this.state[d];
+      point[d] = bits / TWO_POW_32;
+    }
+    return this.shift ? rotate(point, this.shift) : point;
+  }
+}
+
+/**
+ * Additive recurrence (R_d) sequence based on the generalized golden ratio.
+ * In two dimensions this is the R2 sequence.
+ */
+export class RSequence {
+  /**
+   * @param {number} [dimension=2]
+   * @param {Object} [options]
+   * @param {boolean} [options.rotate=false] - Apply a Cranley–Patterson rotation.
+   * @param {() => number} [options.rng=Math.random] - Random source for the rotation.
+   */
+  constructor(dimension = 2, options = {}) {
+    this.dimension = dimension;
+
+    // phi_d is the unique positive root of x^(d+1) = x + 1
+    let phi = 2;
+    for (let i = 0; i < 30; i++) phi = Math.pow(1 + phi, 1 / (dimension + 1));
+    this.alpha = Array.from({ length: dimension }, (_, i) => Math.pow(1 / phi, i + 1) % 1);
+
+    this.index = 0;
+    this.shift = options.rotate ? randomShift(dimension, options.rng ?? Math.random) : null;
+  }
+
+  next() {
+    const i = this.index++;
+    const point = this.alpha.map(a => (0.5 + i * a) % 1);
+    return this.shift ? rotate(point, this.shift) : point;
+  }
+}
+
+/**
+ * Creates a sequence generator by name.
+ * @param {'sobol'|'halton'|'r2'|'rd'} type
+ * @param {number} dimension
+ * @param {Object} [options] - Forwarded to the generator constructor.
+ */
+export function createSequence(type, dimension, options = {}) {
+  switch (type) {
+    case 'sobol':  return new SobolSequence(dimension, options);
+    case 'halton': return new HaltonSequence(dimension, options);
+    case 'r2':
+    case 'rd':     return new RSequence(dimension, options);
+    default:
+      throw new Error(`Unknown sequence type "${type}". Expected 'sobol', 'halton' or 'r2'.`);
+  }
+}
+
+/**
+ * Draws `n` low-discrepancy points from any shape exposing `fromUnit()`.
+ * Defaults to a scrambled, rotated Sobol sequence so repeated runs differ.
+ *
+ * @param {{fromUnit: Function, dimension: number}} shape
+ * @param {number} n - Number of points.
+ * @param {Object} [options]
+ * @param {'sobol'|'halton'|'r2'} [options.sequence='sobol']
+ * @param {boolean} [options.rotate=true] - Apply a Cranley–Patterson rotation.
+ * @param {boolean} [options.scramble=true] - Owen-scramble (Sobol only).
+ * @param {() => number} [options.rng=Math.random] - Random source for the randomization.
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+export function sampleQMC(shape, n, options = {}) {
+  if (typeof shape.fromUnit !== 'function') {
+    throw new Error('sampleQMC requires a shape with a fromUnit() warp.');
+  }
+  const seq = createSequence(options.sequence ?? 'sobol', shape.dimension ?? 3, {
+    rotate: options.rotate ?? true,
+    scramble: options.scramble ?? true,
+    rng: options.rng ?? Math.random
+  });
+
+  const points = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const [u, v = 0, w = 0] = seq.next();
+    points[i] = shape.fromUnit(u, v, w);
+  }
+  return points;
+}
+
+/** @private */
+function radicalInverse(i, base) {
+  let result = 0, f = 1 / base;
+  while (i > 0) {
+    result += f * (i % base);
+    i = Math.floor(i / base);
+    f /= base;
+  }
+  return result;
+}
+
+/** @private */
+function firstPrimes(count) {
+  const primes = [];
+  for (let n = 2; primes.length < count; n++) {
+    if (primes.every(p => n % p !== 0)) primes.push(n);
+  }
+  return primes;
+}
+
+/** @private */
+function randomShift(dimension, rng) {
+  return Array.from({ length: dimension }, () => rng());
+}
+
+/** @private Cranley–Patterson rotation: toroidal shift by a fixed random vector. */
+function rotate(point, shift) {
+  for (let d = 0; d < point.length; d++) {
+    const x = point[d] + shift[d];
+    point[d] = x >= 1 ? x - 1 : x;
+  }
+  return point;
+}
+
+/** @private */
+function lowestZeroBit(n) {
+  let c = 0;
+  while (n & 1) { n >>>= 1; c++; }
+  return c;
+}
+
+/** @private */
+function sobolDirections(dimension) {
+  const dirs = [];
+
+  // First dimension: van der Corput in base 2
+  const first = new Uint32Array(BITS);
+  for (let k = 0; k < BITS; k++) first[k] = (1 << (31 - k)) >>> 0;
+  dirs.push(first);
+
+  for (let d = 1; d < dimension; d++) {
+    const { s, a, m } = SOBOL_PARAMS[d - 1];
+    const v = new Uint32Array(BITS);
+    for (let k = 0; k < s; k++) v[k] = (m[k] << (31 - k)) >>> 0;
+    for (let k = s; k < BITS; k++) {
+      let value = v[k - s] ^ (v[k - s] >>> s);
+      for (let j = 1; j < s; j++) {
+        if ((a >>> (s - 1 - j)) & 1) value ^= v[k - j];
+      }
+      v[k] = value >>> 0;
+    }
+    dirs.push(v);
+  }
+  return dirs;
+}
+
+/** @private */
+function reverseBits(x) {
+  x = ((x >>> 1) & 0x55555555) | ((x & 0x55555555) << 1);
+  x = ((x >>> 2) & 0x33333333) | ((x & 0x33333333) << 2);
+  x = ((x >>> 4) & 0x0f0f0f0f) | ((x & 0x0f0f0f0f) << 4);
+  x = ((x >>> 8) & 0x00ff00ff) | ((x & 0x00ff00ff) << 8);
+  return ((x >>> 16) | (x << 16)) >>> 0;
+}
+
+/**
+ * Hash-based nested uniform (Owen) scrambling, after Burley (2020).
+ * @private
+ */
+function owenScramble(x, seed) {
+  x = reverseBits(x);
+  x ^= Math.imul(x, 0x3d20adea);
+  x = (x + seed) | 0;
+  x = Math.imul(x, (seed >>> 16) | 1);
+  x ^= Math.imul(x, 0x05526c56);
+  x ^= Math.imul(x, 0x53a22864);
+  return reverseBits(x >>> 0);
+}
+
+/** @private The one `sampleQMC` method every shape class shares. */
+const QMC_METHODS = {
+  sampleQMC(n, options = {}) {
+    return sampleQMC(this, n, options);
+  }
+};
+
+/**
+ * Gives shape classes a `sampleQMC(n, options)` method that draws through their `fromUnit`
+ * warp (see `sampleQMC` above). Subclasses inherit it.
+ * @param {...Function} classes
+ */
+export function withSampleQMC(...classes) {
+  for (const Shape of classes) {
+    Object.defineProperty(Shape.prototype, 'sampleQMC', {
+      value: QMC_METHODS.sampleQMC, writable: true, configurable: true
+    });
+  }
+}
@@ -1,3 +1,8 @@
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { ellipsoidDistance, polygonDistance, segmentDistance2D, wedgeDistance } from './distance.js';
+import { ellipticBBox, pointsBBox, transformBBox } from './bounds.js';
+
 /**
  * EllipseSector2D
  * The base class for all elliptical and circular shapes.
@@ -20,15 +25,29 @@ export class EllipseSector2D {
     this.innerRy = innerRy;
     this.start = startAngle;
     this.end = endAngle;
+    this.dimension = 2;
 
     let deltaTheta = endAngle - startAngle;
     if (deltaTheta < 0) deltaTheta += 2 * Math.PI;
     this.deltaTheta = deltaTheta;
+    // Convex unless hollow or a sector wider than a half-plane
+    this.convex = !(innerRx > 0 && innerRy > 0) && (deltaTheta <= Math.PI || deltaTheta >= 2 * Math.PI - 1e-12);
 
     const outerArea = 0.5 * outerRx * outerRy * deltaTheta;
     const innerArea = 0.5 * innerRx * innerRy * deltaTheta;
     this.area = outerArea - innerArea;
 
+    // Area centroid: first moments of the outer sector minus the inner one
+    const sin = Math.sin(startAngle + deltaTheta) - Math.sin(startAngle);
+    const cos = Math.cos(startAngle) - Math.cos(startAngle + deltaTheta);
+    const mx = (outerRx * outerRx * outerRy - innerRx * innerRx * innerRy) * sin / 3;
+    const my = (outerRx * outerRy * outerRy - innerRx * innerRy * innerRy) * cos / 3;
+    this.centroid = {
+      x: center.x + (this.area > 0 ? mx / this.area : 0),
+      y: center.y + (this.area > 0 ? my / this.area : 0),
+      z: center.z ?? 0
+    };
+
     this.bbox = {
       minX: center.x - outerRx, maxX: center.x + outerRx,
       minY: center.y - outerRy, maxY: center.y + outerRy
@@ -57,15 +76,97 @@ export class EllipseSector2D {
     }
   }
 
-  sample() {
-    const t = (this.start + Math.random() * this.deltaTheta) % (2 * Math.PI);
-    const rScaling = Math.sqrt(Math.random() * (1 - Math.pow(this.innerRx/this.outerRx, 2)) + Math.pow(this.innerRx/this.outerRx, 2));
+  /**
+   * Signed distance in the plane of the shape (z is ignored, as in `contains`).
+   * Elliptical outlines use a first-order estimate (see `ellipsoidDistance` in distance.js),
+   * and a partial sector is the max of ring and wedge, so the value is a bound there.
+   * @param {{x: number, y: number}} p
+   * @returns {number} Negative inside, positive outside.
+   */
+  sdf(p) {
+    const dx = p.x - this.center.x, dy = p.y - this.center.y;
+    let d = ellipsoidDistance(dx, dy, 0, this.outerRx, this.outerRy, 1);
+    if (this.innerRx > 0 && this.innerRy > 0) {
+      d = Math.max(d, -ellipsoidDistance(dx, dy, 0, this.innerRx, this.innerRy, 1));
+    }
+    if (this.deltaTheta < 2 * Math.PI - 1e-12) {
+      // Sector edges are rays at the parametric angles; measure the wedge in true angles
+      const start = Math.atan2(this.outerRy * Math.sin(this.start), this.outerRx * Math.cos(this.start));
+      const end = Math.atan2(this.outerRy * Math.sin(this.start + this.deltaTheta), this.outerRx * Math.cos(this.start + this.deltaTheta));
+      let delta = end - start;
+      if (delta < 0) delta += 2 * Math.PI;
+      d = Math.max(d, wedgeDistance(dx, dy, start, delta));
+    }
+    return d;
+  }
 
-    return {
-      x: this.center.x + rScaling * this.outerRx * Math.cos(t),
-      y: this.center.y + rScaling * this.outerRy * Math.sin(t),
-      z: this.center.z ?? 0
-    };
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), 0, out);
+  }
+
+  /**
+   * Deterministic warp from the unit square onto the sector, preserving uniformity.
+   * @param {number} u - Angular coordinate in [0, 1].
+   * @param {number} v - Radial coordinate in [0, 1].
+   * @param {number} [w] - Unused; present so every shape shares one signature.
+   * @param {{x: number, y: number, z: number}} [out] - Optional object to write the result into.
+   */
+  fromUnit(u, v, w, out = {}) {
+    const t = (this.start + u * this.deltaTheta) % (2 * Math.PI);
+    const rScaling = Math.sqrt(v * (1 - Math.pow(this.innerRx/this.outerRx, 2)) + Math.pow(this.innerRx/this.outerRx, 2));
+
+    out.x = this.center.x + rScaling * this.outerRx * Math.cos(t);
+    out.y = this.center.y + rScaling * this.outerRy * Math.sin(t);
+    out.z = this.center.z ?? 0;
+    return out;
+  }
+
+  /**
+   * World bounding box under p -> M p + t (see bounds.js). Exact for whole ellipses;
+   * partial sectors fall back to the mapped corners of `bbox`.
+   */
+  transformedBBox(m, t) {
+    const z = this.center.z ?? 0;
+    if (this.deltaTheta < 2 * Math.PI - 1e-12) return transformBBox(this.bbox, m, t, z);
+    const c = { x: this.center.x, y: this.center.y, z };
+    return ellipticBBox(c, [{ x: this.outerRx, y: 0, z: 0 }, { x: 0, y: this.outerRy, z: 0 }], m, t);
+  }
+
+  /**
+   * Uniform point on the outline, weighted by arc length, with its unit tangent and outward normal.
+   * The outline runs counter-clockwise around the filled region and includes the inner
+   * edge of rings and the two radial edges of partial sectors.
+   * @param {() => number} [rng=Math.random]
+   * @returns {{x: number, y: number, z: number, tangent: {x: number, y: number, z: number}, normal: {x: number, y: number, z: number}}}
+   */
+  sampleBoundary(rng = Math.random) {
+    return this._outline().sample(rng);
+  }
+
+  /** Total length of the outline sampled by `sampleBoundary()`. */
+  get perimeter() {
+    return this._outline().length;
+  }
+
+  /** @private Built lazily: ellipse arcs need an arc-length table. */
+  _outline() {
+    if (this._outlineCache) return this._outlineCache;
+    const { center, start, deltaTheta } = this;
+    const hasInner = this.innerRx > 0 && this.innerRy > 0;
+    const pieces = [arcPiece(center, this.outerRx, this.outerRy, start, deltaTheta, false)];
+
+    if (deltaTheta < 2 * Math.PI - 1e-12) {
+      const end = start + deltaTheta;
+      const point = (rx, ry, t) => ({ x: center.x + rx * Math.cos(t), y: center.y + ry * Math.sin(t), z: center.z });
+      const innerAt = t => hasInner ? point(this.innerRx, this.innerRy, t) : center;
+      pieces.push(linePiece(point(this.outerRx, this.outerRy, end), innerAt(end)));
+      if (hasInner) pieces.push(arcPiece(center, this.innerRx, this.innerRy, start, deltaTheta, true));
+      pieces.push(linePiece(innerAt(start), point(this.outerRx, this.outerRy, start)));
+    } else if (hasInner) {
+      pieces.push(arcPiece(center, this.innerRx, this.innerRy, start, deltaTheta, true));
+    }
+
+    return (this._outlineCache = new Outline(pieces));
   }
 }
 
@@ -106,6 +207,23 @@ export class CircleSector2D extends EllipseSector2D {
       return theta >= (this.start - epsilon) || theta <= (this.end + epsilon);
     }
   }
+
+  // OVERRIDE: Exact distance to the annular sector
+  sdf(p) {
+    const dx = p.x - this.center.x, dy = p.y - this.center.y;
+    const r = Math.hypot(dx, dy);
+    const ring = Math.max(r - this.radius, this.innerRadius - r);
+    if (this.deltaTheta >= 2 * Math.PI - 1e-12) return ring;
+
+    // Radial edges; arcs are closer than them only within the angular range
+    const edge = t => segmentDistance2D(dx, dy,
+      this.innerRadius * Math.cos(t), this.innerRadius * Math.sin(t),
+      this.radius * Math.cos(t), this.radius * Math.sin(t));
+    const edges = Math.min(edge(this.start), edge(this.start + this.deltaTheta));
+
+    if (wedgeDistance(dx, dy, this.start, this.deltaTheta) > 0) return edges;
+    return ring > 0 ? ring : -Math.min(-ring, edges);
+  }
 }
 
 /**
@@ -130,15 +248,14 @@ export class Circle2D extends CircleSector2D {
     return d2 <= this.rOuterSq + epsilon && d2 >= this.rInnerSq - epsilon;
   }
 
-  // OVERRIDE: Simplest uniform circle sampling
-  sample() {
-    const t = Math.random() * 2 * Math.PI;
-    const r = Math.sqrt(Math.random() * (this.rOuterSq - this.rInnerSq) + this.rInnerSq);
-    return {
-      x: this.center.x + r * Math.cos(t),
-      y: this.center.y + r * Math.sin(t),
-      z: this.center.z ?? 0
-    };
+  // OVERRIDE: Simplest uniform circle warp
+  fromUnit(u, v, w, out = {}) {
+    const t = u * 2 * Math.PI;
+    const r = Math.sqrt(v * (this.rOuterSq - this.rInnerSq) + this.rInnerSq);
+    out.x = this.center.x + r * Math.cos(t);
+    out.y = this.center.y + r * Math.sin(t);
+    out.z = this.center.z ?? 0;
+    return out;
   }
 }
 
@@ -184,11 +301,16 @@ export class Triangle2D {
    */
   constructor(a, b, c) {
     this.a = a; this.b = b; this.c = c;
+    this.dimension = 2;
+    this.convex = true;
     this.area = Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) * 0.5;
     this.bbox = {
       minX: Math.min(a.x, b.x, c.x), maxX: Math.max(a.x, b.x, c.x),
       minY: Math.min(a.y, b.y, c.y), maxY: Math.max(a.y, b.y, c.y)
     };
+    // Bounding-box center, used as the pivot by RotatedShape
+    this.center = { x: (this.bbox.minX + this.bbox.maxX) / 2, y: (this.bbox.minY + this.bbox.maxY) / 2, z: a.z ?? 0 };
+    this.centroid = { x: (a.x + b.x + c.x) / 3, y: (a.y + b.y + c.y) / 3, z: a.z ?? 0 };
   }
 
   contains(p, epsilon = 1e-9) {
@@ -202,14 +324,53 @@ export class Triangle2D {
     return l1 >= -epsilon && l2 >= -epsilon && l3 >= -epsilon;
   }
 
-  sample() {
-    let u = Math.random(), v = Math.random();
+  /**
+   * Exact signed distance in the plane of the triangle.
+   * @param {{x: number, y: number}} p
+   */
+  sdf(p) {
+    return polygonDistance(p.x, p.y, [this.a, this.b, this.c], this.contains(p, 0));
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), 0, out);
+  }
+
+  /**
+   * Deterministic warp from the unit square onto the triangle (parallelogram fold).
+   * @param {number} u - Weight towards vertex B in [0, 1].
+   * @param {number} v - Weight towards vertex C in [0, 1].
+   * @param {number} [w] - Unused; present so every shape shares one signature.
+   * @param {{x: number, y: number, z: number}} [out] - Optional object to write the result into.
+   */
+  fromUnit(u, v, w, out = {}) {
     if (u + v > 1) { u = 1 - u; v = 1 - v; }
-    return {
-      x: this.a.x + u * (this.b.x - this.a.x) + v * (this.c.x - this.a.x),
-      y: this.a.y + u * (this.b.y - this.a.y) + v * (this.c.y - this.a.y),
-      z: this.a.z ?? 0
-    };
+    out.x = this.a.x + u * (this.b.x - this.a.x) + v * (this.c.x - this.a.x);
+    out.y = this.a.y + u * (this.b.y - this.a.y) + v * (this.c.y - this.a.y);
+    out.z = this.a.z ?? 0;
+    return out;
+  }
+
+  /** Exact world bounding box under p -> M p + t (see bounds.js). */
+  transformedBBox(m, t) {
+    return pointsBBox([this.a, this.b, this.c], m, t);
+  }
+
+  /**
+   * Uniform point on the edges with unit tangent and outward normal. See `EllipseSector2D#sampleBoundary`.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleBoundary(rng = Math.random) {
+    return this._outline().sample(rng);
+  }
+
+  get perimeter() {
+    return this._outline().length;
+  }
+
+  /** @private */
+  _outline() {
+    return this._outlineCache ??= polygonOutline([this.a, this.b, this.c]);
   }
 }
 
@@ -228,6 +389,9 @@ export class Rectangle2D {
     this.width = width;
     this.height = height;
     this.area = width * height;
+    this.centroid = { x: center.x, y: center.y, z: center.z ?? 0 };
+    this.dimension = 2;
+    this.convex = true;
     this.bbox = {
       minX: center.x - width / 2, maxX: center.x + width / 2,
       minY: center.y - height / 2, maxY: center.y + height / 2
@@ -239,41 +403,82 @@ export class Rectangle2D {
            Math.abs(p.y - this.center.y) <= (this.height / 2) + epsilon;
   }
 
-  sample() {
-    return {
-      x: this.center.x + (Math.random() - 0.5) * this.width,
-      y: this.center.y + (Math.random() - 0.5) * this.height,
-      z: this.center.z ?? 0
-    };
+  /**
+   * Exact signed distance in the plane of the rectangle.
+   * @param {{x: number, y: number}} p
+   */
+  sdf(p) {
+    const qx = Math.abs(p.x - this.center.x) - this.width / 2;
+    const qy = Math.abs(p.y - this.center.y) - this.height / 2;
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0);
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), 0, out);
+  }
+
+  fromUnit(u, v, w, out = {}) {
+    out.x = this.center.x + (u - 0.5) * this.width;
+    out.y = this.center.y + (v - 0.5) * this.height;
+    out.z = this.center.z ?? 0;
+    return out;
+  }
+
+  sampleBoundary(rng = Math.random) {
+    return this._outline().sample(rng);
+  }
+
+  get perimeter() {
+    return 2 * (this.width + this.height);
+  }
+
+  /** @private */
+  _outline() {
+    const { x, y, z } = this.center, hw = this.width / 2, hh = this.height / 2;
+    return this._outlineCache ??= polygonOutline([
+      { x: x - hw, y: y - hh, z }, { x: x + hw, y: y - hh, z },
+      { x: x + hw, y: y + hh, z }, { x: x - hw, y: y + hh, z }
+    ]);
   }
 }
 
 /**
  * Polygon2D
- * Handles convex and concave polygons via Ear Clipping.
+ * Handles convex and concave polygons, with optional holes, via Ear Clipping.
  * Optimized O(log N) sampling via Prefix Sums + Binary Search.
  */
 export class Polygon2D {
   /**
-   * @param {Array<{x: number, y: number, z?: number}>} vertices - Ordered points.
+   * Repeated and collinear vertices are dropped before triangulating; crossing or touching
+   * edges (within the outline, between holes, or between a hole and the outline) throw.
+   * @param {Array<{x: number, y: number, z?: number}>} vertices - Ordered points of the outer loop, either winding.
+   * @param {Object} [options]
+   * @param {Array<Array<{x: number, y: number, z?: number}>>} [options.holes=[]] - Loops cut out of the
+   *   interior, either winding. They must not nest or touch.
    */
-  constructor(vertices) {
+  constructor(vertices, options = {}) {
     if (!vertices || vertices.length < 3) throw new Error("Polygon needs >= 3 vertices");
     this.vertices = vertices;
+    this.holes = options.holes ?? [];
     this.triangles = [];
     this.area = 0;
+    this.dimension = 2;
+    this.convex = this.holes.length === 0 && isConvexLoop(vertices);
     
     // 1. Generate internal mesh
-    this.triangulate(vertices);
+    this.triangulate(vertices, this.holes);
     
     // 2. Setup area-weighted distribution
-    let currentTotalArea = 0;
+    let currentTotalArea = 0, mx = 0, my = 0;
     let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
     for (const t of this.triangles) {
       currentTotalArea += t.area;
       t.cumulativeArea = currentTotalArea;
+      mx += t.area * t.centroid.x;
+      my += t.area * t.centroid.y;
     }
     this.area = currentTotalArea;
+    this.centroid = { x: mx / this.area, y: my / this.area, z: vertices[0].z ?? 0 };
 
     // 3. Setup spatial bounds
     for (const v of vertices) {
@@ -281,68 +486,89 @@ export class Polygon2D {
       minY = Math.min(minY, v.y); maxY = Math.max(maxY, v.y);
     }
     this.bbox = { minX, maxX, minY, maxY };
+    this.center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: vertices[0].z ?? 0 };
   }
 
   /**
    * Samples a point from the polygon by picking a triangle (Binary Search)
    * and then picking a point within that triangle.
+   * @param {() => number} [rng=Math.random] - Random source returning floats in [0, 1).
    */
-  sample() {
-    const r = Math.random() * this.area;
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), 0, out);
+  }
+
+  /**
+   * Deterministic warp from the unit square onto the polygon.
+   * `u` selects the triangle and is then rescaled to a fresh coordinate inside it,
+   * so the mapping stays uniform and uses only two dimensions.
+   * @param {number} u - Area coordinate in [0, 1].
+   * @param {number} v - Secondary coordinate in [0, 1].
+   * @param {number} [w] - Unused; present so every shape shares one signature.
+   * @param {{x: number, y: number, z: number}} [out] - Optional object to write the result into.
+   */
+  fromUnit(u, v, w, out = {}) {
+    const r = u * this.area;
     let low = 0, high = this.triangles.length - 1;
     while (low < high) {
       const mid = (low + high) >>> 1;
       if (this.triangles[mid].cumulativeArea < r) low = mid + 1;
       else high = mid;
     }
-    return this.triangles[low].sample();
+    const tri = this.triangles[low];
+    const prevArea = tri.cumulativeArea - tri.area;
+    const localU = tri.area > 0 ? Math.min(1, Math.max(0, (r - prevArea) / tri.area)) : 0;
+    return tri.fromUnit(localU, v, 0, out);
+  }
+
+  /** Exact world bounding box under p -> M p + t (see bounds.js). */
+  transformedBBox(m, t) {
+    return pointsBBox(this.vertices, m, t);
   }
 
   /**
-   * Implementation of the Ear Clipping algorithm for triangulation.
-   * @private
+   * Uniform point on the edges with unit tangent and outward normal. Concave corners are
+   * handled edge by edge; orientation comes from the signed area, so either winding works.
+   * @param {() => number} [rng=Math.random]
    */
-  triangulate(vertices) {
-    const pts = [...vertices];
-    if (this.getSignedArea(pts) < 0) pts.reverse(); // Ensure CCW
-    while (pts.length > 3) {
-      let earFound = false;
-      for (let i = 0; i < pts.length; i++) {
-        const prev = pts[(i + pts.length - 1) % pts.length];
-        const curr = pts[i];
-        const next = pts[(i + 1) % pts.length];
-        if (this.isEar(prev, curr, next, pts)) {
-          this.triangles.push(new Triangle2D(prev, curr, next));
-          pts.splice(i, 1);
-          earFound = true;
-          break;
-        }
-      }
-      if (!earFound) break; 
-    }
-    if (pts.length === 3) this.triangles.push(new Triangle2D(pts[0], pts[1], pts[2]));
+  sampleBoundary(rng = Math.random) {
+    return this._outline().sample(rng);
   }
 
-  /** @private */
-  isEar(p1, p2, p3, allPoints) {
-    const area = (p2.x - p1.x) * (p3.y - p1.y) - (p2.y - p1.y) * (p3.x - p1.x);
-    if (area <= 0) return false;
-    const tempTri = new Triangle2D(p1, p2, p3);
-    for (const p of allPoints) {
-      if (p === p1 || p === p2 || p === p3) continue;
-      if (tempTri.contains(p)) return false;
-    }
-    return true;
+  get perimeter() {
+    return this._outline().length;
   }
 
   /** @private */
-  getSignedArea(pts) {
-    let area = 0;
-    for (let i = 0; i < pts.length; i++) {
-      const j = (i + 1) % pts.length;
-      area += pts[i].x * pts[j].y - pts[j].x * pts[i].y;
+  _outline() {
+    return this._outlineCache ??= polygonOutline(this.vertices, this.holes);
+  }
+
+  /**
+   * Ear Clipping on the outer loop with every hole spliced in through a bridge edge.
+   * @private
+   */
+  triangulate(vertices, holes = []) {
+    const outer = cleanLoop(vertices);
+    const inner = holes.map(cleanLoop);
+    if (outer.length < 3) throw new Error('Polygon2D: the outline has no area (fewer than 3 distinct, non-collinear vertices).');
+    if (inner.some(hole => hole.length < 3)) throw new Error('Polygon2D: a hole has no area.');
+    assertSimple([outer, ...inner]);
+    inner.forEach((hole, i) => {
+      if (!insideLoop(hole[0], outer)) throw new Error(`Polygon2D: hole ${i} lies outside the outline.`);
+      if (inner.some((other, j) => j !== i && insideLoop(hole[0], other))) throw new Error(`Polygon2D: hole ${i} is nested in another hole.`);
+    });
+
+    if (loopArea(outer) < 0) outer.reverse(); // Ensure CCW
+    for (const hole of inner) if (loopArea(hole) > 0) hole.reverse(); // Holes run CW
+    const expected = loopArea(outer) + inner.reduce((sum, hole) => sum + loopArea(hole), 0);
+
+    for (const [a, b, c] of earClip(bridgeHoles(outer, inner))) this.triangles.push(new Triangle2D(a, b, c));
+
+    const total = this.triangles.reduce((sum, t) => sum + t.area, 0);
+    if (Math.abs(total - expected) > 1e-9 * Math.max(1, Math.abs(expected))) {
+      throw new Error('Polygon2D: triangulation failed to cover the polygon.');
     }
-    return area / 2;
   }
 
   contains(p, epsilon = 1e-9) {
@@ -350,4 +576,324 @@ export class Polygon2D {
         p.y < this.bbox.minY - epsilon || p.y > this.bbox.maxY + epsilon) return false;
     return this.triangles.some(t => t.contains(p, epsilon));
   }
-}
\ No newline at end of file
+
+  /**
+   * Exact signed distance in the plane of the polygon: nearest edge (holes included), signed by containment.
+   * @param {{x: number, y: number}} p
+   */
+  sdf(p) {
+    let d = polygonDistance(p.x, p.y, this.vertices, false);
+    for (const hole of this.holes) d = Math.min(d, polygonDistance(p.x, p.y, hole, false));
+    return this.contains(p, 0) ? -d : d;
+  }
+}
+
+withSampleQMC(EllipseSector2D, Triangle2D, Rectangle2D, Polygon2D);
+withSampleInto(EllipseSector2D, Triangle2D, Rectangle2D, Polygon2D);
+
+/** @private True when every turn of the closed loop has the same orientation. */
+function isConvexLoop(vertices) {
+  let sign = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i], b = vertices[(i + 1) % vertices.length], c = vertices[(i + 2) % vertices.length];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross === 0) continue;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+// Triangulation helpers
+
+/** @private Signed area, positive for counter-clockwise loops. */
+function loopArea(loop) {
+  let area = 0;
+  for (let i = 0; i < loop.length; i++) {
+    const a = loop[i], b = loop[(i + 1) % loop.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+/** @private */
+function orient(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+/** @private Copy of the loop without repeated points (closing repeat included) or straight-through vertices. */
+function cleanLoop(loop) {
+  const pts = [];
+  for (const p of loop) {
+    const last = pts[pts.length - 1];
+    if (!last || last.x !== p.x || last.y !== p.y) pts.push(p);
+  }
+  while (pts.length > 1 && pts[0].x === pts[pts.length - 1].x && pts[0].y === pts[pts.length - 1].y) pts.pop();
+  for (let i = 0; pts.length >= 3 && i < pts.length;) {
+    if (orient(pts[(i + pts.length - 1) % pts.length], pts[i], pts[(i + 1) % pts.length]) === 0) {
+      pts.splice(i, 1);
+      i = Math.max(0, i - 1); // the previous vertex may have become collinear
+    } else {
+      i++;
+    }
+  }
+  return pts;
+}
+
+/**
+ * @private Throws when two edges of the loops cross or touch anywhere other than the shared
+ * corner of neighbours. Edges are swept in x so only overlapping spans are compared.
+ */
+function assertSimple(loops) {
+  const edges = [];
+  loops.forEach((loop, l) => loop.forEach((a, i) => {
+    const b = loop[(i + 1) % loop.length];
+    edges.push({ a, b, l, i, n: loop.length, minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x) });
+  }));
+  edges.sort((e, f) => e.minX - f.minX);
+  for (let i = 0; i < edges.length; i++) {
+    const e = edges[i];
+    for (let j = i + 1; j < edges.length && edges[j].minX <= e.maxX; j++) {
+      const f = edges[j];
+      const neighbours = e.l === f.l && ((e.i + 1) % e.n === f.i || (f.i + 1) % f.n === e.i);
+      if (neighbours ? overlapsNeighbour(e, f) : segmentsTouch(e.a, e.b, f.a, f.b)) {
+        const at = e.a;
+        throw new Error(`Polygon2D: edges cross or touch near (${at.x}, ${at.y}); self-intersecting outlines and touching holes are not supported.`);
+      }
+    }
+  }
+}
+
+/** @private Neighbouring edges share a corner; they only conflict when they fold back onto each other. */
+function overlapsNeighbour(e, f) {
+  const [p, q, r] = e.b === f.a ? [e.a, e.b, f.b] : [f.a, f.b, e.b];
+  return orient(p, q, r) === 0 && (r.x - q.x) * (p.x - q.x) + (r.y - q.y) * (p.y - q.y) > 0;
+}
+
+/** @private Closed segments a–b and c–d share at least one point. */
+function segmentsTouch(a, b, c, d) {
+  const o1 = orient(a, b, c), o2 = orient(a, b, d), o3 = orient(c, d, a), o4 = orient(c, d, b);
+  if (((o1 > 0 && o2 < 0) || (o1 < 0 && o2 > 0)) && ((o3 > 0 && o4 < 0) || (o3 < 0 && o4 > 0))) return true;
+  return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b));
+}
+
+/** @private p is collinear with a–b; true when it lies within the segment's box. */
+function onSegment(a, b, p) {
+  return p.x >= Math.min(a.x, b.x) && p.x <= Math.max(a.x, b.x) && p.y >= Math.min(a.y, b.y) && p.y <= Math.max(a.y, b.y);
+}
+
+/** @private Even-odd ray test. */
+function insideLoop(p, loop) {
+  let inside = false;
+  for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+    const a = loop[i], b = loop[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < a.x + (p.y - a.y) * (b.x - a.x) / (b.y - a.y)) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * @private Splices every (clockwise) hole into the (counter-clockwise) outer loop, rightmost hole
+ * first: a ray from the hole's rightmost vertex M finds the nearest edge, and M is joined to the
+ * visible vertex of that edge, or to the reflex vertex inside the search triangle with the
+ * smallest angle to the ray (Eberly, "Triangulation by Ear Clipping"). The bridge is walked both
+ * ways, so M and its partner appear twice in the result.
+ */
+function bridgeHoles(outer, holes) {
+  let polygon = outer;
+  const ordered = holes
+    .map(hole => ({ hole, m: hole.reduce((best, p, i) => (p.x > hole[best].x ? i : best), 0) }))
+    .sort((a, b) => b.hole[b.m].x - a.hole[a.m].x);
+
+  for (const { hole, m } of ordered) {
+    const M = hole[m];
+    let hitX = Infinity, edge = -1;
+    for (let i = 0; i < polygon.length; i++) {
+      const a = polygon[i], b = polygon[(i + 1) % polygon.length];
+      if (Math.min(a.y, b.y) > M.y || Math.max(a.y, b.y) < M.y) continue;
+      const x = a.y === b.y ? Math.min(a.x, b.x) : a.x + (M.y - a.y) * (b.x - a.x) / (b.y - a.y);
+      if (x >= M.x && x < hitX) {
+        hitX = x;
+        edge = i;
+      }
+    }
+    if (edge < 0) throw new Error('Polygon2D: could not connect a hole to the outline.');
+
+    // Join M to the vertex the ray hits, else to the visible end of the hit edge
+    const i0 = edge, i1 = (edge + 1) % polygon.length;
+    const hits = p => p.y === M.y && p.x === hitX;
+    let bridge = hits(polygon[i0]) ? i0 : hits(polygon[i1]) ? i1 : polygon[i0].x > polygon[i1].x ? i0 : i1;
+    if (!hits(polygon[bridge])) {
+      // A reflex vertex inside triangle (M, hit, candidate) would hide the candidate from M
+      const I = { x: hitX, y: M.y }, P = polygon[bridge];
+      const triangle = orient(M, I, P) > 0 ? [M, I, P] : [M, P, I];
+      let bestTan = Infinity;
+      for (let k = 0; k < polygon.length; k++) {
+        const R = polygon[k];
+        if (k === bridge || R.x <= M.x) continue;
+        const reflex = orient(polygon[(k + polygon.length - 1) % polygon.length], R, polygon[(k + 1) % polygon.length]) < 0;
+        if (!reflex || !inTriangle(R, ...triangle)) continue;
+        const tan = Math.abs(R.y - M.y) / (R.x - M.x);
+        if (tan < bestTan || (tan === bestTan && R.x < polygon[bridge].x)) {
+          bestTan = tan;
+          bridge = k;
+        }
+      }
+    }
+
+    // A vertex visited twice by earlier bridges: join M at the visit whose corner opens towards M
+    const P = polygon[bridge];
+    for (let k = 0; k < polygon.length; k++) {
+      if (polygon[k].x === P.x && polygon[k].y === P.y && cornerFaces(polygon, k, M)) {
+        bridge = k;
+        break;
+      }
+    }
+
+    const loop = [...hole.slice(m), ...hole.slice(0, m), M];
+    polygon = [...polygon.slice(0, bridge + 1), ...loop, polygon[bridge], ...polygon.slice(bridge + 1)];
+  }
+  return polygon;
+}
+
+/** @private True when p lies inside the interior angle at polygon[k] (counter-clockwise loop). */
+function cornerFaces(polygon, k, p) {
+  const a = polygon[(k + polygon.length - 1) % polygon.length], b = polygon[k], c = polygon[(k + 1) % polygon.length];
+  return orient(a, b, c) >= 0
+    ? orient(a, b, p) >= 0 && orient(b, c, p) >= 0
+    : orient(a, b, p) >= 0 || orient(b, c, p) >= 0;
+}
+
+/** @private Closed point-in-triangle test for a counter-clockwise triangle. */
+function inTriangle(p, a, b, c) {
+  return orient(a, b, p) >= 0 && orient(b, c, p) >= 0 && orient(c, a, p) >= 0;
+}
+
+/**
+ * @private Ear clipping of a counter-clockwise loop that may visit a point twice (bridges).
+ * An ear is a convex corner whose triangle holds no other vertex, copies of its own corners
+ * excepted; corners with no turn are dropped without a triangle.
+ */
+function earClip(loop) {
+  const pts = [...loop];
+  const triangles = [];
+  const same = (p, q) => p.x === q.x && p.y === q.y;
+  let start = 0;
+  while (pts.length > 3) {
+    let clipped = false;
+    for (let step = 0; step < pts.length && !clipped; step++) {
+      const i = (start + step) % pts.length;
+      const a = pts[(i + pts.length - 1) % pts.length], b = pts[i], c = pts[(i + 1) % pts.length];
+      const turn = orient(a, b, c);
+      if (turn < 0) continue;
+      if (turn > 0 && pts.some(p => !same(p, a) && !same(p, b) && !same(p, c) && inTriangle(p, a, b, c))) continue;
+      if (turn > 0) triangles.push([a, b, c]);
+      pts.splice(i, 1);
+      start = i % pts.length;
+      clipped = true;
+    }
+    if (!clipped) throw new Error('Polygon2D: triangulation found no ear; the outline may intersect itself.');
+  }
+  if (orient(pts[0], pts[1], pts[2]) > 0) triangles.push([pts[0], pts[1], pts[2]]);
+  return triangles;
+}
+
+// Boundary sampling helpers
+
+/** Steps in the arc-length table of an elliptical arc; circles need only one. */
+const ARC_TABLE_STEPS = 256;
+
+/**
+ * Closed outline made of pieces ({length, at(s)}), sampled by arc length.
+ * @private
+ */
+class Outline {
+  constructor(pieces) {
+    this.pieces = pieces.filter(p => p.length > 0);
+    this.cumulative = [];
+    this.length = 0;
+    for (const piece of this.pieces) {
+      this.length += piece.length;
+      this.cumulative.push(this.length);
+    }
+  }
+
+  sample(rng) {
+    if (this.length === 0) throw new Error('sampleBoundary: the shape has no outline of positive length.');
+    const target = rng() * this.length;
+    let low = 0, high = this.cumulative.length - 1;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.cumulative[mid] < target) low = mid + 1;
+      else high = mid;
+    }
+    const piece = this.pieces[low];
+    return piece.at(Math.min(piece.length, target - (this.cumulative[low] - piece.length)));
+  }
+}
+
+/** @private Orients the outer loop counter-clockwise and holes clockwise, so outward normals point to the right of travel. */
+function polygonOutline(vertices, holes = []) {
+  const pieces = [];
+  for (const loop of [vertices, ...holes]) {
+    const ordered = (loopArea(loop) < 0) === (loop === vertices) ? [...loop].reverse() : loop;
+    ordered.forEach((a, i) => pieces.push(linePiece(a, ordered[(i + 1) % ordered.length])));
+  }
+  return new Outline(pieces);
+}
+
+/** @private */
+function linePiece(a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const az = a.z ?? 0, dz = (b.z ?? 0) - az;
+  const length = Math.hypot(dx, dy);
+  return {
+    length,
+    at(s) {
+      const f = s / length;
+      return boundaryPoint(a.x + f * dx, a.y + f * dy, az + f * dz, dx / length, dy / length);
+    }
+  };
+}
+
+/**
+ * Elliptical arc from parametric angle t0 over `delta`, traversed backwards when `reversed`
+ * (inner ring edges). Arc length is tabulated with Simpson's rule and inverted by binary search.
+ * @private
+ */
+function arcPiece(center, rx, ry, t0, delta, reversed) {
+  const speed = t => Math.hypot(rx * Math.sin(t), ry * Math.cos(t));
+  const steps = rx === ry ? 1 : ARC_TABLE_STEPS;
+  const h = delta / steps;
+  const table = new Float64Array(steps + 1);
+  for (let i = 0; i < steps; i++) {
+    const t = t0 + i * h;
+    table[i + 1] = table[i] + (h / 6) * (speed(t) + 4 * speed(t + h / 2) + speed(t + h));
+  }
+  const length = table[steps];
+  const sign = reversed ? -1 : 1;
+
+  return {
+    length,
+    at(s) {
+      if (reversed) s = length - s;
+      let low = 1, high = steps;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (table[mid] < s) low = mid + 1;
+        else high = mid;
+      }
+      const span = table[low] - table[low - 1];
+      const t = t0 + (low - 1 + (span > 0 ? (s - table[low - 1]) / span : 0)) * h;
+      const cos = Math.cos(t), sin = Math.sin(t);
+      const tx = -rx * sin, ty = ry * cos, norm = sign * (Math.hypot(tx, ty) || 1);
+      return boundaryPoint(center.x + rx * cos, center.y + ry * sin, center.z ?? 0, tx / norm, ty / norm);
+    }
+  };
+}
+
+/** @private The region lies to the left of the tangent, so the outward normal is its clockwise turn. */
+function boundaryPoint(x, y, z, tx, ty) {
+  return { x, y, z, tangent: { x: tx, y: ty, z: 0 }, normal: { x: ty, y: -tx, z: 0 } };
+}
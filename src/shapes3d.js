@@ -1,3 +1,10 @@
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { ellipsoidDistance, segmentDistance2D, triangleDistance3D, wedgeDistance } from './distance.js';
+import { IDENTITY, ballPad, ellipticBBox, mergeBBox, pointsBBox, transformBBox } from './bounds.js';
+import { cross, dot, sub } from './vector3.js';
+import { tubeAngle } from './warps.js';
+
 /**
  * EllipsoidSector3D
  * The master class for all ellipsoidal/spherical shapes and shells.
@@ -9,10 +16,13 @@ export class EllipsoidSector3D {
     this.innerRx = innerRx; this.innerRy = innerRy; this.innerRz = innerRz;
     this.startTheta = startTheta; this.endTheta = endTheta;
     this.startPhi = startPhi; this.endPhi = endPhi;
+    this.dimension = 3;
 
     let deltaTheta = endTheta - startTheta;
     if (deltaTheta < 0) deltaTheta += 2 * Math.PI;
     this.deltaTheta = deltaTheta;
+    // Only whole solid ellipsoids are flagged; angular cuts may or may not be convex
+    this.convex = innerRx <= 0 && deltaTheta >= 2 * Math.PI - 1e-12 && startPhi <= 0 && endPhi >= Math.PI;
 
     // Solid angle fraction
     this.cosStartPhi = Math.cos(startPhi);
@@ -55,20 +65,63 @@ export class EllipsoidSector3D {
     return cosP <= this.cosStartPhi + epsilon && cosP >= this.cosEndPhi - epsilon;
   }
 
-  sample() {
+  /**
+   * Signed distance estimate. Ellipsoids use a first-order estimate (exact for spheres, see
+   * `ellipsoidDistance` in distance.js); shells and angular cuts combine with max, which is
+   * exact inside and a lower bound outside.
+   * @param {{x: number, y: number, z: number}} p
+   * @returns {number} Negative inside, positive outside.
+   */
+  sdf(p) {
+    const dx = p.x - this.center.x, dy = p.y - this.center.y, dz = p.z - this.center.z;
+    let d = ellipsoidDistance(dx, dy, dz, this.rx, this.ry, this.rz);
+    if (this.innerRx > 0) d = Math.max(d, -ellipsoidDistance(dx, dy, dz, this.innerRx, this.innerRy, this.innerRz));
+    if (this.deltaTheta < 2 * Math.PI - 1e-12) d = Math.max(d, wedgeDistance(dx, dy, this.startTheta, this.deltaTheta));
+
+    // Polar limits are cones about the z axis; measured in the meridian half-plane
+    const r = Math.hypot(dx, dy, dz);
+    const phi = Math.atan2(Math.hypot(dx, dy), dz);
+    const toCone = angle => angle < Math.PI / 2 ? r * Math.sin(angle) : r;
+    if (this.startPhi > 0) d = Math.max(d, phi >= this.startPhi ? -toCone(phi - this.startPhi) : toCone(this.startPhi - phi));
+    if (this.endPhi < Math.PI) d = Math.max(d, phi <= this.endPhi ? -toCone(this.endPhi - phi) : toCone(phi - this.endPhi));
+    return d;
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /**
+   * Deterministic warp from the unit cube onto the sector, preserving uniformity.
+   * @param {number} u - Radial coordinate in [0, 1].
+   * @param {number} v - Azimuthal coordinate in [0, 1].
+   * @param {number} w - Polar coordinate in [0, 1].
+   * @param {{x: number, y: number, z: number}} [out] - Optional object to write the result into.
+   */
+  fromUnit(u, v, w, out = {}) {
     // Uniform volume scaling for 3D (Cube Root)
     const ratio = (this.innerRx / this.rx); // assume uniform scaling
-    const r = Math.cbrt(Math.random() * (1 - ratio**3) + ratio**3);
+    const r = Math.cbrt(u * (1 - ratio**3) + ratio**3);
     
-    const theta = (this.startTheta + Math.random() * this.deltaTheta) % (2 * Math.PI);
-    const cosP = this.cosStartPhi - Math.random() * (this.cosStartPhi - this.cosEndPhi);
+    const theta = (this.startTheta + v * this.deltaTheta) % (2 * Math.PI);
+    const cosP = this.cosStartPhi - w * (this.cosStartPhi - this.cosEndPhi);
     const sinP = Math.sqrt(Math.max(0, 1 - cosP * cosP));
 
-    return {
-      x: this.center.x + this.rx * r * sinP * Math.cos(theta),
-      y: this.center.y + this.ry * r * sinP * Math.sin(theta),
-      z: this.center.z + this.rz * r * cosP
-    };
+    out.x = this.center.x + this.rx * r * sinP * Math.cos(theta);
+    out.y = this.center.y + this.ry * r * sinP * Math.sin(theta);
+    out.z = this.center.z + this.rz * r * cosP;
+    return out;
+  }
+
+  /**
+   * World bounding box under p -> M p + t (see bounds.js). Exact for whole ellipsoids;
+   * angular sectors fall back to the mapped corners of `bbox`.
+   */
+  transformedBBox(m, t) {
+    if (!(this.deltaTheta >= 2 * Math.PI - 1e-12 && this.startPhi <= 0 && this.endPhi >= Math.PI)) {
+      return transformBBox(this.bbox, m, t);
+    }
+    return ellipticBBox(this.center, [{ x: this.rx, y: 0, z: 0 }, { x: 0, y: this.ry, z: 0 }, { x: 0, y: 0, z: this.rz }], m, t);
   }
 }
 
@@ -92,17 +145,59 @@ export class Ellipsoid3D extends EllipsoidSector3D {
     return true;
   }
 
-  sample() {
+  fromUnit(u, v, w, out = {}) {
     const ratio = (this.innerRx / this.rx);
-    const r = Math.cbrt(Math.random() * (1 - ratio**3) + ratio**3);
-    const theta = Math.random() * 2 * Math.PI;
-    const cosP = 2 * Math.random() - 1;
+    const r = Math.cbrt(u * (1 - ratio**3) + ratio**3);
+    const theta = v * 2 * Math.PI;
+    const cosP = 2 * w - 1;
     const sinP = Math.sqrt(1 - cosP * cosP);
-    return {
-      x: this.center.x + this.rx * r * sinP * Math.cos(theta),
-      y: this.center.y + this.ry * r * sinP * Math.sin(theta),
-      z: this.center.z + this.rz * r * cosP
-    };
+    out.x = this.center.x + this.rx * r * sinP * Math.cos(theta);
+    out.y = this.center.y + this.ry * r * sinP * Math.sin(theta);
+    out.z = this.center.z + this.rz * r * cosP;
+    return out;
+  }
+
+  /**
+   * Surface area of the outer shell (plus the inner shell when hollow).
+   * Ellipsoids have no closed form, so this is integrated numerically once and cached.
+   */
+  get surfaceArea() {
+    if (this._outerArea === undefined) {
+      this._outerArea = ellipsoidArea(this.rx, this.ry, this.rz);
+      this._innerArea = this.innerRx > 0 ? ellipsoidArea(this.innerRx, this.innerRy, this.innerRz) : 0;
+    }
+    return this._outerArea + this._innerArea;
+  }
+
+  /**
+   * Samples a point uniformly by area on the boundary, with its outward unit normal.
+   * A uniform sphere direction is mapped onto the ellipsoid and accepted in proportion
+   * to the local area stretch, which keeps the density area-correct.
+   * @param {() => number} [rng=Math.random]
+   * @returns {{x: number, y: number, z: number, normal: {x: number, y: number, z: number}}}
+   */
+  sampleSurface(rng = Math.random) {
+    let a = this.rx, b = this.ry, c = this.rz, sign = 1;
+    if (this.innerRx > 0) {
+      if (rng() * this.surfaceArea >= this._outerArea) {
+        a = this.innerRx; b = this.innerRy; c = this.innerRz; sign = -1;
+      }
+    }
+
+    const gMax = Math.max(b * c, a * c, a * b);
+    let nx, ny, nz;
+    do {
+      const theta = rng() * 2 * Math.PI;
+      nz = 2 * rng() - 1;
+      const sinP = Math.sqrt(1 - nz * nz);
+      nx = sinP * Math.cos(theta);
+      ny = sinP * Math.sin(theta);
+    } while (rng() * gMax > Math.hypot(b * c * nx, a * c * ny, a * b * nz));
+
+    return surfacePoint(
+      this.center.x + a * nx, this.center.y + b * ny, this.center.z + c * nz,
+      sign * nx / a, sign * ny / b, sign * nz / c
+    );
   }
 }
 
@@ -125,16 +220,42 @@ export class Sphere3D extends Ellipsoid3D {
     return d2 <= this.rSq + epsilon && d2 >= this.irSq - epsilon;
   }
 
-  sample() {
-    const r = Math.cbrt(Math.random() * (this.radius**3 - this.innerRadius**3) + this.innerRadius**3);
-    const theta = Math.random() * 2 * Math.PI;
-    const cosP = 2 * Math.random() - 1;
+  // OVERRIDE: Exact distance to the ball or shell
+  sdf(p) {
+    const r = Math.hypot(p.x - this.center.x, p.y - this.center.y, p.z - this.center.z);
+    return Math.max(r - this.radius, this.innerRadius - r);
+  }
+
+  fromUnit(u, v, w, out = {}) {
+    const r = Math.cbrt(u * (this.radius**3 - this.innerRadius**3) + this.innerRadius**3);
+    const theta = v * 2 * Math.PI;
+    const cosP = 2 * w - 1;
     const sinP = Math.sqrt(1 - cosP * cosP);
-    return {
-      x: this.center.x + r * sinP * Math.cos(theta),
-      y: this.center.y + r * sinP * Math.sin(theta),
-      z: this.center.z + r * cosP
-    };
+    out.x = this.center.x + r * sinP * Math.cos(theta);
+    out.y = this.center.y + r * sinP * Math.sin(theta);
+    out.z = this.center.z + r * cosP;
+    return out;
+  }
+
+  get surfaceArea() {
+    return 4 * Math.PI * (this.rSq + this.irSq);
+  }
+
+  // OVERRIDE: Direction is already area-uniform on a sphere
+  sampleSurface(rng = Math.random) {
+    const inner = this.innerRadius > 0 && rng() * (this.rSq + this.irSq) >= this.rSq;
+    const r = inner ? this.innerRadius : this.radius;
+    const sign = inner ? -1 : 1;
+
+    const theta = rng() * 2 * Math.PI;
+    const cosP = 2 * rng() - 1;
+    const sinP = Math.sqrt(1 - cosP * cosP);
+    const nx = sinP * Math.cos(theta), ny = sinP * Math.sin(theta);
+
+    return surfacePoint(
+      this.center.x + r * nx, this.center.y + r * ny, this.center.z + r * cosP,
+      sign * nx, sign * ny, sign * cosP
+    );
   }
 }
 
@@ -145,13 +266,34 @@ export class Box3D {
   constructor(center, width=1, height=1, depth=1) {
     this.center = center; this.width = width; this.height = height; this.depth = depth;
     this.volume = width * height * depth;
+    this.surfaceArea = 2 * (width * height + width * depth + height * depth);
+    this.dimension = 3;
+    this.convex = true;
     this.bbox = { minX: center.x-width/2, maxX: center.x+width/2, minY: center.y-height/2, maxY: center.y+height/2, minZ: center.z-depth/2, maxZ: center.z+depth/2 };
   }
   contains(p, epsilon=1e-9) {
     return Math.abs(p.x-this.center.x) <= this.width/2 + epsilon && Math.abs(p.y-this.center.y) <= this.height/2 + epsilon && Math.abs(p.z-this.center.z) <= this.depth/2 + epsilon;
   }
-  sample() {
-    return { x: this.center.x + (Math.random()-0.5)*this.width, y: this.center.y + (Math.random()-0.5)*this.height, z: this.center.z + (Math.random()-0.5)*this.depth };
+  sdf(p) {
+    const qx = Math.abs(p.x-this.center.x) - this.width/2, qy = Math.abs(p.y-this.center.y) - this.height/2, qz = Math.abs(p.z-this.center.z) - this.depth/2;
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0)) + Math.min(Math.max(qx, qy, qz), 0);
+  }
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+  fromUnit(u, v, w, out = {}) {
+    out.x = this.center.x + (u-0.5)*this.width; out.y = this.center.y + (v-0.5)*this.height; out.z = this.center.z + (w-0.5)*this.depth;
+    return out;
+  }
+  sampleSurface(rng = Math.random) {
+    const { width: w, height: h, depth: d } = this;
+    let r = rng() * this.surfaceArea / 2;
+    const side = rng() < 0.5 ? -1 : 1;
+    const u = rng() - 0.5, v = rng() - 0.5;
+    const c = this.center;
+    if ((r -= h * d) < 0) return surfacePoint(c.x + side * w / 2, c.y + u * h, c.z + v * d, side, 0, 0);
+    if ((r -= w * d) < 0) return surfacePoint(c.x + u * w, c.y + side * h / 2, c.z + v * d, 0, side, 0);
+    return surfacePoint(c.x + u * w, c.y + v * h, c.z + side * d / 2, 0, 0, side);
   }
 }
 
@@ -164,7 +306,10 @@ export class Cylinder3D {
     this.radius = radius; 
     this.height = height; 
     this.innerRadius = innerRadius;
+    this.dimension = 3;
+    this.convex = innerRadius <= 0;
     this.volume = Math.PI * (radius*radius - innerRadius*innerRadius) * height;
+    this.surfaceArea = 2 * Math.PI * (radius + innerRadius) * height + 2 * Math.PI * (radius*radius - innerRadius*innerRadius);
     this.rSq = radius * radius;
     this.irSq = innerRadius * innerRadius;
 
@@ -186,17 +331,68 @@ export class Cylinder3D {
     return d2 <= this.rSq + epsilon && d2 >= this.irSq - epsilon;
   }
 
-  sample() {
-    const r = Math.sqrt(Math.random() * (this.rSq - this.irSq) + this.irSq);
-    const t = Math.random() * 2 * Math.PI;
+  /**
+   * Exact signed distance: a rectangle in the (radius, z) half-plane, revolved. Solid
+   * cylinders have no wall at the axis, so only the outer radius bounds them there.
+   * @param {{x: number, y: number, z: number}} p
+   */
+  sdf(p) {
+    const rho = Math.hypot(p.x - this.center.x, p.y - this.center.y);
+    const qx = this.innerRadius > 0
+      ? Math.abs(rho - (this.radius + this.innerRadius) / 2) - (this.radius - this.innerRadius) / 2
+      : rho - this.radius;
+    const qz = Math.abs(p.z - this.center.z) - this.height / 2;
+    return Math.hypot(Math.max(qx, 0), Math.max(qz, 0)) + Math.min(Math.max(qx, qz), 0);
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  fromUnit(u, v, w, out = {}) {
+    const r = Math.sqrt(u * (this.rSq - this.irSq) + this.irSq);
+    const t = v * 2 * Math.PI;
     
-    const z = this.center.z + (Math.random() - 0.5) * this.height;
+    const z = this.center.z + (w - 0.5) * this.height;
     
-    return { 
-      x: this.center.x + r * Math.cos(t), 
-      y: this.center.y + r * Math.sin(t), 
-      z: z 
-    };
+    out.x = this.center.x + r * Math.cos(t);
+    out.y = this.center.y + r * Math.sin(t);
+    out.z = z;
+    return out;
+  }
+
+  /**
+   * Samples the boundary uniformly by area: outer wall, inner wall (tubes) and both
+   * annular caps. Normals point out of the material, i.e. towards the axis on inner walls.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    const outerWall = 2 * Math.PI * this.radius * this.height;
+    const innerWall = 2 * Math.PI * this.innerRadius * this.height;
+    const r = rng() * this.surfaceArea;
+    const t = rng() * 2 * Math.PI;
+    const cos = Math.cos(t), sin = Math.sin(t);
+    const c = this.center;
+
+    if (r < outerWall + innerWall) {
+      const inner = r >= outerWall;
+      const rad = inner ? this.innerRadius : this.radius;
+      const sign = inner ? -1 : 1;
+      const z = c.z + (rng() - 0.5) * this.height;
+      return surfacePoint(c.x + rad * cos, c.y + rad * sin, z, sign * cos, sign * sin, 0);
+    }
+
+    const top = rng() < 0.5;
+    const rad = Math.sqrt(rng() * (this.rSq - this.irSq) + this.irSq);
+    const z = c.z + (top ? 0.5 : -0.5) * this.height;
+    return surfacePoint(c.x + rad * cos, c.y + rad * sin, z, 0, 0, top ? 1 : -1);
+  }
+
+  /** Exact world bounding box under p -> M p + t: the end disk swept along the axis. */
+  transformedBBox(m, t) {
+    const h = this.height / 2;
+    const pad = { x: Math.abs(m.m02) * h, y: Math.abs(m.m12) * h, z: Math.abs(m.m22) * h };
+    return ellipticBBox(this.center, [{ x: this.radius, y: 0, z: 0 }, { x: 0, y: this.radius, z: 0 }], m, t, pad);
   }
 }
 /**
@@ -215,13 +411,21 @@ export class Cone3D {
     this.radius = radius; 
     this.height = height;
     this.innerRadius = innerRadius;
+    this.dimension = 3;
     // If not provided, "shared tip" cone
     this.innerHeight = innerHeight !== null ? innerHeight : (innerRadius > 0 ? height : 0);
+    this.convex = !(innerRadius > 0 && this.innerHeight > 0);
 
     const outerVol = (1 / 3) * Math.PI * (radius ** 2) * height;
     const innerVol = (1 / 3) * Math.PI * (innerRadius ** 2) * this.innerHeight;
     this.volume = outerVol - innerVol;
 
+    this.slant = Math.hypot(radius, height);
+    this.innerSlant = Math.hypot(innerRadius, this.innerHeight);
+    this.surfaceArea = Math.PI * radius * this.slant
+      + Math.PI * (radius ** 2 - innerRadius ** 2)
+      + Math.PI * innerRadius * this.innerSlant;
+
     this.bbox = {
       minX: center.x - radius, maxX: center.x + radius,
       minY: center.y - radius, maxY: center.y + radius,
@@ -248,39 +452,694 @@ export class Cone3D {
     return true;
   }
 
-  sample() {
+  /**
+   * Exact signed distance. The profile in the (radius, z) half-plane is a triangle, minus the
+   * inner one for hollow cones; its edges on the axis are interior, so only the base and the
+   * slanted sides count.
+   * @param {{x: number, y: number, z: number}} p
+   */
+  sdf(p) {
+    const rho = Math.hypot(p.x - this.center.x, p.y - this.center.y);
+    const dz = p.z - this.center.z;
+    const hollow = this.innerRadius > 0 && this.innerHeight > 0;
+    const baseStart = hollow ? this.innerRadius : 0;
+
+    let d = Math.min(
+      segmentDistance2D(rho, dz, baseStart, 0, this.radius, 0),
+      segmentDistance2D(rho, dz, this.radius, 0, 0, this.height)
+    );
+    if (hollow) d = Math.min(d, segmentDistance2D(rho, dz, 0, this.innerHeight, this.innerRadius, 0));
+    return this.contains(p, 0) ? -d : d;
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /**
+   * Deterministic warp from the unit cube onto the cone.
+   * Hollow cones are handled exactly by inverting the height CDF of the
+   * annular cross-sections (the inner void is assumed to nest inside the outer cone).
+   * @param {number} u - Height coordinate in [0, 1].
+   * @param {number} v - Radial coordinate in [0, 1].
+   * @param {number} w - Angular coordinate in [0, 1].
+   * @param {{x: number, y: number, z: number}} [out] - Optional object to write the result into.
+   */
+  fromUnit(u, v, w, out = {}) {
+    let dz, rOuter, rInner = 0;
     if (this.innerRadius <= 0) {
-      return this._sampleOuter();
+      const t = Math.cbrt(u);
+      dz = (1 - t) * this.height;
+      rOuter = t * this.radius;
+    } else {
+      dz = this._heightFromUnit(u);
+      rOuter = this.radius * (1 - dz / this.height);
+      if (dz < this.innerHeight) rInner = this.innerRadius * (1 - dz / this.innerHeight);
     }
 
-    let attempts = 0;
-    while (attempts < 2000) {
-      const p = this._sampleOuter();
-      const dz = p.z - this.center.z;
+    const r = Math.sqrt(v * (rOuter * rOuter - rInner * rInner) + rInner * rInner);
+    const theta = w * 2 * Math.PI;
 
-      if (dz > this.innerHeight) return p;
+    out.x = this.center.x + r * Math.cos(theta);
+    out.y = this.center.y + r * Math.sin(theta);
+    out.z = this.center.z + dz;
+    return out;
+  }
 
-      const innerRAtZ = (this.innerRadius / this.innerHeight) * (this.innerHeight - dz);
-      const d2 = (p.x - this.center.x)**2 + (p.y - this.center.y)**2;
-      
-      if (d2 >= innerRAtZ * innerRAtZ) return p;
-      attempts++;
+  /**
+   * Samples the boundary uniformly by area: the outer lateral face, the (annular) base
+   * and, for hollow cones, the lateral face of the inner void.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    const outerSide = Math.PI * this.radius * this.slant;
+    const base = Math.PI * (this.radius ** 2 - this.innerRadius ** 2);
+    const r = rng() * this.surfaceArea;
+    const theta = rng() * 2 * Math.PI;
+    const cos = Math.cos(theta), sin = Math.sin(theta);
+    const c = this.center;
+
+    if (r >= outerSide && r < outerSide + base) {
+      const rad = Math.sqrt(rng() * (this.radius ** 2 - this.innerRadius ** 2) + this.innerRadius ** 2);
+      return surfacePoint(c.x + rad * cos, c.y + rad * sin, c.z, 0, 0, -1);
+    }
+
+    // Lateral faces: area grows linearly with distance from the apex
+    const inner = r >= outerSide + base;
+    const R = inner ? this.innerRadius : this.radius;
+    const H = inner ? this.innerHeight : this.height;
+    const L = inner ? this.innerSlant : this.slant;
+    const sign = inner ? -1 : 1;
+    const t = Math.sqrt(rng());
+
+    return surfacePoint(
+      c.x + t * R * cos, c.y + t * R * sin, c.z + (1 - t) * H,
+      sign * H * cos / L, sign * H * sin / L, sign * R / L
+    );
+  }
+
+  /** Exact world bounding box under p -> M p + t: the base disk and the apex. */
+  transformedBBox(m, t) {
+    const c = this.center;
+    const disk = ellipticBBox(c, [{ x: this.radius, y: 0, z: 0 }, { x: 0, y: this.radius, z: 0 }], m, t);
+    return mergeBBox(disk, pointsBBox([{ x: c.x, y: c.y, z: c.z + this.height }], m, t));
+  }
+
+  /**
+   * Solves volumeBelow(dz) = (1 - u) * volume with a safeguarded Newton iteration.
+   * @private
+   */
+  _heightFromUnit(u) {
+    const target = (1 - u) * this.volume;
+    let lo = 0, hi = this.height;
+    let dz = this.height * (1 - Math.cbrt(u));
+
+    for (let i = 0; i < 40; i++) {
+      const f = this._volumeBelow(dz) - target;
+      if (Math.abs(f) <= 1e-12 * this.volume) break;
+      if (f > 0) hi = dz; else lo = dz;
+
+      const area = this._crossSection(dz);
+      let next = area > 0 ? dz - f / area : (lo + hi) / 2;
+      if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+      dz = next;
+    }
+    return dz;
+  }
+
+  /** @private Solid volume between the base and height dz. */
+  _volumeBelow(dz) {
+    const outer = (1 / 3) * Math.PI * this.radius ** 2 * this.height * (1 - (1 - dz / this.height) ** 3);
+    if (this.innerRadius <= 0) return outer;
+    const iz = Math.min(dz, this.innerHeight);
+    const inner = (1 / 3) * Math.PI * this.innerRadius ** 2 * this.innerHeight * (1 - (1 - iz / this.innerHeight) ** 3);
+    return outer - inner;
+  }
+
+  /** @private Annular cross-section area at height dz. */
+  _crossSection(dz) {
+    const rOuter = this.radius * (1 - dz / this.height);
+    const rInner = dz < this.innerHeight ? this.innerRadius * (1 - dz / this.innerHeight) : 0;
+    return Math.PI * (rOuter * rOuter - rInner * rInner);
+  }
+}
+
+/**
+ * Torus3D (Ring Torus / Tube Shell)
+ * A tube of radius `minorRadius` swept around the z axis at distance `majorRadius`.
+ * With `innerMinorRadius` > 0 the tube is hollow.
+ */
+export class Torus3D {
+  /**
+   * @param {{x,y,z}} center - Center of the ring
+   * @param {number} majorRadius - Distance from the axis to the center of the tube
+   * @param {number} minorRadius - Tube radius (at most majorRadius)
+   * @param {number} innerMinorRadius - Radius of the hollow core of the tube
+   */
+  constructor(center, majorRadius = 1, minorRadius = 0.25, innerMinorRadius = 0) {
+    if (minorRadius > majorRadius) {
+      throw new RangeError(`Torus3D: minorRadius (${minorRadius}) must not exceed majorRadius (${majorRadius}).`);
+    }
+    this.center = center;
+    this.majorRadius = majorRadius;
+    this.minorRadius = minorRadius;
+    this.innerMinorRadius = innerMinorRadius;
+    this.dimension = 3;
+    this.convex = false;
+    this.volume = 2 * Math.PI ** 2 * majorRadius * (minorRadius ** 2 - innerMinorRadius ** 2);
+    this.surfaceArea = 4 * Math.PI ** 2 * majorRadius * (minorRadius + innerMinorRadius);
+
+    const reach = majorRadius + minorRadius;
+    this.bbox = {
+      minX: center.x - reach, maxX: center.x + reach,
+      minY: center.y - reach, maxY: center.y + reach,
+      minZ: center.z - minorRadius, maxZ: center.z + minorRadius
+    };
+  }
+
+  /** @private Distance from p to the core circle of the tube. */
+  _tubeDistance(p) {
+    const rho = Math.hypot(p.x - this.center.x, p.y - this.center.y);
+    return Math.hypot(rho - this.majorRadius, p.z - this.center.z);
+  }
+
+  contains(p, epsilon = 1e-9) {
+    const q = this._tubeDistance(p);
+    return q <= this.minorRadius + epsilon && q >= this.innerMinorRadius - epsilon;
+  }
+
+  /** Exact signed distance: a disk (or annulus) in the (radius, z) half-plane, revolved. */
+  sdf(p) {
+    const q = this._tubeDistance(p);
+    return Math.max(q - this.minorRadius, this.innerMinorRadius - q);
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /**
+   * Exact warp. In tube coordinates the volume element is (R + rho cos a) rho drho da dtheta,
+   * so rho follows the annulus law and the angle around the tube solves a Kepler equation.
+   * @param {number} u - Distance from the tube's core.
+   * @param {number} v - Angle around the tube.
+   * @param {number} w - Angle around the z axis.
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  fromUnit(u, v, w, out = {}) {
+    const ri2 = this.innerMinorRadius ** 2;
+    const rho = Math.sqrt(u * (this.minorRadius ** 2 - ri2) + ri2);
+    return this._tubePoint(rho, tubeAngle(v, rho / this.majorRadius), w * 2 * Math.PI, out);
+  }
+
+  /**
+   * Samples the boundary uniformly by area: the outer tube and, for shells, the inner one.
+   * Normals point out of the material.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    const inner = rng() * (this.minorRadius + this.innerMinorRadius) >= this.minorRadius;
+    const rho = inner ? this.innerMinorRadius : this.minorRadius;
+    const a = tubeAngle(rng(), rho / this.majorRadius);
+    const theta = rng() * 2 * Math.PI;
+    const p = this._tubePoint(rho, a, theta, {});
+    const sign = inner ? -1 : 1;
+    return surfacePoint(p.x, p.y, p.z,
+      sign * Math.cos(a) * Math.cos(theta), sign * Math.cos(a) * Math.sin(theta), sign * Math.sin(a));
+  }
+
+  /** Exact world bounding box under p -> M p + t: the core circle grown by the tube. */
+  transformedBBox(m, t) {
+    const R = this.majorRadius;
+    return ellipticBBox(this.center, [{ x: R, y: 0, z: 0 }, { x: 0, y: R, z: 0 }], m, t, ballPad(m, this.minorRadius));
+  }
+
+  /** @private */
+  _tubePoint(rho, a, theta, out) {
+    const r = this.majorRadius + rho * Math.cos(a);
+    out.x = this.center.x + r * Math.cos(theta);
+    out.y = this.center.y + r * Math.sin(theta);
+    out.z = this.center.z + rho * Math.sin(a);
+    return out;
+  }
+}
+
+/**
+ * Capsule3D (Pill / Hollow Capsule)
+ * All points within `radius` of the segment of length `height` along z through `center`.
+ * With `innerRadius` > 0 the capsule is a shell around the same segment.
+ */
+export class Capsule3D {
+  /**
+   * @param {{x,y,z}} center - Midpoint of the core segment
+   * @param {number} radius - Outer radius
+   * @param {number} height - Length of the cylindrical part (0 gives a sphere)
+   * @param {number} innerRadius - Radius of the hollow core
+   */
+  constructor(center, radius = 1, height = 1, innerRadius = 0) {
+    this.center = center;
+    this.radius = radius;
+    this.height = height;
+    this.innerRadius = innerRadius;
+    this.dimension = 3;
+    this.convex = innerRadius <= 0;
+
+    const r2 = radius ** 2, ir2 = innerRadius ** 2;
+    this._cylinderVolume = Math.PI * (r2 - ir2) * height;
+    this.volume = this._cylinderVolume + (4 / 3) * Math.PI * (radius ** 3 - innerRadius ** 3);
+    this.surfaceArea = (2 * Math.PI * height + 4 * Math.PI * radius) * radius
+      + (2 * Math.PI * height + 4 * Math.PI * innerRadius) * innerRadius;
+
+    const halfH = height / 2;
+    this.bbox = {
+      minX: center.x - radius, maxX: center.x + radius,
+      minY: center.y - radius, maxY: center.y + radius,
+      minZ: center.z - halfH - radius, maxZ: center.z + halfH + radius
+    };
+  }
+
+  /** @private Distance from p to the core segment. */
+  _axisDistance(p) {
+    const h = this.height / 2;
+    const dz = p.z - this.center.z;
+    const excess = Math.max(Math.abs(dz) - h, 0);
+    return Math.hypot(p.x - this.center.x, p.y - this.center.y, excess);
+  }
+
+  contains(p, epsilon = 1e-9) {
+    const q = this._axisDistance(p);
+    return q <= this.radius + epsilon && q >= this.innerRadius - epsilon;
+  }
+
+  /** Exact signed distance (a segment grown by the radius, minus the inner one). */
+  sdf(p) {
+    const q = this._axisDistance(p);
+    return Math.max(q - this.radius, this.innerRadius - q);
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /**
+   * Exact warp: `u` first picks the cylinder or the two caps by volume and is then reused
+   * as the radial coordinate. The caps together form a spherical shell split at its equator.
+   * @param {number} u - Part and radial coordinate.
+   * @param {number} v - Angle around the axis.
+   * @param {number} w - Height along the cylinder, or cos(polar angle) on the caps.
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  fromUnit(u, v, w, out = {}) {
+    const c = this.center;
+    const theta = v * 2 * Math.PI;
+    const split = this._cylinderVolume / this.volume;
+
+    if (u < split) {
+      const ir2 = this.innerRadius ** 2;
+      const r = Math.sqrt((u / split) * (this.radius ** 2 - ir2) + ir2);
+      out.x = c.x + r * Math.cos(theta);
+      out.y = c.y + r * Math.sin(theta);
+      out.z = c.z + (w - 0.5) * this.height;
+      return out;
     }
-    return this._sampleOuter(); 
+
+    const s = split < 1 ? (u - split) / (1 - split) : 0;
+    const ir3 = this.innerRadius ** 3;
+    const r = Math.cbrt(s * (this.radius ** 3 - ir3) + ir3);
+    const cosP = 2 * w - 1;
+    const sinP = Math.sqrt(1 - cosP * cosP);
+    out.x = c.x + r * sinP * Math.cos(theta);
+    out.y = c.y + r * sinP * Math.sin(theta);
+    out.z = c.z + r * cosP + Math.sign(cosP) * this.height / 2;
+    return out;
+  }
+
+  /**
+   * Samples the boundary uniformly by area: outer wall and caps, plus the inner ones for
+   * shells. Normals point out of the material.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    const outerArea = (2 * Math.PI * this.height + 4 * Math.PI * this.radius) * this.radius;
+    const inner = rng() * this.surfaceArea >= outerArea;
+    const r = inner ? this.innerRadius : this.radius;
+    const sign = inner ? -1 : 1;
+    const c = this.center;
+    const theta = rng() * 2 * Math.PI;
+    const cos = Math.cos(theta), sin = Math.sin(theta);
+
+    // Wall and caps in proportion 2 pi r h : 4 pi r^2
+    if (rng() * (this.height + 2 * r) < this.height) {
+      const z = c.z + (rng() - 0.5) * this.height;
+      return surfacePoint(c.x + r * cos, c.y + r * sin, z, sign * cos, sign * sin, 0);
+    }
+    const cosP = 2 * rng() - 1;
+    const sinP = Math.sqrt(1 - cosP * cosP);
+    const nx = sinP * cos, ny = sinP * sin;
+    return surfacePoint(
+      c.x + r * nx, c.y + r * ny, c.z + r * cosP + Math.sign(cosP) * this.height / 2,
+      sign * nx, sign * ny, sign * cosP
+    );
+  }
+
+  /** Exact world bounding box under p -> M p + t: the core segment grown by the radius. */
+  transformedBBox(m, t) {
+    return ellipticBBox(this.center, [{ x: 0, y: 0, z: this.height / 2 }], m, t, ballPad(m, this.radius));
+  }
+}
+
+/**
+ * Frustum3D (Truncated Cone / Tapered Pipe)
+ * Radius changes linearly from `bottomRadius` at `center` to `topRadius` at `height` along +Z.
+ * Inner radii hollow it out the same way, giving a tapered pipe.
+ */
+export class Frustum3D {
+  /**
+   * @param {{x,y,z}} center - Center of the bottom face
+   * @param {number} bottomRadius
+   * @param {number} topRadius
+   * @param {number} height - Distance from bottom to top along +Z
+   * @param {number} innerBottomRadius - Radius of the void at the bottom (at most bottomRadius)
+   * @param {number} innerTopRadius - Radius of the void at the top (at most topRadius)
+   */
+  constructor(center, bottomRadius = 1, topRadius = 0.5, height = 1, innerBottomRadius = 0, innerTopRadius = 0) {
+    this.center = center;
+    this.bottomRadius = bottomRadius;
+    this.topRadius = topRadius;
+    this.height = height;
+    this.innerBottomRadius = innerBottomRadius;
+    this.innerTopRadius = innerTopRadius;
+    this.dimension = 3;
+    this.hollow = innerBottomRadius > 0 || innerTopRadius > 0;
+    this.convex = !this.hollow;
+
+    this.volume = this._volumeBelow(height);
+    this.slant = Math.hypot(bottomRadius - topRadius, height);
+    this.innerSlant = Math.hypot(innerBottomRadius - innerTopRadius, height);
+    this._areas = [
+      Math.PI * (bottomRadius + topRadius) * this.slant,
+      Math.PI * (bottomRadius ** 2 - innerBottomRadius ** 2),
+      Math.PI * (topRadius ** 2 - innerTopRadius ** 2),
+      this.hollow ? Math.PI * (innerBottomRadius + innerTopRadius) * this.innerSlant : 0
+    ];
+    this.surfaceArea = this._areas.reduce((a, b) => a + b, 0);
+
+    const r = Math.max(bottomRadius, topRadius);
+    this.bbox = {
+      minX: center.x - r, maxX: center.x + r,
+      minY: center.y - r, maxY: center.y + r,
+      minZ: center.z,     maxZ: center.z + height
+    };
+  }
+
+  contains(p, epsilon = 1e-9) {
+    const dz = p.z - this.center.z;
+    if (dz < -epsilon || dz > this.height + epsilon) return false;
+    const t = Math.min(Math.max(dz / this.height, 0), 1);
+    const d = Math.hypot(p.x - this.center.x, p.y - this.center.y);
+    return d <= this._outerAt(t) + epsilon && d >= this._innerAt(t) - epsilon;
+  }
+
+  /**
+   * Exact signed distance. The profile in the (radius, z) half-plane is a trapezoid whose
+   * axis edge is interior for solid frustums.
+   * @param {{x: number, y: number, z: number}} p
+   */
+  sdf(p) {
+    const rho = Math.hypot(p.x - this.center.x, p.y - this.center.y);
+    const dz = p.z - this.center.z;
+    const h = this.height;
+    const ib = this.innerBottomRadius, it = this.innerTopRadius;
+
+    let d = Math.min(
+      segmentDistance2D(rho, dz, ib, 0, this.bottomRadius, 0),
+      segmentDistance2D(rho, dz, this.bottomRadius, 0, this.topRadius, h),
+      segmentDistance2D(rho, dz, this.topRadius, h, it, h)
+    );
+    if (this.hollow) d = Math.min(d, segmentDistance2D(rho, dz, it, h, ib, 0));
+    return this.contains(p, 0) ? -d : d;
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /**
+   * Exact warp: the height inverts the cubic volume CDF of the annular cross-sections.
+   * @param {number} u - Height coordinate in [0, 1].
+   * @param {number} v - Radial coordinate in [0, 1].
+   * @param {number} w - Angular coordinate in [0, 1].
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  fromUnit(u, v, w, out = {}) {
+    const dz = this._heightFromUnit(u);
+    const t = dz / this.height;
+    const ro = this._outerAt(t), ri = this._innerAt(t);
+    const r = Math.sqrt(v * (ro * ro - ri * ri) + ri * ri);
+    const theta = w * 2 * Math.PI;
+
+    out.x = this.center.x + r * Math.cos(theta);
+    out.y = this.center.y + r * Math.sin(theta);
+    out.z = this.center.z + dz;
+    return out;
+  }
+
+  /**
+   * Samples the boundary uniformly by area: outer lateral face, bottom and top annuli and,
+   * for tapered pipes, the inner lateral face. Normals point out of the material.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    let r = rng() * this.surfaceArea;
+    const theta = rng() * 2 * Math.PI;
+    const cos = Math.cos(theta), sin = Math.sin(theta);
+    const c = this.center, h = this.height;
+
+    const last = this.hollow ? 3 : 2;
+    let face = 0;
+    while (face < last && (r -= this._areas[face]) >= 0) face++;
+
+    if (face === 1 || face === 2) {
+      const top = face === 2;
+      const ro = top ? this.topRadius : this.bottomRadius;
+      const ri = top ? this.innerTopRadius : this.innerBottomRadius;
+      const rad = Math.sqrt(rng() * (ro * ro - ri * ri) + ri * ri);
+      return surfacePoint(c.x + rad * cos, c.y + rad * sin, c.z + (top ? h : 0), 0, 0, top ? 1 : -1);
+    }
+
+    // Lateral faces: the area density grows linearly with the radius along the height
+    const inner = face === 3;
+    const r0 = inner ? this.innerBottomRadius : this.bottomRadius;
+    const r1 = inner ? this.innerTopRadius : this.topRadius;
+    const t = linearInverse(r0, r1, rng());
+    const rad = r0 + (r1 - r0) * t;
+    const sign = inner ? -1 : 1;
+    return surfacePoint(
+      c.x + rad * cos, c.y + rad * sin, c.z + t * h,
+      sign * h * cos, sign * h * sin, sign * (r0 - r1)
+    );
+  }
+
+  /** Exact world bounding box under p -> M p + t: the two end disks. */
+  transformedBBox(m, t) {
+    const c = this.center;
+    const disk = (z, r) => ellipticBBox({ x: c.x, y: c.y, z }, [{ x: r, y: 0, z: 0 }, { x: 0, y: r, z: 0 }], m, t);
+    return mergeBBox(disk(c.z, this.bottomRadius), disk(c.z + this.height, this.topRadius));
   }
 
   /** @private */
-  _sampleOuter() {
-    const u = Math.random();
-    const t = Math.cbrt(u);
-    const z = this.center.z + (1 - t) * this.height;
-    const r = t * this.radius * Math.sqrt(Math.random());
-    const theta = Math.random() * 2 * Math.PI;
-
-    return {
-      x: this.center.x + r * Math.cos(theta),
-      y: this.center.y + r * Math.sin(theta),
-      z: z
+  _outerAt(t) {
+    return this.bottomRadius + (this.topRadius - this.bottomRadius) * t;
+  }
+
+  /** @private */
+  _innerAt(t) {
+    return this.innerBottomRadius + (this.innerTopRadius - this.innerBottomRadius) * t;
+  }
+
+  /**
+   * Solves volumeBelow(dz) = u * volume with a safeguarded Newton iteration.
+   * @private
+   */
+  _heightFromUnit(u) {
+    const target = u * this.volume;
+    let lo = 0, hi = this.height;
+    let dz = u * this.height;
+
+    for (let i = 0; i < 40; i++) {
+      const f = this._volumeBelow(dz) - target;
+      if (Math.abs(f) <= 1e-12 * this.volume) break;
+      if (f > 0) hi = dz; else lo = dz;
+
+      const t = dz / this.height;
+      const area = Math.PI * (this._outerAt(t) ** 2 - this._innerAt(t) ** 2);
+      let next = area > 0 ? dz - f / area : (lo + hi) / 2;
+      if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+      dz = next;
+    }
+    return dz;
+  }
+
+  /** @private Volume between the bottom face and height dz: the integral of pi (ro^2 - ri^2). */
+  _volumeBelow(dz) {
+    const h = this.height;
+    const swept = (r0, r1) => {
+      const k = (r1 - r0) / h;
+      return r0 * r0 * dz + r0 * k * dz * dz + k * k * dz ** 3 / 3;
     };
+    return Math.PI * (swept(this.bottomRadius, this.topRadius) - swept(this.innerBottomRadius, this.innerTopRadius));
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Tetrahedron3D
+ * An arbitrary (non-degenerate) tetrahedron. Like Box3D it is always solid.
+ */
+export class Tetrahedron3D {
+  /**
+   * @param {{x,y,z}} a
+   * @param {{x,y,z}} b
+   * @param {{x,y,z}} c
+   * @param {{x,y,z}} d
+   */
+  constructor(a, b, c, d) {
+    this.vertices = [a, b, c, d];
+    this.dimension = 3;
+    this.convex = true;
+
+    const ab = sub(b, a), ac = sub(c, a), ad = sub(d, a);
+    this.volume = Math.abs(dot(cross(ab, ac), ad)) / 6;
+    this.center = {
+      x: (a.x + b.x + c.x + d.x) / 4,
+      y: (a.y + b.y + c.y + d.y) / 4,
+      z: (a.z + b.z + c.z + d.z) / 4
+    };
+
+    // Faces with unit outward normals, each opposite one vertex
+    this.faces = [[b, c, d, a], [a, c, d, b], [a, b, d, c], [a, b, c, d]].map(([p, q, r, opposite]) => {
+      const n = cross(sub(q, p), sub(r, p));
+      const len = Math.hypot(n.x, n.y, n.z);
+      const s = dot(n, sub(opposite, p)) > 0 ? -1 / len : 1 / len;
+      return { points: [p, q, r], origin: p, normal: { x: n.x * s, y: n.y * s, z: n.z * s }, area: len / 2 };
+    });
+    this.surfaceArea = this.faces.reduce((sum, f) => sum + f.area, 0);
+    this.bbox = pointsBBox(this.vertices, IDENTITY, { x: 0, y: 0, z: 0 });
+  }
+
+  /** @private Largest signed distance to a face plane (negative inside). */
+  _planeDistance(p) {
+    let d = -Infinity;
+    for (const f of this.faces) d = Math.max(d, dot(f.normal, sub(p, f.origin)));
+    return d;
+  }
+
+  contains(p, epsilon = 1e-9) {
+    return this._planeDistance(p) <= epsilon;
+  }
+
+  /** Exact signed distance: face planes inside, nearest face outside. */
+  sdf(p) {
+    const inside = this._planeDistance(p);
+    if (inside <= 0) return inside;
+    let d = Infinity;
+    for (const f of this.faces) d = Math.min(d, triangleDistance3D(p, ...f.points));
+    return d;
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /**
+   * Folds the unit cube onto the unit simplex (Rocchini & Cignoni), which preserves volume,
+   * then maps barycentric coordinates onto the vertices.
+   * @param {number} u
+   * @param {number} v
+   * @param {number} w
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  fromUnit(u, v, w, out = {}) {
+    let s = u, t = v, r = w;
+    if (s + t > 1) { s = 1 - s; t = 1 - t; }
+    if (t + r > 1) {
+      const tmp = r;
+      r = 1 - s - t;
+      t = 1 - tmp;
+    } else if (s + t + r > 1) {
+      const tmp = r;
+      r = s + t + r - 1;
+      s = 1 - t - tmp;
+    }
+    const k = 1 - s - t - r;
+    const [a, b, c, d] = this.vertices;
+    out.x = k * a.x + s * b.x + t * c.x + r * d.x;
+    out.y = k * a.y + s * b.y + t * c.y + r * d.y;
+    out.z = k * a.z + s * b.z + t * c.z + r * d.z;
+    return out;
+  }
+
+  /**
+   * Samples the four faces uniformly by area, with outward normals.
+   * @param {() => number} [rng=Math.random]
+   */
+  sampleSurface(rng = Math.random) {
+    let r = rng() * this.surfaceArea;
+    let face = this.faces[3];
+    for (const f of this.faces) {
+      if ((r -= f.area) < 0) { face = f; break; }
+    }
+    const [p, q, o] = face.points;
+    const s = Math.sqrt(rng()), t = rng();
+    const a = 1 - s, b = s * (1 - t), c = s * t;
+    const n = face.normal;
+    return surfacePoint(
+      a * p.x + b * q.x + c * o.x, a * p.y + b * q.y + c * o.y, a * p.z + b * q.z + c * o.z,
+      n.x, n.y, n.z
+    );
+  }
+
+  /** Exact world bounding box under p -> M p + t. */
+  transformedBBox(m, t) {
+    return pointsBBox(this.vertices, m, t);
+  }
+}
+
+withSampleQMC(EllipsoidSector3D, Box3D, Cylinder3D, Cone3D, Torus3D, Capsule3D, Frustum3D, Tetrahedron3D);
+withSampleInto(EllipsoidSector3D, Box3D, Cylinder3D, Cone3D, Torus3D, Capsule3D, Frustum3D, Tetrahedron3D);
+
+/**
+ * Builds a surface sample with a normalized normal.
+ * @private
+ */
+function surfacePoint(x, y, z, nx, ny, nz) {
+  const len = Math.hypot(nx, ny, nz) || 1;
+  return { x, y, z, normal: { x: nx / len, y: ny / len, z: nz / len } };
+}
+
+/**
+ * Ellipsoid surface area as the integral of the area stretch over the unit sphere.
+ * The integrand is smooth and periodic in theta, so a midpoint grid converges quickly.
+ * @private
+ */
+function ellipsoidArea(a, b, c, n = 128) {
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const nz = -1 + (2 * i + 1) / n;
+    const sinP = Math.sqrt(1 - nz * nz);
+    for (let j = 0; j < 2 * n; j++) {
+      const t = (j + 0.5) * Math.PI / n;
+      sum += Math.hypot(b * c * sinP * Math.cos(t), a * c * sinP * Math.sin(t), a * b * nz);
+    }
+  }
+  // dOmega = d(cos phi) * d(theta) = (2 / n) * (PI / n)
+  return sum * (2 / n) * (Math.PI / n);
+}
+
+/**
+ * t in [0, 1] with density proportional to r0 + (r1 - r0) t, by inverting the quadratic CDF.
+ * @private
+ */
+function linearInverse(r0, r1, u) {
+  if (Math.abs(r1 - r0) < 1e-12 * Math.max(r0, r1, 1e-300)) return u;
+  return (Math.sqrt(r0 * r0 + u * (r1 * r1 - r0 * r0)) - r0) / (r1 - r0);
+}
@@ -0,0 +1,324 @@
+/**
+ * svg_path.js
+ * SVG path data (the `d` attribute) as Path1D outlines and filled 2D shapes.
+ * Coordinates are taken as written, so the y axis points down as in SVG.
+ */
+import { Path1D, bezierQuadratic, bezierCubic, ellipticalArc } from './curves1d.js';
+import { Polygon2D } from './shapes2d.js';
+import { CompositeShape } from './composite_shapes.js';
+
+const FILL_RULES = ['nonzero', 'evenodd'];
+const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const COMMANDS = 'MLHVCSQTAZ';
+
+/**
+ * Parses path data into subpaths of absolute segments. Handles M/L/H/V/C/S/Q/T/A/Z and their
+ * relative forms, implicit repeats, smooth-curve reflection and compact arc flags ("a1 1 0 01 1 1").
+ * Segments are `{type: 'line', p0, p1}`, `{type: 'quadratic', p0, p1, p2}`,
+ * `{type: 'cubic', p0, p1, p2, p3}` or `{type: 'arc', p0, p1, center, rx, ry, rotation, startAngle, endAngle}`
+ * (arcs in center form, see `ellipticalArc`). Zero-length arcs are dropped, zero-radius arcs become lines.
+ *
+ * @param {string} d
+ * @returns {Array<{start: {x: number, y: number}, closed: boolean, segments: Array<Object>}>}
+ */
+export function parseSVGPath(d) {
+  const subpaths = [];
+  let i = 0;
+  const skip = () => { while (i < d.length && /[\s,]/.test(d[i])) i++; };
+  const number = () => {
+    skip();
+    NUMBER.lastIndex = i;
+    const match = NUMBER.exec(d);
+    if (!match) throw new Error(`parseSVGPath: expected a number at position ${i} in "${d}".`);
+    i = NUMBER.lastIndex;
+    return Number(match[0]);
+  };
+  const flag = () => {
+    skip();
+    if (d[i] !== '0' && d[i] !== '1') throw new Error(`parseSVGPath: expected an arc flag (0 or 1) at position ${i}.`);
+    return d[i++] === '1';
+  };
+
+  let current = null;
+  let x = 0, y = 0;
+  let previous = null; // last segment, for S/T reflection
+  const begin = () => {
+    current = { start: { x, y }, closed: false, segments: [] };
+    subpaths.push(current);
+  };
+  const add = segment => {
+    if (!current) begin();
+    current.segments.push(segment);
+    ({ x, y } = endOf(segment));
+    previous = segment;
+  };
+
+  let command = null;
+  for (skip(); i < d.length; skip()) {
+    if (/[a-zA-Z]/.test(d[i])) {
+      command = d[i++];
+      if (!COMMANDS.includes(command.toUpperCase())) throw new Error(`parseSVGPath: unknown command "${command}".`);
+    } else if (!command || command.toUpperCase() === 'Z') {
+      throw new Error(`parseSVGPath: expected a command at position ${i} in "${d}".`);
+    }
+    if (subpaths.length === 0 && command.toUpperCase() !== 'M') throw new Error('parseSVGPath: path data must start with M.');
+
+    const relative = command === command.toLowerCase();
+    const ox = relative ? x : 0, oy = relative ? y : 0;
+    const point = () => ({ x: ox + number(), y: oy + number() });
+    const from = { x, y };
+
+    switch (command.toUpperCase()) {
+      case 'M': {
+        const p = point();
+        x = p.x;
+        y = p.y;
+        begin();
+        previous = null;
+        command = relative ? 'l' : 'L'; // further pairs are line-tos
+        break;
+      }
+      case 'L': add({ type: 'line', p0: from, p1: point() }); break;
+      case 'H': add({ type: 'line', p0: from, p1: { x: ox + number(), y } }); break;
+      case 'V': add({ type: 'line', p0: from, p1: { x, y: oy + number() } }); break;
+      case 'C': {
+        const p1 = point(), p2 = point(), p3 = point();
+        add({ type: 'cubic', p0: from, p1, p2, p3 });
+        break;
+      }
+      case 'S': {
+        const p1 = previous?.type === 'cubic' ? reflect(previous.p2, from) : from;
+        const p2 = point(), p3 = point();
+        add({ type: 'cubic', p0: from, p1, p2, p3 });
+        break;
+      }
+      case 'Q': {
+        const p1 = point(), p2 = point();
+        add({ type: 'quadratic', p0: from, p1, p2 });
+        break;
+      }
+      case 'T': {
+        const p1 = previous?.type === 'quadratic' ? reflect(previous.p1, from) : from;
+        add({ type: 'quadratic', p0: from, p1, p2: point() });
+        break;
+      }
+      case 'A': {
+        const rx = number(), ry = number(), rotation = number();
+        const large = flag(), sweep = flag();
+        const to = point();
+        const arc = arcSegment(from, to, rx, ry, rotation, large, sweep);
+        if (arc) add(arc);
+        else previous = null;
+        break;
+      }
+      case 'Z': {
+        if (!current) break;
+        if (x !== current.start.x || y !== current.start.y) add({ type: 'line', p0: from, p1: { ...current.start } });
+        current.closed = true;
+        ({ x, y } = current.start);
+        current = null; // a drawing command without M starts a new subpath here
+        previous = null;
+        break;
+      }
+    }
+  }
+  return subpaths;
+}
+
+/**
+ * Outline of the path as a Path1D: lines and arcs stay exact, Bézier curves become parametric
+ * segments sampled by arc length. Subpaths are concatenated, jumps between them carry no length.
+ * @param {string} d
+ * @param {number} [lutResolution=200] - Arc-length table size per curved segment.
+ * @returns {Path1D}
+ */
+export function svgPathToPath1D(d, lutResolution = 200) {
+  const segments = [];
+  for (const subpath of parseSVGPath(d)) {
+    for (const seg of subpath.segments) {
+      if (seg.type === 'line') segments.push({ start: { ...seg.p0, z: 0 }, end: { ...seg.p1, z: 0 } });
+      else if (seg.type === 'arc') segments.push(pathArc(seg));
+      else segments.push(curveOf(seg));
+    }
+  }
+  return new Path1D(segments, lutResolution);
+}
+
+/**
+ * Filled area of the path. Every subpath is closed and flattened into a polygon loop.
+ * 'evenodd' keeps points inside an odd number of loops (an exact 'xor' of the loops).
+ * 'nonzero' nests the loops and fills each region whose summed winding is not zero as a
+ * Polygon2D with its directly nested loops as holes, joined in a union when there are several;
+ * this is exact as long as subpaths do not cross each other (font outlines and most editor exports).
+ *
+ * @param {string} d
+ * @param {Object} [options] - Remaining options are passed to the CompositeShape(s).
+ * @param {'nonzero'|'evenodd'} [options.fillRule='nonzero']
+ * @param {number} [options.tolerance=0.1] - Maximum distance between a curve and its flattened chords.
+ * @returns {Polygon2D|CompositeShape}
+ */
+export function svgPathToShape(d, options = {}) {
+  const { fillRule = 'nonzero', tolerance = 0.1, ...compositeOptions } = options;
+  if (!FILL_RULES.includes(fillRule)) {
+    throw new Error(`Unknown fill rule "${fillRule}". Expected ${FILL_RULES.join(', ')}.`);
+  }
+  if (!(tolerance > 0)) throw new RangeError('svgPathToShape: tolerance must be positive.');
+
+  const loops = parseSVGPath(d)
+    .map(subpath => flatten(subpath, tolerance))
+    .filter(loop => loop.length >= 3 && signedArea(loop) !== 0);
+  if (loops.length === 0) throw new Error('svgPathToShape: the path encloses no area.');
+
+  const polygons = loops.map(loop => new Polygon2D(loop));
+  if (polygons.length === 1) return polygons[0];
+  if (fillRule === 'evenodd') return new CompositeShape('xor', polygons, compositeOptions);
+
+  // Parent = smallest loop containing a vertex of this one
+  const areas = loops.map(signedArea);
+  const parents = loops.map((loop, i) => {
+    let parent = -1;
+    polygons.forEach((polygon, j) => {
+      if (j === i || Math.abs(areas[j]) <= Math.abs(areas[i]) || !polygon.contains(loop[0])) return;
+      if (parent < 0 || Math.abs(areas[j]) < Math.abs(areas[parent])) parent = j;
+    });
+    return parent;
+  });
+  const winding = [];
+  const windingOf = i => winding[i] ??= Math.sign(areas[i]) + (parents[i] < 0 ? 0 : windingOf(parents[i]));
+
+  const filled = [];
+  polygons.forEach((polygon, i) => {
+    if (windingOf(i) === 0) return;
+    const holes = loops.filter((_, j) => parents[j] === i);
+    filled.push(holes.length ? new Polygon2D(loops[i], { holes }) : polygon);
+  });
+  if (filled.length === 0) throw new Error('svgPathToShape: the path encloses no area under the nonzero rule.');
+  return filled.length === 1 ? filled[0] : new CompositeShape('union', filled, compositeOptions);
+}
+
+/**
+ * @private Native Path1D arc. Path1D arcs turn counter-clockwise in their basis, so a clockwise
+ * arc flips the basis's v axis and negates its angles.
+ */
+function pathArc(seg) {
+  const cos = Math.cos(seg.rotation), sin = Math.sin(seg.rotation);
+  const flip = seg.endAngle < seg.startAngle ? -1 : 1;
+  return {
+    center: { ...seg.center, z: 0 },
+    rx: seg.rx,
+    ry: seg.ry,
+    basis: { u: { x: cos, y: sin, z: 0 }, v: { x: -sin * flip, y: cos * flip, z: 0 } },
+    start: flip * seg.startAngle,
+    end: flip * seg.endAngle
+  };
+}
+
+/** @private Parametric function of a curved segment. */
+function curveOf(seg) {
+  if (seg.type === 'quadratic') return bezierQuadratic(seg);
+  if (seg.type === 'cubic') return bezierCubic(seg);
+  return ellipticalArc(seg);
+}
+
+/**
+ * @private Closed polygon through the subpath. A curve is cut into n equal parameter steps
+ * with n chosen from a bound M on its second derivative, since chords then deviate by at most M / (8 n²).
+ */
+function flatten(subpath, tolerance) {
+  const points = [subpath.start];
+  const steps = bound => Math.max(1, Math.ceil(Math.sqrt(bound / (8 * tolerance))));
+  for (const seg of subpath.segments) {
+    let n = 1;
+    if (seg.type === 'quadratic') {
+      n = steps(2 * Math.hypot(seg.p0.x - 2 * seg.p1.x + seg.p2.x, seg.p0.y - 2 * seg.p1.y + seg.p2.y));
+    } else if (seg.type === 'cubic') {
+      n = steps(6 * Math.max(
+        Math.hypot(seg.p0.x - 2 * seg.p1.x + seg.p2.x, seg.p0.y - 2 * seg.p1.y + seg.p2.y),
+        Math.hypot(seg.p1.x - 2 * seg.p2.x + seg.p3.x, seg.p1.y - 2 * seg.p2.y + seg.p3.y)
+      ));
+    } else if (seg.type === 'arc') {
+      n = steps(Math.max(seg.rx, seg.ry) * (seg.endAngle - seg.startAngle) ** 2);
+    }
+    if (seg.type === 'line') {
+      points.push(seg.p1);
+    } else {
+      const f = curveOf(seg);
+      for (let k = 1; k < n; k++) {
+        const p = f(k / n);
+        points.push({ x: p.x, y: p.y });
+      }
+      points.push(endOf(seg));
+    }
+  }
+
+  // Drop repeated and collinear vertices (including across the implicit closing edge)
+  const loop = [];
+  for (const p of points) {
+    const last = loop[loop.length - 1];
+    if (!last || last.x !== p.x || last.y !== p.y) loop.push({ x: p.x, y: p.y, z: 0 });
+  }
+  if (loop.length > 1 && loop[0].x === loop[loop.length - 1].x && loop[0].y === loop[loop.length - 1].y) loop.pop();
+  for (let k = 0; loop.length >= 3 && k < loop.length;) {
+    const a = loop[(k + loop.length - 1) % loop.length], b = loop[k], c = loop[(k + 1) % loop.length];
+    if ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x) === 0) loop.splice(k, 1);
+    else k++;
+  }
+  return loop;
+}
+
+/**
+ * @private Endpoint to center parameterization (SVG 1.1, appendix F.6.5), scaling radii that
+ * are too small to reach the endpoint (F.6.6).
+ */
+function arcSegment(p0, p1, rx, ry, degrees, large, sweep) {
+  if (p0.x === p1.x && p0.y === p1.y) return null;
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return { type: 'line', p0, p1 };
+
+  const rotation = degrees * Math.PI / 180;
+  const cos = Math.cos(rotation), sin = Math.sin(rotation);
+  const hx = (p0.x - p1.x) / 2, hy = (p0.y - p1.y) / 2;
+  const x1 = cos * hx + sin * hy, y1 = -sin * hx + cos * hy;
+
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const coef = (large !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+  const cx1 = coef * rx * y1 / ry, cy1 = -coef * ry * x1 / rx;
+
+  const startAngle = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+  let delta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - startAngle;
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  return {
+    type: 'arc', p0, p1,
+    center: { x: cos * cx1 - sin * cy1 + (p0.x + p1.x) / 2, y: sin * cx1 + cos * cy1 + (p0.y + p1.y) / 2 },
+    rx, ry, rotation, startAngle, endAngle: startAngle + delta
+  };
+}
+
+/** @private */
+function endOf(seg) {
+  return seg.type === 'cubic' ? seg.p3 : seg.type === 'quadratic' ? seg.p2 : seg.p1;
+}
+
+/** @private */
+function reflect(control, about) {
+  return { x: 2 * about.x - control.x, y: 2 * about.y - control.y };
+}
+
+/** @private */
+function signedArea(loop) {
+  let area = 0;
+  for (let i = 0; i < loop.length; i++) {
+    const a = loop[i], b = loop[(i + 1) % loop.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
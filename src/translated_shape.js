@@ -1,12 +1,15 @@
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { applyAffine, boundsOf } from './bounds.js';
+
 export class TranslatedShape {
   constructor(baseShape, dx = 0, dy = 0, dz = 0) {
     this.base = baseShape;
+    this.dimension = baseShape.dimension;
+    this.convex = baseShape.convex ?? false;
 
     this.offset = { x: dx, y: dy, z: dz };
 
-    this.volume = baseShape.volume;
-    this.area = baseShape.area;
-
     this.center = baseShape.center
       ? {
           x: baseShape.center.x + dx,
@@ -27,13 +30,44 @@ export class TranslatedShape {
     }
   }
 
-  sample() {
-    const p = this.base.sample();
-    return {
-      x: p.x + this.offset.x,
-      y: p.y + this.offset.y,
-      z: (p.z ?? 0) + this.offset.z
-    };
+  get volume() {
+    return this.base.volume;
+  }
+
+  get area() {
+    return this.base.area;
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this._toWorld(this.base.sample(rng, out), out);
+  }
+
+  fromUnit(u, v, w, out = {}) {
+    return this._toWorld(this.base.fromUnit(u, v, w, out), out);
+  }
+
+  sampleSurface(rng = Math.random) {
+    const s = this.base.sampleSurface(rng);
+    const p = this._toWorld(s, {});
+    p.normal = { ...s.normal };
+    return p;
+  }
+
+  sampleBoundary(rng = Math.random) {
+    const s = this.base.sampleBoundary(rng);
+    const p = this._toWorld(s, {});
+    p.tangent = { ...s.tangent };
+    p.normal = { ...s.normal };
+    return p;
+  }
+
+  /** @private */
+  _toWorld(p, out) {
+    if (p === null) return null;
+    out.x = p.x + this.offset.x;
+    out.y = p.y + this.offset.y;
+    out.z = (p.z ?? 0) + this.offset.z;
+    return out;
   }
 
   contains(p, epsilon = 1e-9) {
@@ -47,4 +81,16 @@ export class TranslatedShape {
 
     return this.base.contains(localP, epsilon);
   }
+
+  /** World bounding box under a further map p -> M p + t (see bounds.js). */
+  transformedBBox(m, t) {
+    return boundsOf(this.base, m, applyAffine(m, t, this.offset));
+  }
+
+  sdf(p) {
+    return this.base.sdf({ x: p.x - this.offset.x, y: p.y - this.offset.y, z: (p.z ?? 0) - this.offset.z });
+  }
 }
+
+withSampleQMC(TranslatedShape);
+withSampleInto(TranslatedShape);
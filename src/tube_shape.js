@@ -0,0 +1,166 @@
+/**
+ * tube_shape.js
+ * Solid or hollow tubes swept by a disk along a Path1D.
+ */
+import { withSampleQMC } from './sequences.js';
+import { withSampleInto } from './buffers.js';
+import { IDENTITY, ballPad, pointsBBox } from './bounds.js';
+import { tubeAngle } from './warps.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+export class TubeShape {
+  /**
+   * Volume swept by a disk of radius `radius(u)` centered on the path and perpendicular to it,
+   * with u the arc-length fraction. The disk is carried by the path's rotation-minimizing frame,
+   * and the ends are flat caps (closed paths have none).
+   *
+   * Sampling is exact in volume: the position along the path follows the cross-section area,
+   * the radius is square-root warped, and the angle around the path solves Kepler's equation,
+   * because a bent tube holds more volume on the outside of the bend (1 - ρκ cos φ).
+   * The tube must not overlap itself: radius times curvature below 1, and distant parts of the
+   * path more than two radii apart.
+   *
+   * @param {import('./curves1d.js').Path1D} path
+   * @param {number|((u: number) => number)} [radius=1]
+   * @param {Object} [options]
+   * @param {number|((u: number) => number)} [options.innerRadius=0] - Hollow core, for shells.
+   * @param {number} [options.steps=1024] - Stations for the cross-section table and bounds.
+   */
+  constructor(path, radius = 1, options = {}) {
+    this.path = path;
+    this.radius = typeof radius === 'function' ? radius : () => radius;
+    const inner = options.innerRadius ?? 0;
+    this.innerRadius = typeof inner === 'function' ? inner : () => inner;
+    this.steps = options.steps ?? 1024;
+    this.dimension = 3;
+    this.convex = false;
+
+    const start = path.at(0), end = path.at(1);
+    this.closed = path.totalLength > 0 && Math.hypot(start.x - end.x, start.y - end.y, start.z - end.z) < 1e-9 * path.totalLength;
+
+    // Cross-section areas at evenly spaced stations, integrated by the trapezoid rule
+    const ds = path.totalLength / this.steps;
+    this._stations = [];
+    this._cumulative = new Float64Array(this.steps + 1);
+    this.maxRadius = 0;
+    let previous = 0;
+    for (let i = 0; i <= this.steps; i++) {
+      const u = i / this.steps;
+      const r = this.radius(u), ri = this.innerRadius(u);
+      if (!(r >= 0) || !(ri >= 0) || ri > r) {
+        throw new RangeError(`TubeShape: need 0 <= innerRadius <= radius, got ${ri} and ${r} at u = ${u}.`);
+      }
+      const area = Math.PI * (r * r - ri * ri);
+      if (i > 0) this._cumulative[i] = this._cumulative[i - 1] + (previous + area) / 2 * ds;
+      previous = area;
+      this.maxRadius = Math.max(this.maxRadius, r);
+      this._stations.push(path.at(u));
+    }
+    this.volume = this._cumulative[this.steps];
+    if (!(this.volume > 0)) throw new Error('TubeShape: the tube has no volume (zero length or radius).');
+
+    // A path point lies within ds / 2 of the nearest station
+    this._pad = this.maxRadius + ds / 2;
+    this.bbox = this.transformedBBox(IDENTITY, ORIGIN);
+    this.center = {
+      x: (this.bbox.minX + this.bbox.maxX) / 2,
+      y: (this.bbox.minY + this.bbox.maxY) / 2,
+      z: (this.bbox.minZ + this.bbox.maxZ) / 2
+    };
+  }
+
+  sample(rng = Math.random, out = {}) {
+    return this.fromUnit(rng(), rng(), rng(), out);
+  }
+
+  /**
+   * Deterministic warp from the unit cube: u picks the position along the path by volume,
+   * v the distance from it and w the angle around it.
+   * @param {number} u
+   * @param {number} v
+   * @param {number} w
+   * @param {{x: number, y: number, z: number}} [out]
+   */
+  fromUnit(u, v, w, out = {}) {
+    const s = this._alongPath(u);
+    const r = this.radius(s), ri = this.innerRadius(s);
+    const rho = Math.sqrt(ri * ri + v * (r * r - ri * ri));
+
+    const { point, normal, binormal } = this.path.frameAt(s);
+    const k = this._curvature(s);
+    const k1 = k.x * normal.x + k.y * normal.y + k.z * normal.z;
+    const k2 = k.x * binormal.x + k.y * binormal.y + k.z * binormal.z;
+    // Density 1 - ρκ cos(φ - φκ) is 1 + e cos(a) with a = φ - φκ - π
+    const e = Math.min(1, rho * Math.hypot(k1, k2));
+    const phi = Math.atan2(k2, k1) + Math.PI + tubeAngle(w, e);
+
+    const c = rho * Math.cos(phi), d = rho * Math.sin(phi);
+    out.x = point.x + c * normal.x + d * binormal.x;
+    out.y = point.y + c * normal.y + d * binormal.y;
+    out.z = point.z + c * normal.z + d * binormal.z;
+    return out;
+  }
+
+  /**
+   * Distance to the path against the radius at the nearest path point (exact for a constant
+   * radius); points past an open end's cap plane are outside.
+   */
+  contains(p, epsilon = 1e-9) {
+    const b = this.bbox;
+    if (p.x < b.minX - epsilon || p.x > b.maxX + epsilon || p.y < b.minY - epsilon || p.y > b.maxY + epsilon ||
+        p.z < b.minZ - epsilon || p.z > b.maxZ + epsilon) return false;
+    return this.sdf(p) <= epsilon;
+  }
+
+  /**
+   * Signed distance estimate: distance to the path minus the local radius (inner wall and end
+   * caps included). Exact for a constant radius away from the caps' rims.
+   */
+  sdf(p) {
+    const { u, point, distance } = this.path.project(p);
+    let d = Math.max(distance - this.radius(u), this.innerRadius(u) - distance);
+    if (!this.closed && (u === 0 || u === 1)) {
+      const t = this.path.tangentAt(u), sign = u === 0 ? -1 : 1;
+      d = Math.max(d, sign * ((p.x - point.x) * t.x + (p.y - point.y) * t.y + ((p.z ?? 0) - point.z) * t.z));
+    }
+    return d;
+  }
+
+  /** World bounding box under p -> M p + t: the mapped stations padded by the mapped radius. */
+  transformedBBox(m, t) {
+    const box = pointsBBox(this._stations, m, t);
+    const pad = ballPad(m, this._pad);
+    return {
+      minX: box.minX - pad.x, maxX: box.maxX + pad.x,
+      minY: box.minY - pad.y, maxY: box.maxY + pad.y,
+      minZ: box.minZ - pad.z, maxZ: box.maxZ + pad.z
+    };
+  }
+
+  /** @private Arc-length fraction holding fraction u of the volume (linear within stations). */
+  _alongPath(u) {
+    const target = u * this.volume, table = this._cumulative;
+    let low = 1, high = this.steps;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (table[mid] < target) low = mid + 1;
+      else high = mid;
+    }
+    const span = table[low] - table[low - 1];
+    const f = span > 0 ? Math.min(1, Math.max(0, (target - table[low - 1]) / span)) : 0;
+    return (low - 1 + f) / this.steps;
+  }
+
+  /** @private Curvature vector dT/ds by central differences of the tangent. */
+  _curvature(s) {
+    const h = 1e-4;
+    const s0 = Math.max(0, s - h), s1 = Math.min(1, s + h);
+    const a = this.path.tangentAt(s0), b = this.path.tangentAt(s1);
+    const ds = (s1 - s0) * this.path.totalLength;
+    return { x: (b.x - a.x) / ds, y: (b.y - a.y) / ds, z: (b.z - a.z) / ds };
+  }
+}
+
+withSampleQMC(TubeShape);
+withSampleInto(TubeShape);
@@ -0,0 +1,29 @@
+/**
+ * vector3.js
+ * Small vector helpers shared by the shape modules. Internal: not re-exported by index.js.
+ *
+ * Vectors are plain {x, y, z} objects; a missing z reads as 0 so 2D points mix in freely.
+ */
+
+export function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) };
+}
+
+export function dot(a, b) {
+  return a.x * b.x + a.y * b.y + (a.z ?? 0) * (b.z ?? 0);
+}
+
+export function cross(a, b) {
+  const az = a.z ?? 0, bz = b.z ?? 0;
+  return { x: a.y * bz - az * b.y, y: az * b.x - a.x * bz, z: a.x * b.y - a.y * b.x };
+}
+
+export function length(v) {
+  return Math.hypot(v.x, v.y, v.z ?? 0);
+}
+
+/** Unit vector along v; the zero vector comes back unchanged. */
+export function normalize(v) {
+  const l = length(v) || 1;
+  return { x: v.x / l, y: v.y / l, z: (v.z ?? 0) / l };
+}
@@ -0,0 +1,27 @@
+/**
+ * warps.js
+ * Inverse-CDF warps shared by the shape modules. Internal: not re-exported by index.js.
+ */
+
+/**
+ * Angle a in [0, 2 pi) with a + e sin(a) = 2 pi v: the inverse CDF of the density
+ * proportional to 1 + e cos(a), e in [0, 1] (Kepler's equation, by safeguarded Newton).
+ * This is how the angle around a bent tube is distributed, where the outer side holds more volume.
+ * @param {number} v - Uniform coordinate in [0, 1].
+ * @param {number} e - Bend strength in [0, 1].
+ * @returns {number}
+ */
+export function tubeAngle(v, e) {
+  const target = 2 * Math.PI * v;
+  let lo = 0, hi = 2 * Math.PI, a = target;
+  for (let i = 0; i < 40; i++) {
+    const f = a + e * Math.sin(a) - target;
+    if (Math.abs(f) < 1e-12) break;
+    if (f > 0) hi = a; else lo = a;
+    const slope = 1 + e * Math.cos(a);
+    let next = slope > 0 ? a - f / slope : (lo + hi) / 2;
+    if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+    a = next;
+  }
+  return a;
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { AffineShape, scaleShape, mirrorShape, shearShape, rotateShape } from '../../src/affine_shape.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { Sphere3D, Box3D } from '../../src/shapes3d.js';
+import { Circle2D, Rectangle2D, Triangle2D } from '../../src/shapes2d.js';
+import { Path1D } from '../../src/curves1d.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+import { createRng } from '../../src/random.js';
+import * as deepfield from '../../src/index.js';
+
+const origin = { x: 0, y: 0, z: 0 };
+
+describe('AffineShape', () => {
+  it('should read column-major flat matrices and row arrays alike', () => {
+    const box = new Box3D(origin, 2, 2, 2);
+    const flat = new AffineShape(box, [2, 0, 0, 0, 0, 3, 0, 0, 0, 0, 1, 0, 5, 0, 0, 1]);
+    const rows = new AffineShape(box, [[2, 0, 0, 5], [0, 3, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]]);
+    expect(flat.bbox).toEqual({ minX: 3, maxX: 7, minY: -3, maxY: 3, minZ: -1, maxZ: 1 });
+    expect(rows.bbox).toEqual(flat.bbox);
+    expect(flat.volume).toBeCloseTo(48, 9);
+    expect(new AffineShape(box, [1, 0, 0, 0, 1, 0, 0, 0, 2]).volume).toBeCloseTo(16, 9);
+    expect(() => new AffineShape(box, [1, 0, 0, 0, 1, 0, 0, 0, 0])).toThrow(/singular/);
+    expect(() => new AffineShape(box, [1, 0, 0, 1, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1])).toThrow(/projective/);
+  });
+
+  it('should scale and shear volumes with uniform samples inside', () => {
+    const ellipsoid = scaleShape(new Sphere3D(origin, 1), { x: 2, z: 0.5 });
+    expect(ellipsoid.volume).toBeCloseTo(4 / 3 * Math.PI, 9);
+    expect(ellipsoid.bbox).toEqual({ minX: -2, maxX: 2, minY: -1, maxY: 1, minZ: -0.5, maxZ: 0.5 });
+    expect(ellipsoid.contains({ x: 1.9, y: 0, z: 0 })).toBe(true);
+    expect(ellipsoid.contains({ x: 0, y: 0, z: 0.6 })).toBe(false);
+    // The smallest stretch keeps the distance a lower bound
+    expect(ellipsoid.sdf({ x: 3, y: 0, z: 0 })).toBeLessThanOrEqual(1);
+    expect(ellipsoid.sdf({ x: 3, y: 0, z: 0 })).toBeGreaterThan(0);
+
+    const sheared = shearShape(new Box3D(origin, 2, 2, 2), { xy: 1 });
+    expect(sheared.volume).toBeCloseTo(8, 9);
+    expect(sheared.bbox.maxX).toBeCloseTo(2, 9);
+    const rng = createRng('shear');
+    let right = 0;
+    for (let i = 0; i < 4000; i++) {
+      const p = sheared.sample(rng);
+      expect(sheared.contains(p)).toBe(true);
+      if (p.x > 1) right++;
+    }
+    // The corner triangle x > 1 of the sheared square holds 1/8 of it
+    expect(right / 4000).toBeCloseTo(1 / 8, 1);
+
+    const surface = ellipsoid.sampleSurface(rng);
+    const gradient = { x: surface.x / 4, y: surface.y, z: surface.z / 0.25 };
+    const g = Math.hypot(gradient.x, gradient.y, gradient.z);
+    expect(surface.normal.x).toBeCloseTo(gradient.x / g, 9);
+    expect(surface.normal.z).toBeCloseTo(gradient.z / g, 9);
+  });
+
+  it('should map flat shapes by the area factor of their plane', () => {
+    const disk = rotateShape(new Circle2D({ x: 1, y: 0 }, 1), { x: 1, y: 0, z: 0 }, Math.PI / 2, origin);
+    expect(disk.area).toBeCloseTo(Math.PI, 9);
+    expect(disk.bbox.minZ).toBeCloseTo(-1, 9);
+    expect(disk.bbox.maxY).toBeCloseTo(0, 9);
+    const edge = disk.sampleBoundary(createRng(3));
+    expect(edge.normal.x).toBeCloseTo(edge.x - 1, 9);
+    expect(edge.normal.z).toBeCloseTo(edge.z, 9);
+
+    const mirrored = mirrorShape(new Triangle2D({ x: 1, y: 0 }, { x: 3, y: 0 }, { x: 1, y: 2 }), { x: 1, y: 0 }, origin);
+    expect(mirrored.determinant).toBeCloseTo(-1, 9);
+    expect(mirrored.area).toBeCloseTo(2, 9);
+    expect(mirrored.contains({ x: -1.5, y: 0.5 })).toBe(true);
+    expect(mirrored.contains({ x: 1.5, y: 0.5 })).toBe(false);
+    expect(scaleShape(new Rectangle2D(origin, 1, 1), { x: 3, y: 2, z: 7 }).area).toBeCloseTo(6, 9);
+  });
+
+  it('should collapse nested transforms into one matrix', () => {
+    const sphere = new Sphere3D(origin, 1);
+    const inner = new deepfield.TranslatedShape(new RotatedShape(sphere, 0.3, 0.2, 0.1), 1, 2, 3);
+    const outer = new AffineShape(scaleShape(inner, 2, origin), [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 5, 0, 0, 1]);
+    expect(outer.base).toBe(sphere);
+    expect(outer.center.x).toBeCloseTo(7, 9);
+    expect(outer.center.y).toBeCloseTo(4, 9);
+    expect(outer.center.z).toBeCloseTo(6, 9);
+    expect(outer.volume).toBeCloseTo(8 * sphere.volume, 9);
+    expect(outer.contains({ x: 7, y: 4, z: 7.9 })).toBe(true);
+  });
+
+  it('should only move paths by similarity maps', () => {
+    const path = new Path1D([{ start: { x: 0, y: 0 }, end: { x: 1, y: 0 } }]);
+    expect(scaleShape(path, 3, origin).totalLength).toBeCloseTo(3, 9);
+    expect(() => scaleShape(path, { x: 2 })).toThrow(/arc length/);
+  });
+
+  it('should weigh mapped paths by their scaled length inside composites', () => {
+    const path = new Path1D([{ start: { x: 0, y: 0 }, end: { x: 1, y: 0 } }]);
+    const long = scaleShape(path, 2, origin);
+    expect(long.volume).toBeCloseTo(2, 12);
+    expect(long.area).toBeCloseTo(2, 12);
+
+    // A mapped path of length 2 next to a plain one of length 2: half the samples each.
+    // Paths have no interior to test, so they combine without overlap rejection
+    const other = new Path1D([{ start: { x: 0, y: 5 }, end: { x: 2, y: 5 } }]);
+    const both = new CompositeShape('faulty_union', [long, other]);
+    const rng = createRng('paths');
+    let onLong = 0;
+    for (let i = 0; i < 4000; i++) if (both.sample(rng).y < 2.5) onLong++;
+    expect(onLong / 4000).toBeCloseTo(0.5, 1);
+  });
+
+  it('should keep the area of rotated flat shapes and export every transform', () => {
+    expect(new RotatedShape(new Rectangle2D(origin, 2, 3), 0.4).area).toBe(6);
+    expect(deepfield.TranslatedShape).toBeTypeOf('function');
+    expect(deepfield.AffineShape).toBe(AffineShape);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ExponentialDisk, SpiralArms, PlummerSphere, KingSphere, EllipticalGalaxy, DeVaucouleursBulge
+} from '../../src/astro.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { createRng } from '../../src/random.js';
+
+const origin = { x: 0, y: 0, z: 0 };
+const draw = (shape, n, rng) => Array.from({ length: n }, () => shape.sample(rng));
+const median = values => values.sort((a, b) => a - b)[values.length >> 1];
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+describe('Astrophysical distributions', () => {
+  it('should follow the exponential disk and sech² profiles', () => {
+    const rng = createRng('disk');
+    const disk = new ExponentialDisk(origin, { scaleLength: 2, scaleHeight: 0.2, maxRadius: 40, maxHeight: 10 });
+    const points = draw(disk, 40000, rng);
+    // Untruncated moments: E[R] = 2h, E[|z|] = z0 ln 2
+    expect(mean(points.map(p => Math.hypot(p.x, p.y)))).toBeCloseTo(4, 1);
+    expect(mean(points.map(p => Math.abs(p.z)))).toBeCloseTo(0.2 * Math.LN2, 2);
+  });
+
+  it('should match the Plummer half-mass radius', () => {
+    const rng = createRng('plummer');
+    const cluster = new PlummerSphere(origin, { scaleRadius: 2, maxRadius: 1e6 });
+    const r = draw(cluster, 40000, rng).map(p => Math.hypot(p.x, p.y, p.z));
+    expect(median(r)).toBeCloseTo(2 / Math.sqrt(2 ** (2 / 3) - 1), 1);
+  });
+
+  it('should put half of the projected light inside the effective radius', () => {
+    const rng = createRng('sersic');
+    for (const shape of [
+      new DeVaucouleursBulge(origin, { effectiveRadius: 3, maxRadius: 300 }),
+      new EllipticalGalaxy(origin, { effectiveRadius: 3, sersicIndex: 2 })
+    ]) {
+      const projected = draw(shape, 40000, rng).map(p => Math.hypot(p.x, p.y));
+      expect(median(projected) / 3).toBeCloseTo(1, 1);
+    }
+  });
+
+  it('should normalize every density over its support', () => {
+    // E[1 / density] over the samples is the volume where the density is positive
+    const rng = createRng('normalization');
+    const cases = [
+      [new ExponentialDisk(origin, { maxRadius: 2, maxHeight: 0.3 }), Math.PI * 4 * 0.6],
+      [new PlummerSphere(origin, { maxRadius: 3 }), 4 / 3 * Math.PI * 27],
+      [new EllipticalGalaxy(origin, { maxRadius: 3, axisRatios: { y: 0.8, z: 0.5 } }), 4 / 3 * Math.PI * 27 * 0.4]
+    ];
+    for (const [shape, volume] of cases) {
+      const points = draw(shape, 50000, rng);
+      for (const p of points.slice(0, 500)) expect(shape.contains(p)).toBe(true);
+      expect(mean(points.map(p => 1 / shape.density(p))) / volume).toBeCloseTo(1, 1);
+    }
+
+    // The King density vanishes at the tidal radius, so integrate it over its box instead
+    const king = new KingSphere(origin, { coreRadius: 1, tidalRadius: 3 });
+    const b = king.bbox;
+    let integral = 0;
+    const n = 200000;
+    for (let i = 0; i < n; i++) {
+      integral += king.density({
+        x: b.minX + rng() * (b.maxX - b.minX), y: b.minY + rng() * (b.maxY - b.minY), z: b.minZ + rng() * (b.maxZ - b.minZ)
+      });
+    }
+    expect(integral / n * 216).toBeCloseTo(1, 1);
+  });
+
+  it('should wind spiral arms at the pitch angle', () => {
+    const rng = createRng('spiral');
+    const arms = new SpiralArms(origin, { arms: 2, pitch: Math.PI / 8, scatter: 0.05, innerRadius: 1, outerRadius: 6 });
+    for (const p of draw(arms, 2000, rng)) {
+      const r = Math.hypot(p.x, p.y);
+      expect(arms.contains(p)).toBe(true);
+      // Angle relative to the arm through (1, 0), modulo the arm spacing
+      const expected = Math.log(r) / Math.tan(Math.PI / 8);
+      let offset = (Math.atan2(p.y, p.x) - expected) % Math.PI;
+      if (offset > Math.PI / 2) offset -= Math.PI;
+      if (offset < -Math.PI / 2) offset += Math.PI;
+      expect(Math.abs(offset)).toBeLessThan(6 * 0.05);
+    }
+    expect(arms.density({ x: 1, y: 0, z: 0 })).toBeGreaterThan(10 * arms.density({ x: 0, y: 1, z: 0 }));
+    expect(() => new SpiralArms(origin, { pitch: 0 })).toThrow(RangeError);
+  });
+
+  it('should plug into the shared sampling interface', () => {
+    const bulge = new DeVaucouleursBulge({ x: 5, y: 0, z: 0 }, { flattening: 0.5, maxRadius: 4 });
+    const tilted = new RotatedShape(bulge, Math.PI / 3, 0, 0);
+    const rng = createRng('interface');
+    for (let i = 0; i < 200; i++) {
+      const p = tilted.sample(rng);
+      expect(p.x).toBeGreaterThanOrEqual(tilted.bbox.minX - 1e-9);
+      expect(p.x).toBeLessThanOrEqual(tilted.bbox.maxX + 1e-9);
+    }
+    const buffer = new Float32Array(300);
+    new SpiralArms(origin).sampleInto(buffer, 100, { rng });
+    expect(buffer.every(Number.isFinite)).toBe(true);
+    expect(new PlummerSphere(origin).sampleQMC(64, { rng })).toHaveLength(64);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { samplePoissonDisk } from '../../src/blue_noise.js';
+import { createRng } from '../../src/random.js';
+import { Sphere3D, Box3D } from '../../src/shapes3d.js';
+import { Circle2D, Polygon2D } from '../../src/shapes2d.js';
+import { Path1D } from '../../src/curves1d.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+
+function minDistance(points) {
+  let best = Infinity;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const a = points[i], b = points[j];
+      best = Math.min(best, Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z));
+    }
+  }
+  return best;
+}
+
+describe('Blue Noise - Poisson-Disk Sampling', () => {
+
+  it('should respect the minimum distance in a volume (Bridson)', () => {
+    const sphere = new Sphere3D({ x: 0, y: 0, z: 0 }, 2);
+    const pts = samplePoissonDisk(sphere, { radius: 0.4, rng: createRng(1) });
+    expect(pts.length).toBeGreaterThan(100);
+    expect(minDistance(pts)).toBeGreaterThanOrEqual(0.4);
+    expect(pts.every(p => sphere.contains(p))).toBe(true);
+  });
+
+  it('should reach a target count on flat 2D shapes', () => {
+    const poly = new Polygon2D([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 2, y: 1 }, { x: 0, y: 4 }]);
+    const pts = samplePoissonDisk(poly, { count: 200, rng: createRng(2) });
+    expect(pts).toHaveLength(200);
+    expect(pts.every(p => poly.contains(p) && p.z === 0)).toBe(true);
+  });
+
+  it('should fall back to dart throwing for paths and tilted shapes', () => {
+    const path = new Path1D([{ start: { x: 0, y: 0, z: 0 }, end: { x: 10, y: 0, z: 0 } }]);
+    const onPath = samplePoissonDisk(path, { radius: 0.5, rng: createRng(3) });
+    expect(minDistance(onPath)).toBeGreaterThanOrEqual(0.5);
+    expect(onPath.length).toBeGreaterThanOrEqual(10);
+
+    const tilted = new RotatedShape(new Circle2D({ x: 0, y: 0, z: 0 }, 3), Math.PI / 3, 0, 0);
+    expect(() => samplePoissonDisk(tilted, { radius: 0.3, method: 'bridson' })).toThrow(/dart/);
+    const onDisk = samplePoissonDisk(tilted, { radius: 0.3, rng: createRng(4) });
+    expect(minDistance(onDisk)).toBeGreaterThanOrEqual(0.3);
+    expect(onDisk.every(p => tilted.contains(p, 1e-6))).toBe(true);
+  });
+
+  it('should cover every component of a disconnected composite', () => {
+    const twoBoxes = new CompositeShape('union', [
+      new Box3D({ x: -5, y: 0, z: 0 }, 1, 1, 1),
+      new Box3D({ x: 5, y: 0, z: 0 }, 1, 1, 1)
+    ]);
+    const pts = samplePoissonDisk(twoBoxes, { radius: 0.25, rng: createRng(5) });
+    expect(pts.some(p => p.x < 0)).toBe(true);
+    expect(pts.some(p => p.x > 0)).toBe(true);
+    expect(minDistance(pts)).toBeGreaterThanOrEqual(0.25);
+  });
+
+  it('should skip samples a return-null composite gives up on', () => {
+    const shell = new CompositeShape('difference', [
+      new Sphere3D({ x: 0, y: 0, z: 0 }, 1),
+      new Sphere3D({ x: 0, y: 0, z: 0 }, 0.9)
+    ], { failurePolicy: 'return-null', maxAttempts: 1 });
+    for (const method of ['dart', 'bridson']) {
+      const pts = samplePoissonDisk(shell, { radius: 0.2, method, rng: createRng(method) });
+      expect(pts.length).toBeGreaterThan(50);
+      expect(minDistance(pts)).toBeGreaterThanOrEqual(0.2);
+      expect(pts.every(p => shell.contains(p))).toBe(true);
+    }
+
+    const cover = new Sphere3D({ x: 0, y: 0, z: 0 }, 2);
+    const hopeless = new CompositeShape('difference', [cover, cover], { failurePolicy: 'return-null', maxAttempts: 1 });
+    expect(samplePoissonDisk(hopeless, { radius: 0.2, method: 'dart', maxFailures: 50 })).toEqual([]);
+    expect(samplePoissonDisk(hopeless, { radius: 0.2, method: 'bridson', maxFailures: 50 })).toEqual([]);
+  });
+
+  it('should require a radius or a count', () => {
+    expect(() => samplePoissonDisk(new Box3D({ x: 0, y: 0, z: 0 }))).toThrow(/radius/);
+  });
+});
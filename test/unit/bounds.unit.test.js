@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { createRng } from '../../src/random.js';
+import {
+  Sphere3D, Ellipsoid3D, Box3D, Cylinder3D, Cone3D, Torus3D, Capsule3D, Frustum3D, Tetrahedron3D
+} from '../../src/shapes3d.js';
+import { Circle2D, Polygon2D } from '../../src/shapes2d.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { TranslatedShape } from '../../src/translated_shape.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+
+const rng = createRng('bounds');
+
+/** Box around many samples: an inner bound on the true bounding box. */
+const sampledBBox = (shape, n = 20000) => {
+  const b = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  for (let i = 0; i < n; i++) {
+    const p = shape.sample(rng);
+    b.minX = Math.min(b.minX, p.x); b.maxX = Math.max(b.maxX, p.x);
+    b.minY = Math.min(b.minY, p.y); b.maxY = Math.max(b.maxY, p.y);
+    b.minZ = Math.min(b.minZ, p.z); b.maxZ = Math.max(b.maxZ, p.z);
+  }
+  return b;
+};
+
+describe('Bounds - Tight Boxes Under Rotation', () => {
+  it('should give exact boxes for rotated round shapes', () => {
+    const rod = new RotatedShape(new Cylinder3D({ x: 0, y: 0, z: 0 }, 0.1, 10), Math.PI / 2, 0, 0);
+    expect(rod.bbox.minX).toBeCloseTo(-0.1, 9);
+    expect(rod.bbox.maxY).toBeCloseTo(5, 9);
+    expect(rod.bbox.maxZ).toBeCloseTo(0.1, 9);
+
+    const ball = new RotatedShape(new Sphere3D({ x: 1, y: 2, z: 3 }, 2), 0.3, 0.7, 1.1);
+    expect(ball.bbox.minX).toBeCloseTo(-1, 9);
+    expect(ball.bbox.maxZ).toBeCloseTo(5, 9);
+  });
+
+  it('should contain every sample and stay close to the samples', () => {
+    const shapes = [
+      new Ellipsoid3D({ x: 0, y: 0, z: 0 }, 3, 1, 0.5),
+      new Cylinder3D({ x: 1, y: 0, z: 0 }, 0.5, 4, 0.2),
+      new Cone3D({ x: 0, y: 0, z: 1 }, 1, 3),
+      new Box3D({ x: 0, y: 0, z: 0 }, 3, 1, 0.2),
+      new Torus3D({ x: 0, y: 0, z: 0 }, 1, 0.3),
+      new Capsule3D({ x: 0, y: 1, z: 0 }, 0.3, 2),
+      new Frustum3D({ x: 0, y: 0, z: 0 }, 1, 0.5, 2),
+      new Tetrahedron3D({ x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }),
+      new Circle2D({ x: 0, y: 0, z: 1 }, 2),
+      new Polygon2D([{ x: 0, y: 0, z: 0 }, { x: 3, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }])
+    ];
+    for (const base of shapes) {
+      const nested = new TranslatedShape(new RotatedShape(new RotatedShape(base, 0.4, -0.9, 0.2), 1.3, 0.1, -0.6), 1, 2, 3);
+      const tight = nested.bbox;
+      const seen = sampledBBox(nested);
+      for (const [lo, hi] of [['minX', 'maxX'], ['minY', 'maxY'], ['minZ', 'maxZ']]) {
+        expect(seen[lo]).toBeGreaterThanOrEqual(tight[lo] - 1e-9);
+        expect(seen[hi]).toBeLessThanOrEqual(tight[hi] + 1e-9);
+        expect(seen[lo] - tight[lo]).toBeLessThan(0.1);
+        expect(tight[hi] - seen[hi]).toBeLessThan(0.1);
+      }
+    }
+  });
+
+  it('should pass tight child boxes through composites', () => {
+    const rod = new Cylinder3D({ x: 0, y: 0, z: 0 }, 0.1, 10);
+    const cross = new CompositeShape('union', [rod, new RotatedShape(rod, Math.PI / 2, 0, 0)]);
+    const turned = new RotatedShape(cross, 0, 0, Math.PI / 4);
+    expect(turned.bbox.maxZ).toBeCloseTo(5, 9);
+    expect(turned.bbox.maxX).toBeCloseTo(5 * Math.SQRT1_2 + 0.1 * Math.SQRT1_2, 9);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { sampleInto } from '../../src/buffers.js';
+import { createRng } from '../../src/random.js';
+import { Sphere3D, Box3D } from '../../src/shapes3d.js';
+import { Circle2D } from '../../src/shapes2d.js';
+import { Path1D } from '../../src/curves1d.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+
+describe('Buffers - Bulk Sampling', () => {
+
+  it('should fill a packed Float32Array with contained points', () => {
+    const sphere = new Sphere3D({ x: 1, y: 2, z: 3 }, 2);
+    const buffer = sphere.sampleInto(new Float32Array(300), 100);
+    for (let i = 0; i < 100; i++) {
+      const p = { x: buffer[i * 3], y: buffer[i * 3 + 1], z: buffer[i * 3 + 2] };
+      expect(sphere.contains(p, 1e-5)).toBe(true);
+    }
+  });
+
+  it('should respect offset and stride for interleaved layouts', () => {
+    const circle = new Circle2D({ x: 0, y: 0, z: 7 }, 1);
+    const buffer = new Float32Array(2 + 10 * 6).fill(-1);
+    circle.sampleInto(buffer, 10, { offset: 2, stride: 6 });
+
+    expect(buffer[0]).toBe(-1);
+    expect(buffer[1]).toBe(-1);
+    for (let i = 0; i < 10; i++) {
+      const idx = 2 + i * 6;
+      expect(buffer[idx + 2]).toBe(7);
+      expect(buffer[idx + 3]).toBe(-1); // colour slots untouched
+      expect(buffer[idx + 5]).toBe(-1);
+    }
+  });
+
+  it('should match the object-per-sample path for the same seed', () => {
+    const shape = new CompositeShape('difference', [
+      new RotatedShape(new Box3D({ x: 0, y: 0, z: 0 }, 2, 2, 2), 0.4, 0.1, 0),
+      new Sphere3D({ x: 0, y: 0, z: 0 }, 0.8)
+    ]);
+    const bulk = shape.sampleInto(new Float64Array(30), 10, { rng: createRng(11) });
+    const rng = createRng(11);
+    for (let i = 0; i < 10; i++) {
+      const p = shape.sample(rng);
+      expect([bulk[i * 3], bulk[i * 3 + 1], bulk[i * 3 + 2]]).toEqual([p.x, p.y, p.z]);
+    }
+  });
+
+  it('should work for paths and throw on overflow', () => {
+    const path = new Path1D([{ start: { x: 0, y: 0 }, end: { x: 1, y: 0 } }]);
+    const buffer = sampleInto(path, new Float32Array(9), 3);
+    expect(buffer[2]).toBe(0);
+    expect(() => path.sampleInto(new Float32Array(8), 3)).toThrow(RangeError);
+  });
+});
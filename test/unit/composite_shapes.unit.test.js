@@ -1,6 +1,12 @@
 import { describe, it, expect } from 'vitest';
 import { Rectangle2D, Circle2D } from '../../src/shapes2d.js';
-import { CompositeShape } from '../../src/composite_shapes.js';
+import { Box3D, Sphere3D, Cylinder3D } from '../../src/shapes3d.js';
+import { CompositeShape, sampleIntersection } from '../../src/composite_shapes.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { TranslatedShape } from '../../src/translated_shape.js';
+import { DensityShape } from '../../src/density_shape.js';
+import { scaleShape } from '../../src/affine_shape.js';
+import { createRng } from '../../src/random.js';
 
 describe('Composite Shapes - CSG Sampling', () => {
 
@@ -51,4 +57,240 @@ describe('Composite Shapes - CSG Sampling', () => {
       expect(rect2.contains(p)).toBe(true);
     });
   });
+
+  describe('Measure', () => {
+    it('should be exact for disjoint and nested children', () => {
+      const a = new Rectangle2D({ x: 0, y: 0 }, 2, 2);
+      const b = new Rectangle2D({ x: 5, y: 0 }, 2, 3);
+      const disjoint = new CompositeShape('union', [a, b]);
+      expect(disjoint.measure()).toMatchObject({ value: 10, exact: true });
+
+      const donut = new CompositeShape('difference', [new Circle2D({ x: 0, y: 0 }, 5), new Circle2D({ x: 0, y: 0 }, 2)]);
+      expect(donut.area).toBeCloseTo(21 * Math.PI, 9);
+      expect(donut.measure().exact).toBe(true);
+
+      const box = new Box3D({ x: 0, y: 0, z: 0 }, 4, 4, 4);
+      const ball = new Sphere3D({ x: 0, y: 0, z: 0 }, 1);
+      expect(new CompositeShape('union', [ball, box]).volume).toBe(64);
+      expect(new CompositeShape('intersection', [box, ball]).volume).toBeCloseTo(ball.volume, 9);
+      expect(new CompositeShape('intersection', [a, b]).volume).toBe(0);
+    });
+
+    it('should estimate overlaps with a standard error, lazily', () => {
+      const rect1 = new Rectangle2D({ x: 0, y: 0 }, 2, 2);
+      const rect2 = new Rectangle2D({ x: 1, y: 0 }, 2, 2);
+      const union = new CompositeShape('union', [rect1, rect2]);
+      expect(union._measure).toBe(null);
+
+      const m = union.measure();
+      expect(m.exact).toBe(false);
+      expect(m.standardError).toBeGreaterThan(0);
+      expect(m.standardError).toBeLessThanOrEqual(0.01 * m.value * 1.01);
+      expect(Math.abs(m.value - 6)).toBeLessThan(4 * m.standardError);
+      expect(union.measure()).toBe(m);
+
+      const fine = new CompositeShape('intersection', [rect1, rect2], { precision: 0.002 });
+      expect(Math.abs(fine.area - 2)).toBeLessThan(4 * fine.measure().standardError);
+      expect(fine.measure().standardError).toBeLessThan(0.005);
+    });
+
+    it('should leave the measure of a wrapped composite lazy', () => {
+      const union = new CompositeShape('union', [new Rectangle2D({ x: 0, y: 0 }, 2, 2), new Rectangle2D({ x: 1, y: 0 }, 2, 2)]);
+      const wrapped = [new RotatedShape(union, 0, 0, 0.3), new TranslatedShape(union, 1, 0, 0), new DensityShape(union, () => 1)];
+      expect(union._measure).toBe(null);
+      for (const shape of wrapped) expect(shape.area).toBe(union.area);
+    });
+
+    it('should combine child centroids where the measure is exact', () => {
+      const donut = new CompositeShape('difference', [new Circle2D({ x: 0, y: 0 }, 5), new Circle2D({ x: 1, y: 0 }, 2)]);
+      expect(donut.centroid.x).toBeCloseTo(-4 / 21, 12);
+      expect(donut.centroid.y).toBeCloseTo(0, 12);
+      const overlap = new CompositeShape('union', [new Rectangle2D({ x: 0, y: 0 }, 2, 2), new Rectangle2D({ x: 1, y: 0 }, 2, 2)]);
+      expect(overlap.centroid).toBeUndefined();
+    });
+
+    it('should weight nested composites by their true measure', () => {
+      // Donut area 21π ≈ 66 next to a disjoint square of area 66
+      const donut = new CompositeShape('difference', [new Circle2D({ x: 0, y: 0 }, 5), new Circle2D({ x: 1, y: 0 }, 2)]);
+      const side = Math.sqrt(21 * Math.PI);
+      const square = new Rectangle2D({ x: 20, y: 0 }, side, side);
+      const scene = new CompositeShape('union', [donut, square]);
+
+      const rng = createRng(3);
+      let inDonut = 0;
+      for (let i = 0; i < 20000; i++) if (scene.sample(rng).x < 10) inDonut++;
+      expect(inDonut / 20000).toBeCloseTo(0.5, 1);
+    });
+  });
+
+  describe('N-ary difference, XOR and exclusive', () => {
+    it('should cut every hole out of a difference', () => {
+      const block = new Box3D({ x: 0, y: 0, z: 0 }, 6, 2, 2);
+      const holes = [-2, 0, 2].map(x => new Cylinder3D({ x, y: 0, z: 0 }, 0.5, 4));
+      const drilled = new CompositeShape('difference', [block, ...holes]);
+
+      const rng = createRng(5);
+      for (let i = 0; i < 2000; i++) {
+        const p = drilled.sample(rng);
+        expect(block.contains(p)).toBe(true);
+        expect(holes.some(h => h.contains(p))).toBe(false);
+      }
+      expect(drilled.contains({ x: 2, y: 0, z: 0 })).toBe(false);
+      expect(drilled.sdf({ x: 2, y: 0, z: 0 })).toBeCloseTo(0.5, 9);
+
+      const expected = 24 - 3 * Math.PI * 0.25 * 2;
+      const m = drilled.measure();
+      expect(Math.abs(m.value - expected)).toBeLessThan(4 * m.standardError);
+
+      // Blind holes fully inside the block are subtracted exactly
+      const pockets = [-2, 2].map(x => new Sphere3D({ x, y: 0, z: 0 }, 0.5));
+      const carved = new CompositeShape('difference', [block, ...pockets]);
+      expect(carved.measure()).toMatchObject({ exact: true });
+      expect(carved.volume).toBeCloseTo(24 - 2 * pockets[0].volume, 9);
+    });
+
+    it('should keep odd coverage for xor and single coverage for exclusive', () => {
+      // Coverage along x: 1, 2, 3, 2, 1 on unit-wide strips
+      const strips = [0, 1, 2].map(x => new Rectangle2D({ x: x + 1.5, y: 0.5 }, 3, 1));
+      const xor = new CompositeShape('xor', strips);
+      const exclusive = new CompositeShape('exclusive', strips);
+
+      expect(xor.contains({ x: 2.5, y: 0.5 })).toBe(true);
+      expect(exclusive.contains({ x: 2.5, y: 0.5 })).toBe(false);
+      expect(xor.contains({ x: 1.5, y: 0.5 })).toBe(false);
+      expect(Math.abs(xor.area - 3)).toBeLessThan(4 * xor.measure().standardError);
+      expect(Math.abs(exclusive.area - 2)).toBeLessThan(4 * exclusive.measure().standardError);
+      expect(xor.sdf({ x: 1.5, y: 0.5 })).toBeGreaterThan(0);
+      expect(exclusive.sdf({ x: 0.5, y: 0.5 })).toBeLessThan(0);
+
+      const rng = createRng(9);
+      const n = 30000;
+      let middle = 0;
+      for (let i = 0; i < n; i++) {
+        const p = xor.sample(rng);
+        expect(xor.contains(p)).toBe(true);
+        if (p.x > 2 && p.x < 3) middle++;
+      }
+      expect(middle / n).toBeCloseTo(1 / 3, 1);
+      for (let i = 0; i < 1000; i++) expect(exclusive.contains(exclusive.sample(rng))).toBe(true);
+    });
+
+    it('should measure nested pairs exactly', () => {
+      const ring = new CompositeShape('xor', [new Circle2D({ x: 0, y: 0 }, 1), new Circle2D({ x: 0, y: 0 }, 2)]);
+      expect(ring.measure()).toMatchObject({ exact: true });
+      expect(ring.area).toBeCloseTo(3 * Math.PI, 9);
+    });
+  });
+
+  describe('Failure policy and statistics', () => {
+    const base = new Circle2D({ x: 0, y: 0 }, 1);
+    const cover = new Circle2D({ x: 0, y: 0 }, 2);
+
+    it('should apply the failure policy when every attempt is rejected', () => {
+      const options = { maxAttempts: 20 };
+      expect(() => new CompositeShape('difference', [base, cover], { ...options, failurePolicy: 'throw' }).sample()).toThrow(/Difference/);
+      expect(new CompositeShape('difference', [base, cover], { ...options, failurePolicy: 'return-null' }).sample()).toBe(null);
+
+      const legacy = new CompositeShape('difference', [base, cover], options);
+      expect(base.contains(legacy.sample(createRng('legacy')))).toBe(true);
+      expect(legacy.counters).toEqual({ samples: 1, attempts: 20, accepted: 0, fallbacks: 1, failures: 1 });
+
+      expect(() => new CompositeShape('union', [base], { failurePolicy: 'retry' })).toThrow(/failure policy/);
+    });
+
+    it('should write NaN for points a return-null composite gives up on', () => {
+      const hopeless = new CompositeShape('difference', [base, cover], { maxAttempts: 5, failurePolicy: 'return-null' });
+      const buffer = hopeless.sampleInto(new Float32Array(6), 2);
+      expect(Array.from(buffer).every(Number.isNaN)).toBe(true);
+    });
+
+    it('should pass a return-null failure up through wrappers and parent composites', () => {
+      const hopeless = new CompositeShape('difference', [base, cover], { maxAttempts: 5, failurePolicy: 'return-null' });
+      const rng = createRng('null');
+      for (const wrapper of [new RotatedShape(hopeless, 0, 0, 0.5), new TranslatedShape(hopeless, 1, 2, 0), scaleShape(hopeless, 2)]) {
+        expect(wrapper.sample(rng)).toBe(null);
+      }
+
+      const union = new CompositeShape('union', [hopeless]);
+      expect(union.sample(rng)).toBe(null);
+      expect(union.counters).toMatchObject({ accepted: 0, failures: 1 });
+
+      const far = new Circle2D({ x: 10, y: 0 }, 1);
+      const nested = new CompositeShape('difference', [new RotatedShape(hopeless, 0, 0, 0.5), far]);
+      expect(nested.sample(rng)).toBe(null);
+      expect(nested.counters).toMatchObject({ attempts: 1, accepted: 0, failures: 1 });
+    });
+
+    it('should leave draws a return-null child gives up on out of the measure estimate', () => {
+      // Ring of area 0.19π that gives up on about four draws in five
+      const flaky = new CompositeShape('difference', [base, new Circle2D({ x: 0, y: 0 }, 0.9)], { maxAttempts: 1, failurePolicy: 'return-null' });
+      const union = new CompositeShape('union', [flaky, new TranslatedShape(flaky, 0, 0, 0)]);
+      const m = union.measure();
+      expect(m.exact).toBe(false);
+      expect(Math.abs(m.value - 0.19 * Math.PI)).toBeLessThan(4 * m.standardError);
+    });
+
+    it('should report acceptance rates for every node of the tree', () => {
+      const shell = new CompositeShape('difference', [
+        new Sphere3D({ x: 0, y: 0, z: 0 }, 1),
+        new Sphere3D({ x: 0, y: 0, z: 0 }, 0.95)
+      ]);
+      const scene = new CompositeShape('union', [new RotatedShape(shell, 0.3, 0, 0), new Box3D({ x: 5, y: 0, z: 0 }, 1, 1, 1)]);
+
+      const rng = createRng(11);
+      for (let i = 0; i < 5000; i++) scene.sample(rng);
+
+      const stats = scene.stats();
+      expect(stats.type).toBe('union');
+      expect(stats.acceptanceRate).toBe(1);
+      const shellStats = stats.children[0];
+      expect(shellStats.type).toBe('difference');
+      expect(shellStats.acceptanceRate).toBeCloseTo(1 - 0.95 ** 3, 1);
+      expect(shellStats.attemptsPerSample).toBeGreaterThan(5);
+      expect(stats.children[1]).toMatchObject({ type: 'Box3D', counters: null });
+
+      const text = scene.explain();
+      expect(text.split('\n')).toHaveLength(5);
+      expect(text).toMatch(/^ {2}difference: .*acceptance 1\d\.\d%/m);
+
+      shell.resetStats();
+      expect(shell.counters.attempts).toBe(0);
+    });
+  });
+
+  describe('Intersection proposals', () => {
+    it('should propose from the smallest child', () => {
+      // A thin tilted disk inside a ball: bbox proposals would waste nearly every sample
+      const disk = new RotatedShape(new Cylinder3D({ x: 0, y: 0, z: 0 }, 1, 0.02), 0.6, 0.4, 0);
+      const ball = new Sphere3D({ x: 0, y: 0, z: 0 }, 0.8);
+      const lens = new CompositeShape('intersection', [ball, disk]);
+
+      const rng = createRng(4);
+      for (let i = 0; i < 2000; i++) {
+        const p = lens.sample(rng);
+        expect(ball.contains(p) && disk.contains(p)).toBe(true);
+      }
+      expect(lens.stats().acceptanceRate).toBeGreaterThan(0.5);
+
+      // The proposal is chosen once; direct callers get the same through a reused control
+      expect(lens._control.proposal).toBe(1);
+      const control = {};
+      sampleIntersection([ball, disk], 100, rng, {}, control);
+      expect(control.proposal).toBe(1);
+      expect(() => sampleIntersection([ball, new Sphere3D({ x: 5, y: 0, z: 0 }, 1)], 100, rng, {}, { policy: 'throw' })).toThrow(/spatially disjoint/);
+    });
+
+    it('should report empty intersections before spending attempts', () => {
+      // Bounding boxes overlap near (0.8, 0.8, 0.8), the balls do not
+      const a = new Sphere3D({ x: 0, y: 0, z: 0 }, 1);
+      const b = new Sphere3D({ x: 1.6, y: 1.6, z: 1.6 }, 1);
+      const empty = new CompositeShape('intersection', [a, b], { maxEstimateSamples: 20000 });
+      expect(() => empty.sample()).toThrow(/no common point found in 20000 samples/);
+      expect(empty.counters.attempts).toBe(0);
+
+      const far = new CompositeShape('intersection', [a, new Sphere3D({ x: 5, y: 0, z: 0 }, 1)], { failurePolicy: 'return-null' });
+      expect(far.sample()).toBe(null);
+      expect(() => new CompositeShape('intersection', [a, far.shapes[1]]).sample()).toThrow(/children 0 and 1 are spatially disjoint/);
+    });
+  });
 });
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { Path1D, bezierQuadratic, lineSegment } from '../../src/curves1d.js';
+import { Path1D, bezierQuadratic, lineSegment, catmullRom, bSpline, nurbs, arcThroughPoints, helix } from '../../src/curves1d.js';
+import { createRng } from '../../src/random.js';
 
 describe('Curves 1D - Path Logic', () => {
   
@@ -58,4 +59,199 @@ describe('Curves 1D - Path Logic', () => {
     expect(avgX).toBeGreaterThan(40);
     expect(avgX).toBeLessThan(60);
   });
-});
\ No newline at end of file
+
+  it('should map unit coordinates to arc-length fractions with fromUnit', () => {
+    const path = new Path1D([
+      { start: { x: 0, y: 0 }, end: { x: 10, y: 0 } },
+      { start: { x: 10, y: 0 }, end: { x: 10, y: 10 } }
+    ]);
+    expect(path.dimension).toBe(1);
+    expect(path.fromUnit(0.25)).toEqual({ x: 5, y: 0, z: 0 });
+    expect(path.fromUnit(0.75)).toEqual({ x: 10, y: 5, z: 0 });
+  });
+
+  it('should pass Catmull-Rom splines through every point, open or closed', () => {
+    const points = [{ x: 0, y: 0 }, { x: 1, y: 2 }, { x: 3, y: 2 }, { x: 4, y: 0 }];
+    const open = catmullRom({ points });
+    points.forEach((p, i) => {
+      const q = open(i / 3);
+      expect(q.x).toBeCloseTo(p.x, 12);
+      expect(q.y).toBeCloseTo(p.y, 12);
+    });
+    const closed = catmullRom({ points, closed: true });
+    expect(closed(0.75)).toEqual({ x: 4, y: 0, z: 0 });
+    expect(closed(1)).toEqual(closed(0));
+    // The closing span bulges below the chord from (4, 0) back to (0, 0)
+    expect(closed(0.875).y).toBeLessThan(0);
+    expect(() => catmullRom({ points: points.slice(0, 2), closed: true })).toThrow(RangeError);
+  });
+
+  it('should clamp open B-splines to their end points and wrap closed ones', () => {
+    const points = [{ x: 0, y: 0 }, { x: 1, y: 2 }, { x: 3, y: 2 }, { x: 4, y: 0 }, { x: 6, y: 1 }];
+    const open = bSpline({ points });
+    expect(open(0)).toEqual({ x: 0, y: 0, z: 0 });
+    expect(open(1)).toEqual({ x: 6, y: 1, z: 0 });
+    const custom = bSpline({ points, degree: 2, knots: [0, 0, 0, 0.1, 0.2, 1, 1, 1] });
+    expect(custom(1)).toEqual({ x: 6, y: 1, z: 0 });
+    expect(() => bSpline({ points, knots: [0, 1] })).toThrow(/knots/);
+
+    const square = [{ x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }, { x: 0, y: -1 }];
+    for (const knots of [undefined, [0, 1, 3, 4, 6]]) {
+      const loop = bSpline({ points: square, closed: true, knots });
+      const a = loop(0), b = loop(1), c = loop(1 - 1e-9);
+      expect(b.x).toBeCloseTo(a.x, 12);
+      expect(b.y).toBeCloseTo(a.y, 12);
+      expect(c.x).toBeCloseTo(a.x, 6);
+    }
+  });
+
+  it('should draw exact circles with rational weights and sample them uniformly', () => {
+    const w = Math.SQRT1_2;
+    const circle = nurbs({
+      degree: 2,
+      points: [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }, { x: -1, y: 1 }, { x: -1, y: 0 },
+        { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 }, { x: 1, y: 0 }],
+      weights: [1, w, 1, w, 1, w, 1, w, 1],
+      knots: [0, 0, 0, 0.25, 0.25, 0.5, 0.5, 0.75, 0.75, 1, 1, 1]
+    });
+    for (let i = 0; i <= 50; i++) {
+      const p = circle(i / 50);
+      expect(Math.hypot(p.x, p.y)).toBeCloseTo(1, 12);
+    }
+    const path = new Path1D([circle], 2000);
+    expect(path.totalLength).toBeCloseTo(2 * Math.PI, 4);
+    // Arc-length sampling: a quarter of the length lands in each quadrant
+    const q = path.fromUnit(0.125);
+    expect(Math.atan2(q.y, q.x)).toBeCloseTo(Math.PI / 4, 2);
+    expect(() => nurbs({ points: [{ x: 0, y: 0 }, { x: 1, y: 0 }], weights: [1, 0], degree: 1 })).toThrow(/positive/);
+  });
+
+  it('should treat arcs with numeric start and end as arcs and bound them tightly', () => {
+    const arc = new Path1D([{ center: { x: 0, y: 0, z: 0 }, radius: 2, start: 0.5, end: 2 }]);
+    expect(arc.totalLength).toBeCloseTo(3, 12);
+    expect(Math.hypot(arc.fromUnit(0.3).x, arc.fromUnit(0.3).y)).toBeCloseTo(2, 12);
+    expect(arc.bbox.maxY).toBeCloseTo(2, 12);
+    expect(arc.bbox.minX).toBeCloseTo(2 * Math.cos(2), 12);
+    expect(arc.bbox.maxX).toBeCloseTo(2 * Math.cos(0.5), 12);
+    expect(arc.bbox.minY).toBeCloseTo(2 * Math.sin(0.5), 12);
+  });
+
+  it('should tilt arcs by normal or basis and fit them through three points', () => {
+    const ring = new Path1D([{ center: { x: 1, y: 2, z: 3 }, radius: 1, normal: { x: 1, y: 0, z: 0 } }]);
+    expect(ring.bbox).toEqual({ minX: 1, maxX: 1, minY: 1, maxY: 3, minZ: 2, maxZ: 4 });
+    expect(ring.sdf({ x: 1, y: 2, z: 3 })).toBeCloseTo(1, 12);
+    const p = ring.sample(createRng('ring'));
+    expect(p.x).toBeCloseTo(1, 12);
+
+    const basis = new Path1D([{ center: { x: 0, y: 0, z: 0 }, radius: 1, basis: { u: { x: 0, y: 0, z: 1 }, v: { x: 1, y: 0, z: 0 } }, start: 0, end: Math.PI / 2 }]);
+    expect(basis.fromUnit(0).z).toBeCloseTo(1, 12);
+    expect(basis.fromUnit(1).x).toBeCloseTo(1, 12);
+
+    const a = { x: 0, y: 0, z: 1 }, b = { x: 1, y: 0, z: 0 }, c = { x: 0, y: 0, z: -1 };
+    const half = new Path1D([arcThroughPoints(a, b, c)]);
+    expect(half.totalLength).toBeCloseTo(Math.PI, 12);
+    for (const [u, q] of [[0, a], [0.5, b], [1, c]]) {
+      const r = half.fromUnit(u);
+      expect(Math.hypot(r.x - q.x, r.y - q.y, r.z - q.z)).toBeLessThan(1e-12);
+    }
+    expect(half.bbox.minX).toBeCloseTo(0, 12);
+    expect(() => arcThroughPoints(a, { x: 0, y: 0, z: 0 }, c)).toThrow(RangeError);
+  });
+
+  it('should sample elliptical arcs uniformly by arc length', () => {
+    const ellipse = new Path1D([{ center: { x: 0, y: 0 }, rx: 4, ry: 1 }]);
+    // Length of the part with x > 3, by midpoint quadrature in the ellipse parameter
+    const t0 = Math.acos(3 / 4), m = 20000;
+    let tip = 0;
+    for (let i = 0; i < m; i++) {
+      const t = -t0 + 2 * t0 * (i + 0.5) / m;
+      tip += Math.hypot(4 * Math.sin(t), Math.cos(t)) * 2 * t0 / m;
+    }
+    const n = 20000;
+    let hits = 0;
+    for (let i = 0; i < n; i++) if (ellipse.fromUnit((i + 0.5) / n).x > 3) hits++;
+    expect(hits / n).toBeCloseTo(tip / ellipse.totalLength, 3);
+    expect(ellipse.bbox).toMatchObject({ minX: -4, maxX: 4, minY: -1, maxY: 1 });
+    expect(ellipse.sdf({ x: 0, y: 0 })).toBeCloseTo(1, 3);
+  });
+
+  it('should evaluate points and tangents by arc length', () => {
+    const path = new Path1D([
+      { start: { x: 0, y: 0, z: 0 }, end: { x: 4, y: 0, z: 0 } },
+      { center: { x: 4, y: 2, z: 0 }, radius: 2, start: -Math.PI / 2, end: Math.PI / 2 }
+    ]);
+    const half = 4 / path.totalLength;
+    expect(path.at(half / 2)).toEqual({ x: 2, y: 0, z: 0 });
+    expect(path.at(2)).toEqual(path.at(1));
+    expect(path.tangentAt(0.1)).toEqual({ x: 1, y: 0, z: 0 });
+    const top = path.tangentAt(1);
+    expect(top.x).toBeCloseTo(-1, 12);
+    expect(top.y).toBeCloseTo(0, 12);
+
+    const curve = new Path1D([bezierQuadratic({ p0: { x: 0, y: 0 }, p1: { x: 5, y: 10 }, p2: { x: 10, y: 0 } })], 1000);
+    const apex = curve.tangentAt(0.5);
+    expect(apex.x).toBeCloseTo(1, 6);
+    expect(curve.at(0.5).x).toBeCloseTo(5, 3);
+  });
+
+  it('should carry a rotation-minimizing frame along the path', () => {
+    const spiral = new Path1D([helix({ center: { x: 0, y: 0, z: 0 }, radius: 2, height: 10, turns: 3 })], 2000);
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const h = 1e-3;
+    for (const u of [0.1, 0.37, 0.8]) {
+      const f = spiral.frameAt(u);
+      expect(dot(f.tangent, f.normal)).toBeCloseTo(0, 9);
+      expect(dot(f.normal, f.normal)).toBeCloseTo(1, 9);
+      expect(dot(f.binormal, f.tangent)).toBeCloseTo(0, 9);
+      // No twist: the normal turns only towards the tangent, never about it
+      const a = spiral.frameAt(u - h).normal, b = spiral.frameAt(u + h).normal;
+      const twist = dot({ x: b.x - a.x, y: b.y - a.y, z: b.z - a.z }, f.binormal) / (2 * h * spiral.totalLength);
+      expect(Math.abs(twist)).toBeLessThan(1e-3);
+    }
+    // A planar path keeps its normal out of the plane
+    const ring = new Path1D([{ center: { x: 0, y: 0, z: 0 }, radius: 1 }]);
+    expect(ring.frameAt(0.6).normal.z).toBeCloseTo(1, 9);
+  });
+
+  it('should split and slice paths into new paths', () => {
+    const path = new Path1D([
+      { start: { x: 0, y: 0, z: 0 }, end: { x: 4, y: 0, z: 0 } },
+      { center: { x: 4, y: 2, z: 0 }, radius: 2, start: -Math.PI / 2, end: Math.PI / 2 },
+      bezierQuadratic({ p0: { x: 4, y: 4 }, p1: { x: 0, y: 6 }, p2: { x: -4, y: 4 } })
+    ], 1000);
+    const middle = path.slice(0.25, 0.75);
+    expect(middle).toBeInstanceOf(Path1D);
+    expect(middle.totalLength).toBeCloseTo(path.totalLength / 2, 3);
+    for (const [u, v] of [[0, 0.25], [1, 0.75]]) {
+      const p = middle.at(u), q = path.at(v);
+      expect(Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z)).toBeLessThan(1e-3);
+    }
+    const [head, tail] = path.split(0.4);
+    expect(head.totalLength + tail.totalLength).toBeCloseTo(path.totalLength, 3);
+    expect(head.at(1).x).toBeCloseTo(tail.at(0).x, 9);
+    expect(path.slice(0.5, 0.5).totalLength).toBe(0);
+    expect(() => path.slice(0.6, 0.2)).toThrow(RangeError);
+  });
+
+  it('should project points onto the nearest point of the path', () => {
+    const path = new Path1D([
+      { start: { x: 0, y: 0, z: 0 }, end: { x: 10, y: 0, z: 0 } },
+      { center: { x: 10, y: 5, z: 0 }, radius: 5, start: -Math.PI / 2, end: Math.PI / 2 },
+      bezierQuadratic({ p0: { x: 10, y: 10, z: 0 }, p1: { x: 5, y: 15, z: 0 }, p2: { x: 0, y: 10, z: 0 } })
+    ]);
+    const onLine = path.project({ x: 4, y: -2, z: 1 });
+    expect(onLine.u * path.totalLength).toBeCloseTo(4);
+    expect(onLine.distance).toBeCloseTo(Math.sqrt(5));
+
+    const onArc = path.project({ x: 20, y: 5, z: 0 });
+    expect(onArc.point.x).toBeCloseTo(15);
+    expect(onArc.distance).toBeCloseTo(5);
+    expect(onArc.u * path.totalLength).toBeCloseTo(10 + 2.5 * Math.PI);
+
+    for (const u of [0.1, 0.45, 0.85]) {
+      const { u: found, distance } = path.project(path.at(u));
+      expect(found).toBeCloseTo(u, 3);
+      expect(distance).toBeLessThan(1e-3);
+    }
+  });
+});
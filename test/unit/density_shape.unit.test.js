@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { Box3D, Sphere3D } from '../../src/shapes3d.js';
+import { Rectangle2D } from '../../src/shapes2d.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { TranslatedShape } from '../../src/translated_shape.js';
+import { DensityShape } from '../../src/density_shape.js';
+import { createRng } from '../../src/random.js';
+
+const mean = (points, f) => points.reduce((acc, p) => acc + f(p), 0) / points.length;
+const cube = new Box3D({ x: 0.5, y: 0.5, z: 0.5 }, 1, 1, 1);
+
+describe('DensityShape', () => {
+  it('should sample a bounded density by rejection', () => {
+    const rng = createRng('rejection');
+    const shape = new DensityShape(cube, p => p.x, { maxDensity: 1 });
+    expect(shape.method).toBe('rejection');
+
+    const points = Array.from({ length: 20000 }, () => shape.sample(rng));
+    expect(mean(points, p => p.x)).toBeCloseTo(2 / 3, 2);
+    expect(mean(points, p => p.y)).toBeCloseTo(1 / 2, 1);
+    expect(shape.counters.accepted).toBe(20000);
+    expect(shape.counters.boundExceeded).toBe(0);
+    // Acceptance equals mean density over maximum: 1/2
+    expect(shape.stats().acceptanceRate).toBeCloseTo(0.5, 1);
+  });
+
+  it('should count density values above the bound', () => {
+    const shape = new DensityShape(cube, p => 2 * p.x, { maxDensity: 1 });
+    for (let i = 0; i < 1000; i++) shape.sample(createRng(i));
+    expect(shape.counters.boundExceeded).toBeGreaterThan(0);
+    expect(shape.explain()).toMatch(/above maxDensity/);
+  });
+
+  it('should sample an unbounded density with Metropolis-Hastings', () => {
+    const rng = createRng('metropolis');
+    // 1/r on the unit ball: the radius has density 2r, mean 2/3
+    const shape = new DensityShape(new Sphere3D({ x: 0, y: 0, z: 0 }, 1), p => 1 / Math.hypot(p.x, p.y, p.z));
+    expect(shape.method).toBe('metropolis');
+
+    const points = Array.from({ length: 5000 }, () => shape.sample(rng));
+    for (const p of points) expect(Math.hypot(p.x, p.y, p.z)).toBeLessThanOrEqual(1 + 1e-9);
+    expect(mean(points, p => Math.hypot(p.x, p.y, p.z))).toBeCloseTo(2 / 3, 1);
+    expect(Math.abs(mean(points, p => p.z))).toBeLessThan(0.05);
+  });
+
+  it('should keep 2D chains in the plane of the base', () => {
+    const rng = createRng('plane');
+    const shape = new DensityShape(new Rectangle2D({ x: 0, y: 0, z: 3 }, 2, 2), p => Math.exp(-4 * p.x * p.x));
+    for (let i = 0; i < 200; i++) {
+      const p = shape.sample(rng);
+      expect(p.z).toBe(3);
+      expect(shape.contains(p)).toBe(true);
+    }
+  });
+
+  it('should compose with transforms and composites', () => {
+    const rng = createRng('compose');
+    const hollow = new CompositeShape('difference', [
+      new Sphere3D({ x: 0, y: 0, z: 0 }, 2),
+      new Box3D({ x: 0, y: 0, z: 0 }, 1, 1, 1)
+    ]);
+    const core = new DensityShape(hollow, p => Math.exp(-Math.hypot(p.x, p.y, p.z)), { maxDensity: 1 });
+    const moved = new TranslatedShape(new RotatedShape(core, 0, 0, Math.PI / 4), 10, 0, 0);
+    for (let i = 0; i < 500; i++) {
+      const p = moved.sample(rng);
+      expect(moved.contains(p)).toBe(true);
+    }
+    expect(core.stats().children[0].type).toBe('difference');
+
+    // Densities restrict inside a composite, but its measure stays geometric
+    const box = new Box3D({ x: 0, y: 0, z: 0 }, 2, 2, 2);
+    const skewed = new DensityShape(box, p => (p.x > 0 ? 1 : 0.01), { maxDensity: 1 });
+    const half = new CompositeShape('difference', [skewed, new Box3D({ x: 1, y: 0, z: 0 }, 2, 4, 4)]);
+    expect(half.volume).toBeCloseTo(4, 1);
+    for (let i = 0; i < 100; i++) expect(half.sample(rng).x).toBeLessThanOrEqual(0);
+  });
+
+  it('should validate its options and apply the failure policy', () => {
+    expect(() => new DensityShape(cube, () => 1, { method: 'gibbs' })).toThrow(/Unknown density method/);
+    expect(() => new DensityShape(cube, () => 1, { method: 'rejection' })).toThrow(/maxDensity/);
+
+    const empty = new DensityShape(cube, () => 0, { maxDensity: 1, maxAttempts: 10, failurePolicy: 'return-null' });
+    expect(empty.sample()).toBeNull();
+    expect(empty.counters.failures).toBe(1);
+    expect(() => new DensityShape(cube, () => 0, { maxAttempts: 10 }).sample()).toThrow(/positive density/);
+  });
+});
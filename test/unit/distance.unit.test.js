@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { createRng } from '../../src/random.js';
+import {
+  Sphere3D, Ellipsoid3D, EllipsoidSector3D, Box3D, Cylinder3D, Cone3D, Torus3D, Capsule3D, Frustum3D, Tetrahedron3D
+} from '../../src/shapes3d.js';
+import { Rectangle2D, Triangle2D, Circle2D, CircleSector2D, Ellipse2D, Polygon2D } from '../../src/shapes2d.js';
+import { Path1D } from '../../src/curves1d.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { TranslatedShape } from '../../src/translated_shape.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+
+const rng = createRng('sdf');
+
+/** Random point in the bbox grown by `pad`. */
+const around = (shape, pad = 1) => {
+  const b = shape.bbox;
+  return {
+    x: b.minX - pad + rng() * (b.maxX - b.minX + 2 * pad),
+    y: b.minY - pad + rng() * (b.maxY - b.minY + 2 * pad),
+    z: (b.minZ ?? 0) - pad + rng() * ((b.maxZ ?? 0) - (b.minZ ?? 0) + 2 * pad)
+  };
+};
+
+/** Distance to a dense cloud of boundary samples: an upper bound on the true distance. */
+const cloudDistance = (cloud, p, planar) => {
+  let d = Infinity;
+  for (const q of cloud) d = Math.min(d, Math.hypot(p.x - q.x, p.y - q.y, planar ? 0 : p.z - q.z));
+  return d;
+};
+
+describe('Signed Distance Functions', () => {
+  it('should agree with contains() on the sign', () => {
+    const shapes = [
+      new Sphere3D({ x: 0, y: 0, z: 0 }, 2, 1),
+      new Ellipsoid3D({ x: 0, y: 0, z: 0 }, 3, 1, 2),
+      new EllipsoidSector3D({ x: 0, y: 0, z: 0 }, 2, 2, 2, 0.5, 4, 0.3, 2),
+      new Box3D({ x: 1, y: 0, z: 0 }, 2, 1, 3),
+      new Cylinder3D({ x: 0, y: 0, z: 0 }, 2, 3, 1),
+      new Cone3D({ x: 0, y: 0, z: 0 }, 2, 3, 1, 1.5),
+      new Torus3D({ x: 0, y: 0, z: 0 }, 2, 0.8, 0.3),
+      new Capsule3D({ x: 0, y: 0, z: 0 }, 1, 2, 0.5),
+      new Frustum3D({ x: 0, y: 0, z: 0 }, 2, 0.5, 3, 1, 0.2),
+      new Tetrahedron3D({ x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, { x: 0, y: 3, z: 0 }, { x: 1, y: 1, z: 2 }),
+      new Rectangle2D({ x: 0, y: 0 }, 2, 1),
+      new Triangle2D({ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 0, y: 2 }),
+      new Circle2D({ x: 0, y: 0 }, 2, 1),
+      new CircleSector2D({ x: 0, y: 0 }, 2, 1, 5, 0.5),
+      new Ellipse2D({ x: 0, y: 0 }, 3, 1, 1, 0.5),
+      new Polygon2D([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 2, y: 1 }, { x: 0, y: 4 }])
+    ];
+    for (const shape of shapes) {
+      for (let i = 0; i < 2000; i++) {
+        const p = around(shape);
+        const d = shape.sdf(p);
+        if (Math.abs(d) < 1e-9) continue;
+        expect(d < 0).toBe(shape.contains(p, 0));
+      }
+    }
+  });
+
+  it('should match the true distance on exact shapes', () => {
+    const cases = [
+      [new Box3D({ x: 0, y: 0, z: 0 }, 2, 1, 3), s => s.sampleSurface(rng), false],
+      [new Cylinder3D({ x: 0, y: 0, z: 0 }, 2, 3, 1), s => s.sampleSurface(rng), false],
+      [new Cylinder3D({ x: 0, y: 0, z: 0 }, 1, 3), s => s.sampleSurface(rng), false],
+      [new Cone3D({ x: 0, y: 0, z: 0 }, 2, 3, 1, 1.5), s => s.sampleSurface(rng), false],
+      [new Torus3D({ x: 0, y: 0, z: 0 }, 2, 0.8, 0.3), s => s.sampleSurface(rng), false],
+      [new Capsule3D({ x: 0, y: 0, z: 0 }, 1, 2, 0.5), s => s.sampleSurface(rng), false],
+      [new Frustum3D({ x: 0, y: 0, z: 0 }, 2, 0.5, 3, 1, 0.2), s => s.sampleSurface(rng), false],
+      [new Tetrahedron3D({ x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, { x: 0, y: 3, z: 0 }, { x: 1, y: 1, z: 2 }), s => s.sampleSurface(rng), false],
+      [new CircleSector2D({ x: 0, y: 0 }, 2, 1, 5, 0.5), s => s.sampleBoundary(rng), true],
+      [new Polygon2D([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 2, y: 1 }, { x: 0, y: 4 }]), s => s.sampleBoundary(rng), true]
+    ];
+    for (const [shape, boundary, planar] of cases) {
+      const cloud = Array.from({ length: planar ? 5000 : 40000 }, () => boundary(shape));
+      for (let i = 0; i < 100; i++) {
+        const p = around(shape);
+        const exact = Math.abs(shape.sdf(p));
+        const approx = cloudDistance(cloud, p, planar);
+        expect(exact).toBeLessThanOrEqual(approx + 1e-9);
+        expect(approx - exact).toBeLessThan(0.06);
+      }
+      for (let i = 0; i < 100; i++) expect(Math.abs(shape.sdf(boundary(shape)))).toBeLessThan(1e-9);
+    }
+  });
+
+  it('should bound the distance to ellipsoids', () => {
+    const e = new Ellipsoid3D({ x: 0, y: 0, z: 0 }, 3, 1, 2);
+    expect(e.sdf({ x: 5, y: 0, z: 0 })).toBeCloseTo(2, 9);
+    expect(e.sdf({ x: 0, y: 0, z: 0 })).toBe(-1);
+    for (let i = 0; i < 100; i++) expect(Math.abs(e.sdf(e.sampleSurface(rng)))).toBeLessThan(1e-9);
+
+    const sphere = new Sphere3D({ x: 1, y: 1, z: 1 }, 2, 1);
+    expect(sphere.sdf({ x: 1, y: 1, z: 1 })).toBe(1);
+    expect(sphere.sdf({ x: 1, y: 5, z: 1 })).toBe(2);
+  });
+
+  it('should combine children in composites and pass through transforms', () => {
+    const a = new Sphere3D({ x: 0, y: 0, z: 0 }, 2);
+    const b = new Box3D({ x: 2, y: 0, z: 0 }, 2, 2, 2);
+    const p = { x: 5, y: 0, z: 0 };
+    expect(new CompositeShape('union', [a, b]).sdf(p)).toBe(2);
+    expect(new CompositeShape('intersection', [a, b]).sdf(p)).toBe(3);
+    expect(new CompositeShape('difference', [a, b]).sdf({ x: -1, y: 0, z: 0 })).toBe(-1);
+
+    const box = new Box3D({ x: 0, y: 0, z: 0 }, 4, 1, 1);
+    const rotated = new RotatedShape(box, 0, 0, Math.PI / 2);
+    expect(rotated.sdf({ x: 0, y: 3, z: 0 })).toBeCloseTo(1, 9);
+    expect(new TranslatedShape(box, 10, 0, 0).sdf({ x: 13, y: 0, z: 0 })).toBeCloseTo(1, 9);
+  });
+
+  it('should give unsigned distances to paths', () => {
+    const path = new Path1D([
+      { start: { x: 0, y: 0, z: 0 }, end: { x: 4, y: 0, z: 0 } },
+      { center: { x: 0, y: 0, z: 0 }, radius: 2, end: Math.PI / 2 }
+    ]);
+    expect(path.sdf({ x: 2, y: -1, z: 0 })).toBeCloseTo(1, 9);
+    expect(path.sdf({ x: 3, y: 3, z: 0 })).toBeCloseTo(Math.SQRT2 * 3 - 2, 9);
+    expect(path.sdf({ x: 0, y: 2, z: 1 })).toBeCloseTo(1, 9);
+  });
+});
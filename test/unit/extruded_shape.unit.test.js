@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { ExtrudedShape } from '../../src/extruded_shape.js';
+import { Polygon2D, Rectangle2D, Circle2D } from '../../src/shapes2d.js';
+import { createRng } from '../../src/random.js';
+import { svgPathToShape } from '../../src/svg_path.js';
+
+const star = new Polygon2D(Array.from({ length: 10 }, (_, i) => {
+  const r = i % 2 ? 1 : 2.5, a = i * Math.PI / 5;
+  return { x: r * Math.cos(a), y: r * Math.sin(a) };
+}));
+
+describe('ExtrudedShape', () => {
+  it('should turn a profile into a prism with exact volume and bbox', () => {
+    const prism = new ExtrudedShape(star, 3);
+    expect(prism.volume).toBeCloseTo(star.area * 3, 9);
+    expect(prism.bbox.minZ).toBe(0);
+    expect(prism.bbox.maxZ).toBe(3);
+    expect(prism.bbox.maxX).toBeCloseTo(2.5, 9);
+    expect(prism.contains({ x: 2, y: 0, z: 1 })).toBe(true);
+    expect(prism.contains({ x: 1.5, y: 1.5, z: 1 })).toBe(false);
+    expect(prism.contains({ x: 0, y: 0, z: 3.1 })).toBe(false);
+    expect(prism.sdf({ x: 0, y: 0, z: 4 })).toBeCloseTo(1);
+    expect(() => new ExtrudedShape(star, 0)).toThrow(RangeError);
+  });
+
+  it('should weight tapered heights by section area', () => {
+    const pyramid = new ExtrudedShape(new Rectangle2D({ x: 0, y: 0, z: 1 }, 2, 2), 3, { taper: 0 });
+    expect(pyramid.volume).toBeCloseTo(4, 9);
+    expect(pyramid.contains({ x: 0.6, y: 0.6, z: 2 })).toBe(true);
+    expect(pyramid.contains({ x: 0.7, y: 0.7, z: 2 })).toBe(false);
+    const rng = createRng('pyramid');
+    let low = 0;
+    for (let i = 0; i < 4000; i++) {
+      const p = pyramid.sample(rng);
+      expect(pyramid.contains(p, 1e-9)).toBe(true);
+      if (p.z < 2.5) low++;
+    }
+    // Everything below half height holds 7/8 of a pyramid
+    expect(low / 4000).toBeCloseTo(7 / 8, 1);
+  });
+
+  it('should twist sections and keep samples inside the bounds', () => {
+    const twisted = new ExtrudedShape(star, 4, { twist: Math.PI / 2, taper: 0.5 });
+    expect(twisted.volume).toBeCloseTo(star.area * 4 * 1.75 / 3, 9);
+    // The top star is half size and turned a quarter turn about the profile's center
+    const c = star.center, tip = 0.5 * 0.95 * (2.5 - c.x);
+    expect(twisted.contains({ x: c.x, y: c.y + tip, z: 4 })).toBe(true);
+    expect(twisted.contains({ x: c.x + tip, y: c.y, z: 4 })).toBe(false);
+    const rng = createRng(4);
+    const b = twisted.bbox;
+    for (let i = 0; i < 1000; i++) {
+      const p = twisted.sample(rng);
+      expect(twisted.contains(p, 1e-9)).toBe(true);
+      expect(p.x).toBeGreaterThanOrEqual(b.minX);
+      expect(p.x).toBeLessThanOrEqual(b.maxX);
+      expect(p.y).toBeGreaterThanOrEqual(b.minY);
+      expect(p.y).toBeLessThanOrEqual(b.maxY);
+    }
+    expect(new ExtrudedShape(new Circle2D({ x: 0, y: 0 }, 1), 1, { twist: 1 }).bbox.maxX).toBeLessThan(1.05);
+  });
+
+  it('should sample composite profiles through their own sample method', () => {
+    const squares = svgPathToShape('M0 0H1V1H0Z M2 0H3V1H2Z');
+    const prism = new ExtrudedShape(squares, 2, { twist: 0.5 });
+    expect(prism.volume).toBeCloseTo(4, 12);
+    const rng = createRng('squares');
+    for (let i = 0; i < 500; i++) expect(prism.contains(prism.sample(rng), 1e-9)).toBe(true);
+    expect(() => prism.fromUnit(0.5, 0.5, 0.5)).toThrow(/fromUnit/);
+  });
+});
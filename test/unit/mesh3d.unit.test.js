@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { Mesh3D } from '../../src/mesh3d.js';
+import { Sphere3D } from '../../src/shapes3d.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { createRng } from '../../src/random.js';
+
+// Unit cube [0, 1]^3, outward winding
+const cubeVertices = [
+  0, 0, 0,  1, 0, 0,  1, 1, 0,  0, 1, 0,
+  0, 0, 1,  1, 0, 1,  1, 1, 1,  0, 1, 1
+];
+const cubeTriangles = [
+  0, 2, 1,  0, 3, 2,  4, 5, 6,  4, 6, 7,
+  0, 1, 5,  0, 5, 4,  2, 3, 7,  2, 7, 6,
+  1, 2, 6,  1, 6, 5,  0, 4, 7,  0, 7, 3
+];
+
+/** Latitude-longitude sphere with poles, outward winding. */
+const uvSphere = (radius, rings, segments) => {
+  const vertices = [{ x: 0, y: 0, z: radius }];
+  for (let i = 1; i < rings; i++) {
+    const phi = Math.PI * i / rings;
+    for (let j = 0; j < segments; j++) {
+      const theta = 2 * Math.PI * j / segments;
+      vertices.push({ x: radius * Math.sin(phi) * Math.cos(theta), y: radius * Math.sin(phi) * Math.sin(theta), z: radius * Math.cos(phi) });
+    }
+  }
+  vertices.push({ x: 0, y: 0, z: -radius });
+  const south = vertices.length - 1;
+  const at = (i, j) => 1 + (i - 1) * segments + (j % segments);
+  const triangles = [];
+  for (let j = 0; j < segments; j++) {
+    triangles.push([0, at(1, j), at(1, j + 1)]);
+    for (let i = 1; i < rings - 1; i++) {
+      triangles.push([at(i, j), at(i + 1, j), at(i + 1, j + 1)], [at(i, j), at(i + 1, j + 1), at(i, j + 1)]);
+    }
+    triangles.push([at(rings - 1, j), south, at(rings - 1, j + 1)]);
+  }
+  return new Mesh3D(vertices, triangles);
+};
+
+describe('Mesh3D', () => {
+  it('should compute volume, area and bounds from the mesh', () => {
+    const cube = new Mesh3D(cubeVertices, cubeTriangles);
+    expect(cube.volume).toBeCloseTo(1, 12);
+    expect(cube.signedVolume).toBeCloseTo(1, 12);
+    expect(cube.surfaceArea).toBeCloseTo(6, 12);
+    expect(cube.bbox).toEqual({ minX: 0, maxX: 1, minY: 0, maxY: 1, minZ: 0, maxZ: 1 });
+
+    // Reversed winding: negative signed volume, same shape
+    const reversed = [];
+    for (let i = 0; i < cubeTriangles.length; i += 3) reversed.push(cubeTriangles[i], cubeTriangles[i + 2], cubeTriangles[i + 1]);
+    const inverted = new Mesh3D(new Float32Array(cubeVertices), reversed);
+    expect(inverted.signedVolume).toBeCloseTo(-1, 6);
+    expect(inverted.volume).toBeCloseTo(1, 6);
+    const s = inverted.sampleSurface(createRng('inverted'));
+    expect(inverted.contains({ x: s.x + 0.01 * s.normal.x, y: s.y + 0.01 * s.normal.y, z: s.z + 0.01 * s.normal.z })).toBe(false);
+  });
+
+  it('should test containment by ray parity', () => {
+    const sphere = uvSphere(2, 24, 48);
+    const exact = new Sphere3D({ x: 0, y: 0, z: 0 }, 2);
+    expect(sphere.volume / exact.volume).toBeCloseTo(1, 1);
+
+    const rng = createRng('parity');
+    let disagreements = 0;
+    for (let i = 0; i < 5000; i++) {
+      const p = { x: 5 * rng() - 2.5, y: 5 * rng() - 2.5, z: 5 * rng() - 2.5 };
+      if (Math.abs(Math.hypot(p.x, p.y, p.z) - 2) < 0.05) continue; // between facets and sphere
+      if (sphere.contains(p, 0) !== exact.contains(p, 0)) disagreements++;
+    }
+    expect(disagreements).toBe(0);
+
+    const cube = new Mesh3D(cubeVertices, cubeTriangles);
+    // Points on faces, edges and vertices count as inside
+    for (const p of [{ x: 0.5, y: 0.5, z: 1 }, { x: 1, y: 1, z: 0.5 }, { x: 0, y: 0, z: 0 }]) expect(cube.contains(p)).toBe(true);
+    expect(cube.contains({ x: 0.5, y: 0.5, z: 1.01 })).toBe(false);
+  });
+
+  it('should sample the interior and the surface uniformly', () => {
+    const rng = createRng('mesh');
+    const cube = new Mesh3D(cubeVertices, cubeTriangles);
+    let low = 0;
+    for (let i = 0; i < 20000; i++) {
+      const p = cube.sample(rng);
+      expect(cube.contains(p)).toBe(true);
+      if (p.z < 0.25) low++;
+    }
+    expect(low / 20000).toBeCloseTo(0.25, 1);
+
+    const h = 1e-6;
+    const faces = new Set();
+    for (let i = 0; i < 2000; i++) {
+      const s = cube.sampleSurface(rng);
+      const n = s.normal;
+      expect(Math.abs(cube.sdf(s))).toBeLessThan(1e-9);
+      expect(cube.contains({ x: s.x - h * n.x, y: s.y - h * n.y, z: s.z - h * n.z }, 0)).toBe(true);
+      expect(cube.contains({ x: s.x + h * n.x, y: s.y + h * n.y, z: s.z + h * n.z }, 0)).toBe(false);
+      faces.add(`${n.x},${n.y},${n.z}`);
+    }
+    expect(faces.size).toBe(6);
+
+    const turned = new RotatedShape(cube, 0.3, 0.2, 0.1);
+    for (let i = 0; i < 100; i++) expect(turned.contains(turned.sample(rng))).toBe(true);
+  });
+
+  it('should give exact signed distances', () => {
+    const cube = new Mesh3D(cubeVertices, cubeTriangles);
+    expect(cube.sdf({ x: 0.5, y: 0.5, z: 0.5 })).toBeCloseTo(-0.5, 12);
+    expect(cube.sdf({ x: 0.5, y: 0.5, z: 3 })).toBeCloseTo(2, 12);
+    expect(cube.sdf({ x: 2, y: 2, z: 0.5 })).toBeCloseTo(Math.SQRT2, 12);
+  });
+
+  it('should reject broken meshes with clear errors', () => {
+    const open = cubeTriangles.slice(0, -3);
+    expect(() => new Mesh3D(cubeVertices, open)).toThrow(/not watertight/);
+    const flipped = [...cubeTriangles.slice(0, -3), 0, 3, 7];
+    expect(() => new Mesh3D(cubeVertices, flipped)).toThrow(/inconsistently oriented/);
+    expect(() => new Mesh3D(cubeVertices, [0, 1, 99])).toThrow(/out of range/);
+
+    const surface = new Mesh3D(cubeVertices, open, { closed: false });
+    expect(surface.surfaceArea).toBeCloseTo(5.5, 12);
+    expect(surface.sampleSurface().z).toBeGreaterThanOrEqual(0);
+    expect(() => surface.sample()).toThrow(/closed mesh/);
+  });
+});
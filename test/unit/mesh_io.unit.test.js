@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { loadMesh, parseOBJ, parseSTL, parsePLY } from '../../src/mesh_io.js';
+import { Mesh3D } from '../../src/mesh3d.js';
+import { Polygon2D } from '../../src/shapes2d.js';
+import { AffineShape } from '../../src/affine_shape.js';
+import { createRng } from '../../src/random.js';
+
+// Unit cube [0, 1]^3 as six outward quads
+const cubeCorners = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const cubeQuads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [2, 3, 7, 6], [1, 2, 6, 5], [0, 4, 7, 3]];
+const cubeTriangles = cubeQuads.flatMap(([a, b, c, d]) => [[a, b, c], [a, c, d]]);
+
+const cubeOBJ = [
+  '# cube',
+  'o Cube',
+  ...cubeCorners.map(v => `v ${v.join(' ')}`),
+  'vn 0 0 1',
+  ...cubeQuads.map(q => `f ${q.map(i => `${i + 1}//1`).join(' ')}`)
+].join('\n');
+
+const asciiSTL = [
+  'solid cube',
+  ...cubeTriangles.map(t => [
+    '  facet normal 0 0 0', '    outer loop',
+    ...t.map(i => `      vertex ${cubeCorners[i].join(' ')}`),
+    '    endloop', '  endfacet'
+  ].join('\n')),
+  'endsolid cube'
+].join('\n');
+
+const binarySTL = () => {
+  const view = new DataView(new ArrayBuffer(84 + 50 * cubeTriangles.length));
+  view.setUint32(80, cubeTriangles.length, true);
+  cubeTriangles.forEach((t, f) => {
+    t.forEach((i, k) => cubeCorners[i].forEach((c, axis) => view.setFloat32(84 + 50 * f + 12 + 12 * k + 4 * axis, c, true)));
+  });
+  return view.buffer;
+};
+
+const plyHeader = format => [
+  'ply', `format ${format} 1.0`, 'comment cube',
+  'element vertex 8', 'property float x', 'property float y', 'property float z', 'property uchar red',
+  'element face 6', 'property list uchar int vertex_indices',
+  'end_header', ''
+].join('\n');
+
+const binaryPLY = littleEndian => {
+  const header = new TextEncoder().encode(plyHeader(littleEndian ? 'binary_little_endian' : 'binary_big_endian'));
+  const bytes = new Uint8Array(header.length + 8 * 13 + 6 * 17);
+  bytes.set(header);
+  const view = new DataView(bytes.buffer);
+  let offset = header.length;
+  for (const v of cubeCorners) {
+    for (const c of v) { view.setFloat32(offset, c, littleEndian); offset += 4; }
+    view.setUint8(offset++, 255);
+  }
+  for (const q of cubeQuads) {
+    view.setUint8(offset++, 4);
+    for (const i of q) { view.setInt32(offset, i, littleEndian); offset += 4; }
+  }
+  return bytes;
+};
+
+describe('mesh import', () => {
+  it('should read OBJ records, slashed references and negative indices', () => {
+    const { vertices, faces } = parseOBJ(cubeOBJ);
+    expect(vertices).toHaveLength(24);
+    expect(faces).toEqual(cubeQuads);
+
+    const relative = parseOBJ('v 0 0 0\nv 1 0 0\nv 0 1 0\nf -3/1 -2/2 -1/3');
+    expect(relative.faces).toEqual([[0, 1, 2]]);
+    expect(() => parseOBJ('v 0 0 0\nf 1 2 3')).toThrow(/missing vertex/);
+  });
+
+  it('should turn a closed OBJ into a Mesh3D with the right volume', () => {
+    const mesh = loadMesh(cubeOBJ);
+    expect(mesh).toBeInstanceOf(Mesh3D);
+    expect(mesh.volume).toBeCloseTo(1, 12);
+    expect(mesh.surfaceArea).toBeCloseTo(6, 12);
+    expect(mesh.contains({ x: 0.5, y: 0.5, z: 0.5 })).toBe(true);
+  });
+
+  it('should weld ASCII and binary STL corners into the same watertight mesh', () => {
+    for (const input of [asciiSTL, new TextEncoder().encode(asciiSTL), binarySTL()]) {
+      const { vertices, faces } = parseSTL(input);
+      expect(vertices).toHaveLength(24);
+      expect(faces).toHaveLength(12);
+      const mesh = loadMesh(input);
+      expect(mesh.volume).toBeCloseTo(1, 6);
+    }
+  });
+
+  it('should read ASCII and both binary PLY encodings', () => {
+    const ascii = plyHeader('ascii')
+      + cubeCorners.map(v => `${v.join(' ')} 255`).join('\n') + '\n'
+      + cubeQuads.map(q => `4 ${q.join(' ')}`).join('\n') + '\n';
+    for (const input of [ascii, binaryPLY(true), binaryPLY(false), binaryPLY(true).buffer]) {
+      const { vertices, faces } = parsePLY(input);
+      expect(vertices).toEqual(cubeCorners.flat());
+      expect(faces).toEqual(cubeQuads);
+      expect(loadMesh(input).volume).toBeCloseTo(1, 12);
+    }
+    expect(() => parsePLY('ply\nformat ascii 1.0\nelement vertex 3\nproperty float x\nend_header\n1 2')).toThrow(/ends before/);
+  });
+
+  it('should ear-clip concave faces and keep corners that lie on an edge', () => {
+    // L-shaped prism; the front face and the floor share a corner in the middle of an edge
+    const lPrism = [
+      'v 0 0 0', 'v 2 0 0', 'v 2 1 0', 'v 1 1 0', 'v 1 2 0', 'v 0 2 0', 'v 1 0 0',
+      'v 0 0 1', 'v 2 0 1', 'v 2 1 1', 'v 1 1 1', 'v 1 2 1', 'v 0 2 1',
+      'f 9 10 11 12 13 8', 'f 2 7 1 6 5 4 3',
+      'f 1 7 2 9 8', 'f 2 3 10 9', 'f 3 4 11 10', 'f 4 5 12 11', 'f 5 6 13 12', 'f 6 1 8 13'
+    ].join('\n');
+    const mesh = loadMesh(lPrism);
+    expect(mesh.volume).toBeCloseTo(3, 12);
+    expect(mesh.surfaceArea).toBeCloseTo(14, 12);
+    expect(mesh.contains({ x: 0.5, y: 1.5, z: 0.5 })).toBe(true);
+    expect(mesh.contains({ x: 1.5, y: 1.5, z: 0.5 })).toBe(false);
+  });
+
+  it('should return a Polygon2D for a single flat face and explain open meshes', () => {
+    const shape = loadMesh('v 0 0 0\nv 2 0 0\nv 2 1 0\nv 0 1 0\nf 1 2 3 4');
+    expect(shape).toBeInstanceOf(Polygon2D);
+    expect(shape.area).toBeCloseTo(2, 12);
+
+    // Flat but tilted: a Polygon2D in its own plane, mapped back into place
+    const tilted = loadMesh('v 0 0 0\nv 2 0 0\nv 2 1 1\nv 0 1 1\nf 1 2 3 4');
+    expect(tilted).toBeInstanceOf(AffineShape);
+    expect(tilted.base).toBeInstanceOf(Polygon2D);
+    expect(tilted.area).toBeCloseTo(2 * Math.SQRT2, 12);
+    const p = tilted.sample(createRng('tilted'));
+    expect(p.z).toBeCloseTo(p.y, 12);
+    expect(tilted.contains({ x: 1, y: 0.5, z: 0.5 })).toBe(true);
+
+    const bent = loadMesh('v 0 0 0\nv 2 0 0\nv 2 1 1\nv 0 1 0\nf 1 2 3 4', { closed: false });
+    expect(bent).toBeInstanceOf(Mesh3D);
+
+    const open = cubeOBJ.split('\n').slice(0, -1).join('\n');
+    expect(() => loadMesh(open)).toThrow(/not watertight/);
+    expect(loadMesh(open, { closed: false }).surfaceArea).toBeCloseTo(5, 12);
+    expect(() => loadMesh(cubeOBJ, { format: 'dae' })).toThrow(/unknown format/);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { createRng } from '../../src/random.js';
+import { Sphere3D, Box3D } from '../../src/shapes3d.js';
+import { Polygon2D } from '../../src/shapes2d.js';
+import { RotatedShape } from '../../src/rotated_shape.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+
+describe('Random - Seedable Sources', () => {
+
+  it('should produce floats in [0, 1)', () => {
+    const rng = createRng(42);
+    for (let i = 0; i < 1000; i++) {
+      const x = rng();
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    }
+  });
+
+  it('should repeat the same sequence for the same seed', () => {
+    const a = createRng(1234), b = createRng(1234), c = createRng(1235);
+    const seqA = Array.from({ length: 10 }, a);
+    expect(Array.from({ length: 10 }, b)).toEqual(seqA);
+    expect(Array.from({ length: 10 }, c)).not.toEqual(seqA);
+  });
+
+  it('should be stable across platforms (known first values)', () => {
+    // Guards against accidental changes to the generator or seeding.
+    const rng = createRng('deepfield');
+    expect(rng()).toBe(0.4879670385271311);
+    expect(rng()).toBe(0.27286263229325414);
+    expect(createRng(0)()).toBe(0.8868539538234472);
+  });
+
+  it('should have a roughly uniform mean', () => {
+    const rng = createRng(7);
+    let sum = 0;
+    for (let i = 0; i < 10000; i++) sum += rng();
+    expect(sum / 10000).toBeCloseTo(0.5, 1);
+  });
+
+  it('should reproduce point clouds through wrappers and composites', () => {
+    const build = () => new CompositeShape('union', [
+      new RotatedShape(new Box3D({ x: 0, y: 0, z: 0 }, 2, 1, 1), 0.3, 0.2, 0.1),
+      new CompositeShape('difference', [
+        new Sphere3D({ x: 1, y: 0, z: 0 }, 1),
+        new Sphere3D({ x: 1, y: 0, z: 0 }, 0.5)
+      ]),
+      new Polygon2D([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }])
+    ]);
+
+    const cloud = (seed) => {
+      const shape = build(), rng = createRng(seed);
+      return Array.from({ length: 50 }, () => shape.sample(rng));
+    };
+
+    expect(cloud(99)).toEqual(cloud(99));
+    expect(cloud(99)).not.toEqual(cloud(100));
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { RevolvedShape } from '../../src/revolved_shape.js';
+import { Polygon2D, Rectangle2D, Circle2D, CircleSector2D } from '../../src/shapes2d.js';
+import { createRng } from '../../src/random.js';
+import { CompositeShape } from '../../src/composite_shapes.js';
+import { svgPathToShape } from '../../src/svg_path.js';
+
+describe('RevolvedShape', () => {
+  it('should turn an offset disk into a torus with the Pappus volume', () => {
+    const R = 3, r = 1;
+    const torus = new RevolvedShape(new Circle2D({ x: R, y: 0 }, r), 'y');
+    expect(torus.volume).toBeCloseTo(2 * Math.PI ** 2 * R * r * r, 9);
+    expect(torus.bbox).toEqual({ minX: -4, maxX: 4, minY: -1, maxY: 1, minZ: -4, maxZ: 4 });
+    expect(torus.contains({ x: 0, y: 0.5, z: -3 })).toBe(true);
+    expect(torus.contains({ x: 0, y: 0, z: 0 })).toBe(false);
+    expect(torus.sdf({ x: 0, y: 0, z: 0 })).toBeCloseTo(2);
+
+    // Samples favour the outside of the ring: (R + 4r / 3π) / 2R lie beyond radius R
+    const rng = createRng('torus');
+    let outer = 0;
+    for (let i = 0; i < 20000; i++) {
+      const p = torus.sample(rng);
+      if (Math.hypot(p.x, p.z) > R) outer++;
+    }
+    expect(Math.abs(outer / 20000 - (R + 4 * r / (3 * Math.PI)) / (2 * R))).toBeLessThan(0.012);
+  });
+
+  it('should lathe a vase profile and sweep partial turns', () => {
+    const profile = new Polygon2D([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 2 }, { x: 1.5, y: 4 }, { x: 0, y: 4 }]);
+    const vase = new RevolvedShape(profile, 'y');
+    // Frustums of heights 2: radii 2 -> 1 and 1 -> 1.5
+    const expected = Math.PI * 2 / 3 * (4 + 2 + 1) + Math.PI * 2 / 3 * (1 + 1.5 + 2.25);
+    expect(vase.volume).toBeCloseTo(expected, 9);
+    expect(vase.contains({ x: 0, y: 3, z: 1.2 })).toBe(true);
+    expect(vase.contains({ x: 0, y: 2, z: 1.2 })).toBe(false);
+
+    const half = new RevolvedShape(new Rectangle2D({ x: 0, y: -3 }, 2, 1), 'x', Math.PI);
+    expect(half.volume).toBeCloseTo(Math.PI * 2 * 3, 9);
+    expect(half.bbox.maxZ).toBeCloseTo(0, 9);
+    expect(half.bbox.minZ).toBeCloseTo(-3.5, 9);
+    const rng = createRng(2);
+    for (let i = 0; i < 1000; i++) {
+      const p = half.sample(rng);
+      expect(half.contains(p, 1e-9)).toBe(true);
+      expect(p.z).toBeLessThanOrEqual(1e-12);
+    }
+  });
+
+  it('should accept any axis in the plane and reject profiles across it', () => {
+    const sector = new CircleSector2D({ x: -3, y: 1 }, 1, 0, Math.PI);
+    const tilted = new RevolvedShape(sector, { origin: { x: 0, y: 0 }, direction: { x: 1, y: 1 } }, 2);
+    const distance = Math.abs(sector.centroid.x - sector.centroid.y) / Math.SQRT2;
+    expect(tilted.volume).toBeCloseTo(2 * sector.area * distance, 9);
+    const rng = createRng(8);
+    for (let i = 0; i < 500; i++) expect(tilted.contains(tilted.sample(rng), 1e-9)).toBe(true);
+
+    expect(() => new RevolvedShape(new Circle2D({ x: 0, y: 0 }, 1), 'y')).toThrow(/crosses the axis/);
+    expect(() => new RevolvedShape(sector, 'z')).toThrow(/unknown axis/);
+    expect(() => new RevolvedShape(sector, 'y', 7)).toThrow(RangeError);
+  });
+
+  it('should take exact centroids from disjoint composites and estimate overlapping ones', () => {
+    // Unit squares centred 0.5 and 2.5 from the axis
+    const rings = new RevolvedShape(svgPathToShape('M0 0H1V1H0Z M2 0H3V1H2Z'), 'y');
+    expect(rings.volume).toBeCloseTo(2 * Math.PI * (0.5 + 2.5), 9);
+
+    // Overlapping halves of a 3 x 1 slab: the centroid is sampled, so the volume is approximate
+    const slab = new CompositeShape('union', [new Rectangle2D({ x: 1, y: 0.5 }, 2, 1), new Rectangle2D({ x: 2, y: 0.5 }, 2, 1)]);
+    expect(slab.centroid).toBeUndefined();
+    const lathed = new RevolvedShape(slab, 'y');
+    expect(Math.abs(lathed.volume / (9 * Math.PI) - 1)).toBeLessThan(0.03);
+    const rng = createRng('slab');
+    for (let i = 0; i < 500; i++) expect(lathed.contains(lathed.sample(rng), 1e-9)).toBe(true);
+  });
+
+  it('should bound partial sweeps by the inner radius too', () => {
+    const wedge = new RevolvedShape(new Rectangle2D({ x: 2.5, y: 0.5 }, 1, 1), 'y', Math.PI / 4);
+    expect(wedge.bbox.minX).toBeCloseTo(Math.SQRT2, 12);
+    expect(wedge.bbox.maxX).toBeCloseTo(3, 12);
+    expect(wedge.bbox.minZ).toBeCloseTo(-3 * Math.SQRT1_2, 12);
+    expect(wedge.bbox.maxZ).toBeCloseTo(0, 12);
+  });
+
+  it('should leave failed draws of a return-null profile out of the sampled centroid', () => {
+    // [0, 3] x [0, 1] minus the part beyond x = 2; a third of the draws give up
+    const cut = new CompositeShape('difference', [
+      new Rectangle2D({ x: 1.5, y: 0.5 }, 3, 1),
+      new Rectangle2D({ x: 3, y: 0.5 }, 2, 2)
+    ], { failurePolicy: 'return-null', maxAttempts: 1 });
+    const lathed = new RevolvedShape(cut, 'y');
+    expect(Math.abs(lathed.volume / (4 * Math.PI) - 1)).toBeLessThan(0.03);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { HaltonSequence, SobolSequence, RSequence, createSequence } from '../../src/sequences.js';
+import { createRng } from '../../src/random.js';
+import { Polygon2D } from '../../src/shapes2d.js';
+import { Sphere3D } from '../../src/shapes3d.js';
+
+/** Counts points per cell of a k x k grid over the unit square. */
+function gridCounts(points, k) {
+  const counts = new Array(k * k).fill(0);
+  for (const [u, v] of points) counts[Math.floor(u * k) * k + Math.floor(v * k)]++;
+  return counts;
+}
+
+describe('Sequences - Quasi-Monte Carlo', () => {
+
+  describe('HaltonSequence', () => {
+    it('should produce radical inverses in prime bases', () => {
+      const seq = new HaltonSequence(2);
+      const pts = Array.from({ length: 4 }, () => seq.next());
+      expect(pts.map(p => p[0])).toEqual([0, 0.5, 0.25, 0.75]);
+      expect(pts[1][1]).toBeCloseTo(1 / 3);
+      expect(pts[2][1]).toBeCloseTo(2 / 3);
+    });
+  });
+
+  describe('SobolSequence', () => {
+    it('should match the reference unscrambled points', () => {
+      const seq = new SobolSequence(2);
+      const pts = Array.from({ length: 4 }, () => seq.next());
+      expect(pts).toEqual([[0, 0], [0.5, 0.5], [0.75, 0.25], [0.25, 0.75]]);
+    });
+
+    it('should keep the (0,m,2)-net property when Owen-scrambled', () => {
+      const seq = new SobolSequence(2, { scramble: true, rng: createRng(3) });
+      const pts = Array.from({ length: 16 }, () => seq.next());
+      // Every 4x4 cell holds exactly one point
+      expect(gridCounts(pts, 4).every(c => c === 1)).toBe(true);
+    });
+
+    it('should reject unsupported dimensions', () => {
+      expect(() => new SobolSequence(12)).toThrow(/dimensions/);
+    });
+  });
+
+  describe('RSequence', () => {
+    it('should cover the square evenly', () => {
+      const seq = new RSequence(2);
+      const pts = Array.from({ length: 400 }, () => seq.next());
+      const counts = gridCounts(pts, 5);
+      expect(Math.min(...counts)).toBeGreaterThanOrEqual(12);
+      expect(Math.max(...counts)).toBeLessThanOrEqual(20);
+    });
+  });
+
+  describe('Cranley–Patterson rotation', () => {
+    it('should differ between seeds while staying inside the unit cube', () => {
+      const a = createSequence('halton', 3, { rotate: true, rng: createRng(1) });
+      const b = createSequence('halton', 3, { rotate: true, rng: createRng(2) });
+      const pa = a.next(), pb = b.next();
+      expect(pa).not.toEqual(pb);
+      for (let i = 0; i < 100; i++) {
+        for (const x of a.next()) {
+          expect(x).toBeGreaterThanOrEqual(0);
+          expect(x).toBeLessThan(1);
+        }
+      }
+    });
+  });
+
+  describe('sampleQMC', () => {
+    it('should fill shapes with low-discrepancy points', () => {
+      const poly = new Polygon2D([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 2, y: 1 }, { x: 0, y: 4 }]);
+      const sphere = new Sphere3D({ x: 0, y: 0, z: 0 }, 2);
+
+      for (const type of ['sobol', 'halton', 'r2']) {
+        const pts = poly.sampleQMC(64, { sequence: type });
+        expect(pts).toHaveLength(64);
+        expect(pts.every(p => poly.contains(p))).toBe(true);
+        expect(sphere.sampleQMC(64, { sequence: type }).every(p => sphere.contains(p, 1e-7))).toBe(true);
+      }
+    });
+
+    it('should be reproducible with a seeded rng', () => {
+      const sphere = new Sphere3D({ x: 0, y: 0, z: 0 }, 1);
+      expect(sphere.sampleQMC(8, { rng: createRng(5) })).toEqual(sphere.sampleQMC(8, { rng: createRng(5) }));
+    });
+  });
+});
@@ -3,8 +3,12 @@ import {
   Rectangle2D, 
   Triangle2D, 
   Circle2D, 
-  Polygon2D 
+  Polygon2D,
+  Ellipse2D,
+  CircleSector2D,
+  EllipseSector2D
 } from '../../src/shapes2d.js';
+import { createRng } from '../../src/random.js';
 
 describe('Shapes 2D - Area Sampling Logic', () => {
 
@@ -65,5 +69,157 @@ describe('Shapes 2D - Area Sampling Logic', () => {
       const p = poly.sample();
       expect(poly.contains(p)).toBe(true);
     });
+
+    it('should cut holes out of the area, samples and containment', () => {
+      const square = (x, y, size) => [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+      // Letter "B": two counters whose rightmost vertices line up with each other
+      const poly = new Polygon2D(square(0, 0, 8), { holes: [square(1, 1, 3), square(2, 5, 2).reverse()] });
+      expect(poly.area).toBeCloseTo(64 - 13, 12);
+      expect(poly.convex).toBe(false);
+      expect(poly.contains({ x: 2, y: 2 })).toBe(false);
+      expect(poly.contains({ x: 2, y: 4.5 })).toBe(true);
+      expect(poly.sdf({ x: 2.5, y: 2.5 })).toBeCloseTo(1.5, 12);
+      expect(poly.perimeter).toBeCloseTo(32 + 12 + 8, 12);
+
+      const rng = createRng('holes');
+      for (let i = 0; i < 2000; i++) {
+        const p = poly.sample(rng);
+        expect((p.x > 1 && p.x < 4 && p.y > 1 && p.y < 4) || (p.x > 2 && p.x < 4 && p.y > 5 && p.y < 7)).toBe(false);
+      }
+      for (let i = 0; i < 200; i++) {
+        const b = poly.sampleBoundary(rng);
+        expect(poly.contains({ x: b.x - 1e-4 * b.normal.x, y: b.y - 1e-4 * b.normal.y }, 0)).toBe(true);
+      }
+    });
+
+    it('should triangulate collinear runs and repeated vertices completely', () => {
+      const comb = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 3 },
+        { x: 2, y: 3 }, { x: 2, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 3 }, { x: 0, y: 3 }, { x: 0, y: 2 }, { x: 0, y: 0 }];
+      const poly = new Polygon2D(comb);
+      expect(poly.area).toBeCloseTo(7, 12);
+
+      const ring = (r, n) => Array.from({ length: n }, (_, i) => ({ x: r * Math.cos(2 * Math.PI * i / n), y: r * Math.sin(2 * Math.PI * i / n) }));
+      const annulus = new Polygon2D(ring(5, 400), { holes: [ring(3, 300)] });
+      const exact = n => n / 2 * Math.sin(2 * Math.PI / n);
+      expect(annulus.area).toBeCloseTo(25 * exact(400) - 9 * exact(300), 9);
+    });
+
+    it('should reject self-intersecting outlines and misplaced holes', () => {
+      expect(() => new Polygon2D([{ x: 0, y: 0 }, { x: 2, y: 2 }, { x: 2, y: 0 }, { x: 0, y: 2 }])).toThrow(/cross or touch/);
+      const square = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 4 }];
+      const hole = (x, y) => [{ x, y }, { x: x + 1, y }, { x: x + 1, y: y + 1 }];
+      expect(() => new Polygon2D(square, { holes: [hole(3.5, 1)] })).toThrow(/cross or touch/);
+      expect(() => new Polygon2D(square, { holes: [hole(6, 1)] })).toThrow(/outside/);
+      expect(() => new Polygon2D([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }])).toThrow(/no area/);
+    });
+  });
+
+  describe('fromUnit', () => {
+    it('should map the unit square into every 2D shape', () => {
+      const shapes = [
+        new Rectangle2D({ x: 1, y: 2 }, 3, 4),
+        new Triangle2D({ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 3 }),
+        new Circle2D({ x: 0, y: 0 }, 5, 2),
+        new Polygon2D([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 2, y: 1 }, { x: 0, y: 4 }])
+      ];
+      for (const shape of shapes) {
+        expect(shape.dimension).toBe(2);
+        for (let i = 0; i <= 10; i++) {
+          for (let j = 0; j <= 10; j++) {
+            expect(shape.contains(shape.fromUnit(i / 10, j / 10))).toBe(true);
+          }
+        }
+      }
+    });
+
+    it('should be deterministic and hit the expected landmarks', () => {
+      const circle = new Circle2D({ x: 0, y: 0 }, 2);
+      expect(circle.fromUnit(0.25, 1)).toEqual(circle.fromUnit(0.25, 1));
+      const edge = circle.fromUnit(0, 1);
+      expect(edge.x).toBeCloseTo(2);
+      expect(edge.y).toBeCloseTo(0);
+
+      const rect = new Rectangle2D({ x: 0, y: 0 }, 2, 2);
+      expect(rect.fromUnit(0, 1)).toEqual({ x: -1, y: 1, z: 0 });
+    });
+  });
+
+  it('should report the area centroid of every shape', () => {
+    const half = new CircleSector2D({ x: 1, y: 2 }, 3, 0, Math.PI);
+    expect(half.centroid.x).toBeCloseTo(1);
+    expect(half.centroid.y).toBeCloseTo(2 + 4 * 3 / (3 * Math.PI));
+    const ring = new Circle2D({ x: 1, y: 2 }, 3, 1);
+    expect(ring.centroid.x).toBeCloseTo(1);
+    expect(ring.centroid.y).toBeCloseTo(2);
+    expect(new Triangle2D({ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 0, y: 3 }).centroid).toEqual({ x: 1, y: 1, z: 0 });
+    // An L of three unit squares
+    const ell = new Polygon2D([{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 2 }, { x: 0, y: 2 }]);
+    expect(ell.centroid.x).toBeCloseTo(5 / 6);
+    expect(ell.centroid.y).toBeCloseTo(5 / 6);
+  });
+
+  describe('sampleBoundary', () => {
+    const onOutline = (shape, p) => {
+      const h = 1e-4;
+      const inside = { x: p.x - h * p.normal.x, y: p.y - h * p.normal.y, z: p.z };
+      const outside = { x: p.x + h * p.normal.x, y: p.y + h * p.normal.y, z: p.z };
+      return shape.contains(p, 1e-7) && shape.contains(inside, 0) && !shape.contains(outside, 0);
+    };
+
+    it('should lie on the outline with unit tangents and outward normals', () => {
+      const shapes = [
+        new Rectangle2D({ x: 1, y: 2 }, 3, 4),
+        new Triangle2D({ x: 0, y: 0 }, { x: 0, y: 3 }, { x: 4, y: 0 }),
+        new Circle2D({ x: 0, y: 0 }, 5, 2),
+        new Ellipse2D({ x: 0, y: 0 }, 4, 1, 2, 0.5),
+        new CircleSector2D({ x: 0, y: 0 }, 3, 0.5, 2, 1),
+        new EllipseSector2D({ x: 0, y: 0 }, 4, 2, 5, 1),
+        new Polygon2D([{ x: 0, y: 0 }, { x: 0, y: 4 }, { x: 2, y: 1 }, { x: 4, y: 4 }, { x: 4, y: 0 }])
+      ];
+      const rng = createRng(7);
+      for (const shape of shapes) {
+        for (let i = 0; i < 300; i++) {
+          const p = shape.sampleBoundary(rng);
+          expect(Math.hypot(p.tangent.x, p.tangent.y)).toBeCloseTo(1, 9);
+          expect(p.tangent.x * p.normal.x + p.tangent.y * p.normal.y).toBeCloseTo(0, 9);
+          expect(onOutline(shape, p)).toBe(true);
+        }
+      }
+    });
+
+    it('should include inner ring and radial edges in the perimeter', () => {
+      expect(new Circle2D({ x: 0, y: 0 }, 2, 1).perimeter).toBeCloseTo(6 * Math.PI, 9);
+      expect(new CircleSector2D({ x: 0, y: 0 }, 2, 0, Math.PI / 2).perimeter).toBeCloseTo(Math.PI + 4, 9);
+      expect(new Rectangle2D({ x: 0, y: 0 }, 3, 4).perimeter).toBe(14);
+
+      // Ramanujan's second approximation is accurate to ~1e-10 at this eccentricity
+      const a = 3, b = 1, h = ((a - b) / (a + b)) ** 2;
+      const ramanujan = Math.PI * (a + b) * (1 + 3 * h / (10 + Math.sqrt(4 - 3 * h)));
+      expect(new Ellipse2D({ x: 0, y: 0 }, a, b).perimeter).toBeCloseTo(ramanujan, 6);
+    });
+
+    it('should be uniform in arc length', () => {
+      // Points on a thin ellipse pile up at the tips if sampled uniformly in angle
+      const ellipse = new Ellipse2D({ x: 0, y: 0 }, 4, 1);
+      const rng = createRng('outline');
+      const n = 20000;
+      let nearTips = 0;
+      for (let i = 0; i < n; i++) if (Math.abs(ellipse.sampleBoundary(rng).x) > 3) nearTips++;
+
+      // Arc length of the tips |x| > 3 by fine quadrature
+      let tip = 0;
+      const steps = 100000, t0 = Math.acos(3 / 4);
+      for (let i = 0; i < steps; i++) {
+        const t = t0 * (i + 0.5) / steps;
+        tip += Math.hypot(4 * Math.sin(t), Math.cos(t)) * t0 / steps;
+      }
+      expect(nearTips / n).toBeCloseTo(4 * tip / ellipse.perimeter, 1);
+
+      // Concave polygon: each edge receives its share of the perimeter
+      const poly = new Polygon2D([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 2, y: 1 }, { x: 0, y: 4 }]);
+      let bottom = 0;
+      for (let i = 0; i < n; i++) if (Math.abs(poly.sampleBoundary(rng).y) < 1e-12) bottom++;
+      expect(bottom / n).toBeCloseTo(4 / poly.perimeter, 1);
+    });
   });
-});
\ No newline at end of file
+});
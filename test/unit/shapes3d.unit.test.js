@@ -5,7 +5,12 @@ import {
   Cone3D, 
   Ellipsoid3D,
   Cylinder3D, 
+  Torus3D,
+  Capsule3D,
+  Frustum3D,
+  Tetrahedron3D,
 } from '../../src/shapes3d.js';
+import { createRng } from '../../src/random.js';
 
 describe('Shapes 3D - Volume Sampling Logic', () => {
 
@@ -81,5 +86,166 @@ describe('Shapes 3D - Volume Sampling Logic', () => {
       }
     });
   });
-});
 
+  describe('Torus3D, Capsule3D, Frustum3D and Tetrahedron3D', () => {
+    const origin = { x: 0, y: 0, z: 0 };
+    const shapes = [
+      new Torus3D({ x: 1, y: 0, z: 2 }, 2, 0.8, 0.3),
+      new Capsule3D(origin, 1, 2, 0.5),
+      new Frustum3D(origin, 2, 0.5, 3, 1, 0.2),
+      new Tetrahedron3D(origin, { x: 2, y: 0, z: 0 }, { x: 0, y: 3, z: 0 }, { x: 1, y: 1, z: 2 })
+    ];
+
+    it('should compute closed-form volumes', () => {
+      expect(new Torus3D(origin, 3, 1).volume).toBeCloseTo(2 * Math.PI ** 2 * 3);
+      expect(new Torus3D(origin, 3, 1, 0.5).volume).toBeCloseTo(2 * Math.PI ** 2 * 3 * 0.75);
+      expect(new Capsule3D(origin, 1, 2).volume).toBeCloseTo(2 * Math.PI + 4 / 3 * Math.PI);
+      expect(new Frustum3D(origin, 2, 1, 3).volume).toBeCloseTo(Math.PI * 3 / 3 * (4 + 2 + 1));
+      expect(new Frustum3D(origin, 2, 0, 3).volume).toBeCloseTo(new Cone3D(origin, 2, 3).volume);
+      expect(new Tetrahedron3D(origin, { x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }).volume).toBeCloseTo(1 / 6);
+      expect(() => new Torus3D(origin, 1, 2)).toThrow(RangeError);
+    });
+
+    it('should agree with a Monte Carlo estimate of the volume', () => {
+      const rng = createRng('volumes');
+      for (const shape of shapes) {
+        const b = shape.bbox;
+        const boxVolume = (b.maxX - b.minX) * (b.maxY - b.minY) * (b.maxZ - b.minZ);
+        const n = 100000;
+        let hits = 0;
+        for (let i = 0; i < n; i++) {
+          const p = { x: b.minX + rng() * (b.maxX - b.minX), y: b.minY + rng() * (b.maxY - b.minY), z: b.minZ + rng() * (b.maxZ - b.minZ) };
+          if (shape.contains(p)) hits++;
+        }
+        expect(Math.abs(hits / n * boxVolume / shape.volume - 1)).toBeLessThan(0.03);
+      }
+    });
+
+    it('should sample uniformly', () => {
+      // The fraction of samples in the lower-left half of the bbox matches its volume fraction
+      const rng = createRng('uniform');
+      for (const shape of shapes) {
+        const b = shape.bbox;
+        const inCorner = p => p.x < (b.minX + b.maxX) / 2 && p.z < (b.minZ + b.maxZ) / 2;
+        const n = 40000;
+        let sampled = 0, inside = 0, cornered = 0, outside = 0;
+        for (let i = 0; i < n; i++) {
+          const p = shape.sample(rng);
+          if (!shape.contains(p, 1e-7)) outside++;
+          if (inCorner(p)) sampled++;
+          const q = { x: b.minX + rng() * (b.maxX - b.minX), y: b.minY + rng() * (b.maxY - b.minY), z: b.minZ + rng() * (b.maxZ - b.minZ) };
+          if (shape.contains(q)) {
+            inside++;
+            if (inCorner(q)) cornered++;
+          }
+        }
+        expect(outside).toBe(0);
+        expect(Math.abs(sampled / n - cornered / inside)).toBeLessThan(0.025);
+      }
+    });
+  });
+
+  describe('fromUnit', () => {
+    it('should map the unit cube into every 3D shape', () => {
+      const shapes = [
+        new Sphere3D({ x: 0, y: 0, z: 0 }, 2, 1),
+        new Ellipsoid3D({ x: 1, y: 1, z: 1 }, 3, 2, 1),
+        new Box3D({ x: 0, y: 0, z: 0 }, 1, 2, 3),
+        new Cylinder3D({ x: 0, y: 0, z: 0 }, 2, 4, 1),
+        new Cone3D({ x: 0, y: 0, z: 0 }, 2, 10, 1.9, 9.5),
+        new Torus3D({ x: 0, y: 0, z: 0 }, 2, 0.5, 0.2),
+        new Capsule3D({ x: 0, y: 0, z: 0 }, 1, 2, 0.5),
+        new Frustum3D({ x: 0, y: 0, z: 0 }, 2, 0.5, 3, 1, 0.2),
+        new Tetrahedron3D({ x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 0 }, { x: 0, y: 3, z: 0 }, { x: 1, y: 1, z: 2 })
+      ];
+      for (const shape of shapes) {
+        expect(shape.dimension).toBe(3);
+        for (let i = 0; i <= 6; i++) {
+          for (let j = 0; j <= 6; j++) {
+            for (let k = 0; k <= 6; k++) {
+              expect(shape.contains(shape.fromUnit(i / 6, j / 6, k / 6), 1e-7)).toBe(true);
+            }
+          }
+        }
+      }
+    });
+
+    it('should sample hollow cones exactly (no rejection fallback)', () => {
+      const cone = new Cone3D({ x: 0, y: 0, z: 0 }, 2, 10, 1.9, 9.5);
+      // The height CDF inverted by fromUnit must reproduce volume fractions
+      const half = cone.fromUnit(0.5, 0, 0);
+      expect(cone._volumeBelow(half.z)).toBeCloseTo(cone.volume / 2, 6);
+      const rng = createRng('hollow cone');
+      for (let i = 0; i < 200; i++) {
+        expect(cone.contains(cone.sample(rng), 1e-7)).toBe(true);
+      }
+    });
+  });
+
+  describe('sampleSurface', () => {
+    const origin = { x: 0, y: 0, z: 0 };
+
+    it('should place points on the boundary with unit outward normals', () => {
+      const solids = [
+        new Sphere3D({ x: 1, y: 2, z: 3 }, 2, 1),
+        new Ellipsoid3D(origin, 3, 2, 1, 1.5, 1, 0.5),
+        new Box3D(origin, 1, 2, 3),
+        new Cylinder3D(origin, 2, 4, 1),
+        new Cone3D(origin, 2, 10, 1.9, 9.5),
+        new Torus3D(origin, 2, 0.5, 0.2),
+        new Capsule3D(origin, 1, 2, 0.5),
+        new Frustum3D(origin, 2, 0.5, 3, 1, 0.2),
+        new Frustum3D(origin, 1, 2, 1),
+        new Tetrahedron3D(origin, { x: 2, y: 0, z: 0 }, { x: 0, y: 3, z: 0 }, { x: 1, y: 1, z: 2 })
+      ];
+      // A fixed step inward can leave through a neighbouring face near sharp edges and apexes,
+      // so check that the distance is zero on the surface and grows along the normal instead
+      const h = 1e-4;
+      const rng = createRng('surface');
+      for (const solid of solids) {
+        for (let i = 0; i < 200; i++) {
+          const s = solid.sampleSurface(rng);
+          expect(Math.hypot(s.normal.x, s.normal.y, s.normal.z)).toBeCloseTo(1, 9);
+          const inward = { x: s.x - h * s.normal.x, y: s.y - h * s.normal.y, z: s.z - h * s.normal.z };
+          const outward = { x: s.x + h * s.normal.x, y: s.y + h * s.normal.y, z: s.z + h * s.normal.z };
+          expect(solid.sdf(s)).toBeCloseTo(0, 6);
+          expect(solid.sdf(outward)).toBeGreaterThan(solid.sdf(inward));
+          expect(solid.contains(outward)).toBe(false);
+        }
+      }
+    });
+
+    it('should compute surface areas, including the numeric ellipsoid case', () => {
+      expect(new Box3D(origin, 1, 2, 3).surfaceArea).toBe(22);
+      expect(new Cylinder3D(origin, 1, 2).surfaceArea).toBeCloseTo(6 * Math.PI);
+      expect(new Cone3D(origin, 3, 4).surfaceArea).toBeCloseTo(Math.PI * 3 * 5 + Math.PI * 9);
+
+      // Prolate spheroid closed form: 2*PI*a^2 * (1 + c/(a*e) * asin(e))
+      const e = Math.sqrt(1 - 1 / 4);
+      const spheroid = new Ellipsoid3D(origin, 1, 1, 2);
+      expect(spheroid.surfaceArea).toBeCloseTo(2 * Math.PI * (1 + (2 / e) * Math.asin(e)), 3);
+    });
+
+    it('should weight ellipsoid surfaces by true area, not by angle', () => {
+      // Prolate spheroid x^2 + y^2 = 1 - z^2/9: compare the equatorial band |z| < 1.5
+      const spheroid = new Ellipsoid3D(origin, 1, 1, 3);
+      const bandArea = (z0, z1, n = 2000) => {
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+          const z = z0 + (i + 0.5) * (z1 - z0) / n;
+          const rho = Math.sqrt(1 - z * z / 9), drho = -z / (9 * rho);
+          sum += 2 * Math.PI * rho * Math.sqrt(1 + drho * drho);
+        }
+        return sum * (z1 - z0) / n;
+      };
+      const expected = bandArea(-1.5, 1.5) / spheroid.surfaceArea;
+
+      const n = 20000;
+      let hits = 0;
+      const rng = createRng('spheroid band');
+      for (let i = 0; i < n; i++) if (Math.abs(spheroid.sampleSurface(rng).z) < 1.5) hits++;
+      // A naive angular warp would give ~0.5 here; the area-correct fraction is ~0.6
+      expect(Math.abs(hits / n - expected)).toBeLessThan(0.02);
+    });
+  });
+});
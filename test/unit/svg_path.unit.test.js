@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { parseSVGPath, svgPathToPath1D, svgPathToShape } from '../../src/svg_path.js';
+import { Polygon2D } from '../../src/shapes2d.js';
+import { createRng } from '../../src/random.js';
+
+// Circles of radius 5 and 3 around (5, 0), drawn as two half arcs each
+const outer = 'M0 0 A5 5 0 1 1 10 0 A5 5 0 1 1 0 0Z';
+const innerReversed = 'M2 0 A3 3 0 1 0 8 0 A3 3 0 1 0 2 0Z';
+const innerSame = 'M2 0 A3 3 0 1 1 8 0 A3 3 0 1 1 2 0Z';
+
+describe('SVG paths', () => {
+  it('should resolve relative, implicit and smooth commands to absolute segments', () => {
+    const [square, triangle] = parseSVGPath('M10,10h10v10H10z m5 5 l1-1 1 1z');
+    expect(square.closed).toBe(true);
+    expect(square.segments.map(s => s.p1)).toEqual([{ x: 20, y: 10 }, { x: 20, y: 20 }, { x: 10, y: 20 }, { x: 10, y: 10 }]);
+    expect(triangle.start).toEqual({ x: 15, y: 15 });
+    expect(triangle.segments.map(s => s.p1)).toEqual([{ x: 16, y: 14 }, { x: 17, y: 15 }, { x: 15, y: 15 }]);
+
+    const [curves] = parseSVGPath('M0 0Q1 1 2 0T4 0C5 1 6 1 7 0S9-1 10 0a1 1 0 01 2 0');
+    expect(curves.segments.map(s => s.type)).toEqual(['quadratic', 'quadratic', 'cubic', 'cubic', 'arc']);
+    expect(curves.segments[1].p1).toEqual({ x: 3, y: -1 });
+    expect(curves.segments[3].p1).toEqual({ x: 8, y: -1 });
+    expect(curves.segments[4].p1).toEqual({ x: 12, y: 0 });
+    expect(curves.segments[4].center.x).toBeCloseTo(11);
+
+    expect(() => parseSVGPath('L 1 1')).toThrow(/start with M/);
+    expect(() => parseSVGPath('M 0 0 X 1')).toThrow(/unknown command/);
+  });
+
+  it('should convert endpoint arcs to center form, scaling radii that are too small', () => {
+    const [{ segments: [arc] }] = parseSVGPath('M0 0 A1 1 0 0 1 10 0');
+    expect(arc.rx).toBeCloseTo(5);
+    expect(arc.center.x).toBeCloseTo(5);
+    expect(arc.center.y).toBeCloseTo(0);
+    expect(Math.abs(arc.endAngle - arc.startAngle)).toBeCloseTo(Math.PI);
+
+    const [{ segments: [rotated] }] = parseSVGPath('M0 0 A4 2 30 1 0 3 1');
+    const outline = svgPathToPath1D('M0 0 A4 2 30 1 0 3 1');
+    const start = outline.fromUnit(0), end = outline.fromUnit(1);
+    expect(Math.hypot(start.x, start.y)).toBeCloseTo(0, 9);
+    expect(end.x).toBeCloseTo(3);
+    expect(end.y).toBeCloseTo(1);
+    expect(Math.abs(rotated.endAngle - rotated.startAngle)).toBeGreaterThan(Math.PI);
+  });
+
+  it('should build an arc-length outline', () => {
+    expect(svgPathToPath1D(outer).totalLength).toBeCloseTo(10 * Math.PI, 2);
+    expect(svgPathToPath1D('M0 0 H3 V4 Z').totalLength).toBeCloseTo(12);
+  });
+
+  it('should flatten filled shapes to the tolerance', () => {
+    const circle = svgPathToShape(outer, { tolerance: 0.001 });
+    expect(circle).toBeInstanceOf(Polygon2D);
+    expect(circle.area).toBeCloseTo(25 * Math.PI, 1);
+    expect(circle.area).toBeLessThan(25 * Math.PI);
+    const coarse = svgPathToShape(outer, { tolerance: 0.5 });
+    expect(coarse.vertices.length).toBeLessThan(circle.vertices.length);
+    expect(() => svgPathToShape('M0 0 L1 1')).toThrow(/no area/);
+  });
+
+  it('should apply the even-odd and nonzero fill rules', () => {
+    const ring = 16 * Math.PI, disc = 25 * Math.PI;
+    const cases = [
+      [outer + innerReversed, 'nonzero', ring],
+      [outer + innerSame, 'nonzero', disc],
+      [outer + innerReversed, 'evenodd', ring],
+      [outer + innerSame, 'evenodd', ring]
+    ];
+    const rng = createRng('svg');
+    for (const [d, fillRule, expected] of cases) {
+      const shape = svgPathToShape(d, { fillRule, tolerance: 0.001 });
+      expect(shape.area / expected).toBeCloseTo(1, 1);
+      expect(shape.contains({ x: 5, y: 0 })).toBe(expected === disc);
+      for (let i = 0; i < 200; i++) {
+        const p = shape.sample(rng);
+        expect(Math.hypot(p.x - 5, p.y)).toBeLessThanOrEqual(5);
+        if (expected === ring) expect(Math.hypot(p.x - 5, p.y)).toBeGreaterThanOrEqual(2.99);
+      }
+    }
+    expect(svgPathToShape(outer + innerReversed).holes).toHaveLength(1);
+    expect(() => svgPathToShape(outer, { fillRule: 'winding' })).toThrow(/fill rule/);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { TubeShape } from '../../src/tube_shape.js';
+import { Path1D, helix } from '../../src/curves1d.js';
+import { createRng } from '../../src/random.js';
+
+const origin = { x: 0, y: 0, z: 0 };
+
+describe('TubeShape', () => {
+  it('should match a cylinder along a straight path', () => {
+    const tube = new TubeShape(new Path1D([{ start: origin, end: { x: 0, y: 0, z: 4 } }]), 1);
+    expect(tube.volume).toBeCloseTo(4 * Math.PI, 9);
+    expect(tube.closed).toBe(false);
+    expect(tube.contains({ x: 0.9, y: 0, z: 2 })).toBe(true);
+    expect(tube.contains({ x: 0, y: 0, z: 4.1 })).toBe(false);
+    expect(tube.contains({ x: 0, y: 1.1, z: 2 })).toBe(false);
+    expect(tube.sdf({ x: 3, y: 0, z: 2 })).toBeCloseTo(2);
+    expect(tube.sdf({ x: 0, y: 0, z: -0.5 })).toBeCloseTo(0.5);
+  });
+
+  it('should weight the outside of a bend like a torus', () => {
+    const R = 3, r = 1;
+    const ring = new TubeShape(new Path1D([{ center: origin, radius: R }]), r);
+    expect(ring.closed).toBe(true);
+    expect(ring.volume).toBeCloseTo(2 * Math.PI ** 2 * R * r * r, 6);
+
+    // Pappus: the mean distance from the axis is R, the outer half holds (R + 4r / 3π) / 2R
+    const rng = createRng('tube');
+    const n = 20000;
+    let outer = 0, outside = 0;
+    for (let i = 0; i < n; i++) {
+      const p = ring.sample(rng);
+      if (Math.hypot(p.x, p.y) > R) outer++;
+      if (!ring.contains(p, 1e-7)) outside++;
+    }
+    expect(outside).toBe(0);
+    expect(Math.abs(outer / n - (R + 4 * r / (3 * Math.PI)) / (2 * R))).toBeLessThan(0.012);
+  });
+
+  it('should sample a shell of varying radius along a helix uniformly', () => {
+    const path = new Path1D([helix({ center: origin, radius: 2, height: 6, turns: 2 })], 1000);
+    const tube = new TubeShape(path, u => 0.3 + 0.2 * u, { innerRadius: u => 0.1 * u });
+    const rng = createRng(5);
+    const halves = [0, 0];
+    for (let i = 0; i < 2000; i++) {
+      const p = tube.sample(rng);
+      expect(tube.contains(p, 1e-6)).toBe(true);
+      halves[path.project(p).u < 0.5 ? 0 : 1]++;
+    }
+    // Cross-section area π((0.3 + 0.2u)² - (0.1u)²) puts 49/128 of the volume in the first half
+    const { u: midU } = path.project(path.at(0.5));
+    expect(midU).toBeCloseTo(0.5, 3);
+    expect(halves[0] / 2000).toBeCloseTo(49 / 128, 1);
+    expect(tube.contains(path.at(0.2))).toBe(false); // inside the hollow core
+  });
+
+  it('should reject radii that cross', () => {
+    const path = new Path1D([{ start: origin, end: { x: 1, y: 0, z: 0 } }]);
+    expect(() => new TubeShape(path, 1, { innerRadius: 2 })).toThrow(RangeError);
+    expect(() => new TubeShape(path, -1)).toThrow(/innerRadius <= radius/);
+  });
+});